@@ -0,0 +1,51 @@
+// Alert lifecycle: open → acknowledged → resolved, with un-acknowledge back to open
+
+export const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// Statuses each action may be applied from
+const ALLOWED_FROM = {
+  acknowledge: ['open'],
+  unacknowledge: ['acknowledged'],
+  resolve: ['open', 'acknowledged'],
+};
+
+export const ALERT_ACTIONS = Object.keys(ALLOWED_FROM);
+
+// Applies an action to an Alert document in place. Returns an error message when the
+// transition is not allowed from the alert's current status, or null on success.
+export const applyAlertAction = (alert, action, { by = '', note = '' } = {}) => {
+  const current = alert.status || (alert.acknowledged ? 'acknowledged' : 'open');
+  if (!ALLOWED_FROM[action].includes(current)) {
+    return `Cannot ${action} an alert that is ${current}`;
+  }
+
+  const now = new Date();
+  switch (action) {
+    case 'acknowledge':
+      alert.status = 'acknowledged';
+      alert.acknowledgedBy = by;
+      alert.acknowledgedAt = now;
+      alert.acknowledgeNote = note;
+      break;
+    case 'unacknowledge':
+      alert.status = 'open';
+      alert.acknowledgedBy = undefined;
+      alert.acknowledgedAt = undefined;
+      alert.acknowledgeNote = undefined;
+      break;
+    case 'resolve':
+      alert.status = 'resolved';
+      alert.resolvedBy = by;
+      alert.resolvedAt = now;
+      alert.resolveNote = note;
+      // A resolved incident stops absorbing readings; the next breach opens a new one
+      if (alert.active) {
+        alert.active = false;
+        alert.closedAt = now;
+      }
+      break;
+  }
+  // Kept for older clients and queries that only know the boolean flag
+  alert.acknowledged = alert.status !== 'open';
+  return null;
+};
@@ -0,0 +1,75 @@
+// Anomaly detection: per-device rolling and hour-of-day temperature baselines, and a z-score
+// for each reading against them, so a pack running well above its usual level is noticed
+// even when it stays under every threshold rule
+
+import { numberFromEnv } from './config.js';
+
+export const ANOMALY_SETTINGS = {
+  // |z| at or above this marks a reading as anomalous
+  zThreshold: numberFromEnv('ANOMALY_Z_THRESHOLD', 3, { min: 1 }),
+  // Samples a baseline needs before it is used for scoring
+  minSamples: numberFromEnv('ANOMALY_MIN_SAMPLES', 30, { min: 2, integer: true }),
+  // Effective memory of each baseline in samples; older readings fade out exponentially
+  window: numberFromEnv('ANOMALY_BASELINE_WINDOW', 5000, { min: 2, integer: true }),
+  // Spread below this (°C) is raised to it, so a perfectly flat history cannot make tiny changes look extreme
+  minStd: numberFromEnv('ANOMALY_MIN_STD', 0.5, { min: 0.01 }),
+};
+
+const emptyStats = () => ({ mean: 0, variance: 0, count: 0 });
+
+// A fresh baseline: one rolling set of stats plus one per UTC hour of day
+export const newBaseline = (deviceId) => ({
+  deviceId,
+  rolling: emptyStats(),
+  hourly: Array.from({ length: 24 }, emptyStats),
+});
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// The hour-of-day baseline once it has enough samples, otherwise the rolling one
+const pickStats = (baseline, timestamp) => {
+  const hourly = baseline.hourly[new Date(timestamp).getUTCHours()];
+  if (hourly.count >= ANOMALY_SETTINGS.minSamples) return { stats: hourly, source: 'hourly' };
+  if (baseline.rolling.count >= ANOMALY_SETTINGS.minSamples) return { stats: baseline.rolling, source: 'rolling' };
+  return null;
+};
+
+// Returns { score, mean, std, source }, or null while the baselines are still learning
+export const scoreReading = (baseline, temperature, timestamp) => {
+  const picked = pickStats(baseline, timestamp);
+  if (!picked) return null;
+  const { stats, source } = picked;
+  const std = Math.max(Math.sqrt(stats.variance), ANOMALY_SETTINGS.minStd);
+  return { score: round((temperature - stats.mean) / std), mean: round(stats.mean), std: round(std), source };
+};
+
+export const isAnomalous = (scored) => Boolean(scored) && Math.abs(scored.score) >= ANOMALY_SETTINGS.zThreshold;
+
+// Exponentially weighted mean and variance; the weight settles at 1/window
+const updateStats = (stats, value) => {
+  stats.count += 1;
+  const alpha = 1 / Math.min(stats.count, ANOMALY_SETTINGS.window);
+  const delta = value - stats.mean;
+  stats.mean += alpha * delta;
+  stats.variance = (1 - alpha) * (stats.variance + alpha * delta * delta);
+};
+
+// Folds a reading into the baselines in place. Anomalous values are clipped to the edge of
+// the normal band first, so a fault cannot drag the baseline along while a genuine lasting
+// shift is still learned gradually.
+export const updateBaseline = (baseline, temperature, timestamp, scored) => {
+  let value = temperature;
+  if (isAnomalous(scored)) {
+    const limit = ANOMALY_SETTINGS.zThreshold * scored.std;
+    value = Math.min(Math.max(temperature, scored.mean - limit), scored.mean + limit);
+  }
+  updateStats(baseline.rolling, value);
+  updateStats(baseline.hourly[new Date(timestamp).getUTCHours()], value);
+};
+
+export const anomalyMessage = (deviceId, temperature, scored) => {
+  const difference = round(Math.abs(temperature - scored.mean));
+  const direction = temperature > scored.mean ? 'above' : 'below';
+  const usual = scored.source === 'hourly' ? 'its usual level for this hour' : 'its recent average';
+  return `Anomaly on ${deviceId}: ${temperature}°C is ${difference}°C ${direction} ${usual} (${scored.mean}°C, z = ${scored.score})`;
+};
@@ -0,0 +1,2000 @@
+// The Express app and its background jobs, built on a store (see store.js) so the same app
+// runs against MongoDB or the in-memory store. server.js picks the store and starts it.
+
+import express from 'express';
+import cors from 'cors';
+import {
+  DEFAULT_RULES,
+  evaluateRules,
+  historyRequirements,
+  rulesForDevice,
+  validateRule,
+} from './rules.js';
+import { broadcast, clientCount, endStreams, subscribe } from './stream.js';
+import { applyAlertAction } from './alertLifecycle.js';
+import { BUCKET_SIZES, formatBucket, parseHistoryQuery } from './history.js';
+import { RETENTION_SETTINGS, floorTo, mergeBucketRows, rawCutoff, rollupCutoff } from './retention.js';
+import { EXPORT_FORMATS, streamExport } from './exporter.js';
+import { generateApiKey, hashApiKey, readApiKey } from './deviceKeys.js';
+import {
+  LINK_PURPOSES,
+  ROLES,
+  SESSION_TTL_MS,
+  createLinkToken,
+  generateSessionToken,
+  hasRole,
+  hashPassword,
+  hashSessionToken,
+  linkTokenSessionId,
+  readLinkToken,
+  readSessionToken,
+  secretMatches,
+  validatePassword,
+  verifyLinkToken,
+  verifyPassword,
+} from './auth.js';
+import { buildPayload, channelAccepts, deliver, validateChannel } from './notifications.js';
+import {
+  dueForEscalation,
+  escalate,
+  newIncident,
+  recordBreach,
+  recordClear,
+  withinCooldown,
+} from './incidents.js';
+import { SERIES, deriveMetrics, parseTelemetry } from './telemetry.js';
+import {
+  SENSOR_SETTINGS,
+  SENSOR_TYPES,
+  connectionHealth,
+  detectFaults,
+  faultMessage,
+  isImplausible,
+  offlineMessage,
+} from './sensorHealth.js';
+import {
+  FORECAST_METHODS,
+  FORECAST_SETTINGS,
+  forecastTemperature,
+  predictionMessage,
+  soonestCritical,
+  thresholdEstimates,
+} from './forecast.js';
+import { ANOMALY_SETTINGS, anomalyMessage, isAnomalous, newBaseline, scoreReading, updateBaseline } from './anomaly.js';
+import { INGEST_SETTINGS, clockOffset, isBackfill, parseDeviceTime, resolveTimestamp, validateReadingId } from './ingest.js';
+import {
+  REPORT_FORMATS,
+  REPORT_PERIODS,
+  REPORT_SETTINGS,
+  buildReport,
+  createReportAccumulator,
+  dayKey,
+  dueDailyReportDate,
+  parseReportQuery,
+  renderReportHtml,
+} from './reports.js';
+import { ADMIN_SETTINGS, SERVER_SETTINGS } from './config.js';
+import { MQTT_SETTINGS, isMqttConnected, parseMessage as parseMqttMessage, publishAlert, startMqtt } from './mqtt.js';
+import { METRICS_CONTENT_TYPE, createCounter, createGauge, createHistogram, renderMetrics } from './metrics.js';
+import { SILENCE_STATUSES, applySilence, coveringSilence, parseSilence, silenceFields, silenceStatus } from './silences.js';
+import { DuplicateKeyError } from './store.js';
+import { AUDITED_METHODS, auditChanges, parseAuditQuery } from './audit.js';
+
+// Metrics (see metrics.js); gauges are refreshed by collectMetrics on each scrape
+const readingsIngested = createCounter('battery_readings_ingested_total', 'Readings received, by transport and result (created, duplicate, rejected)');
+const alertsCreated = createCounter('battery_alerts_created_total', 'Alerts raised, by severity and kind');
+const ingestDuration = createHistogram('battery_ingest_duration_seconds', 'Time to validate, evaluate and store one upload (a reading, a batch or an MQTT message)');
+const temperatureGauge = createGauge('battery_temperature_celsius', 'Latest temperature per device');
+const lastReadingGauge = createGauge('battery_last_reading_timestamp_seconds', 'Unix time of the latest reading per device');
+const unacknowledgedGauge = createGauge('battery_alerts_unacknowledged', 'Alerts not yet acknowledged, by severity');
+const dbUpGauge = createGauge('battery_db_up', 'Whether the store answers a ping (1) or not (0)');
+const streamClientsGauge = createGauge('battery_stream_clients', 'Dashboards connected to the live stream');
+const mqttUpGauge = createGauge('battery_mqtt_connected', 'Whether the MQTT client is connected (1) or not (0); absent when MQTT is disabled');
+const startTimeGauge = createGauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds');
+const memoryGauge = createGauge('process_resident_memory_bytes', 'Resident memory size in bytes');
+startTimeGauge.set({}, Math.floor(Date.now() / 1000 - process.uptime()));
+
+// Secrets stay out of API responses
+const publicUser = (user) => {
+  const copy = { ...user };
+  delete copy.passwordHash;
+  return copy;
+};
+
+const publicApiKey = (apiKey) => {
+  const copy = { ...apiKey };
+  delete copy.keyHash;
+  return copy;
+};
+
+const publicChannel = (channel) => (channel.secret ? { ...channel, secret: '********' } : channel);
+
+export const createApp = (store) => {
+  const app = express();
+  const CORS_ORIGINS = SERVER_SETTINGS.corsOrigins;
+  app.set('trust proxy', SERVER_SETTINGS.trustProxy);
+
+  app.use(cors({
+    // Requests without an Origin header (devices, curl) are not subject to CORS
+    origin: (origin, callback) => {
+      callback(null, !origin || CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin));
+    }
+  }));
+  // Batch uploads of buffered readings can exceed the 100kb default
+  app.use(express.json({ limit: '1mb' }));
+
+  // Checks a device API key, and that it belongs to `deviceId` when one is claimed.
+  // Returns { deviceId } or { status, error }.
+  const verifyDeviceKey = async (key, deviceId) => {
+    if (!key) return { status: 401, error: 'Missing API key' };
+    const apiKey = await store.apiKeys.findByHash(hashApiKey(key));
+    if (!apiKey) return { status: 401, error: 'Invalid API key' };
+    if (apiKey.revokedAt) return { status: 403, error: 'API key has been revoked' };
+    if (deviceId && deviceId !== apiKey.deviceId) return { status: 403, error: 'API key does not belong to this device' };
+    store.apiKeys.touch(apiKey._id, new Date())
+      .catch((error) => console.error('Error recording API key use:', error));
+    return { deviceId: apiKey.deviceId };
+  };
+
+  // Authenticates ingest requests by their X-API-Key header and sets req.deviceId
+  const requireDeviceKey = async (req, res, next) => {
+    try {
+      const claimed = req.body.deviceId ? String(req.body.deviceId).trim() : null;
+      const { deviceId, status, error } = await verifyDeviceKey(readApiKey(req), claimed);
+      if (error) {
+        return res.status(status).json({ error });
+      }
+      req.deviceId = deviceId;
+      next();
+    } catch (error) {
+      console.error('Error authenticating device:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  };
+
+  // Creates the first admin from ADMIN_USERNAME/ADMIN_PASSWORD when there are no users yet
+  const seedAdminUser = async () => {
+    if (await store.users.count() > 0) return;
+    const { username, password } = ADMIN_SETTINGS;
+    if (!password) {
+      console.warn('No users exist; set ADMIN_PASSWORD to create the initial admin account');
+      return;
+    }
+    await store.users.create({ username, passwordHash: await hashPassword(password), role: 'admin' });
+    console.log(`Created initial admin user "${username}"`);
+  };
+
+  // What a link token opens on this route (null where links are not accepted): the live
+  // stream, or a download of an export or report
+  const linkPurpose = (req) => {
+    if (req.method !== 'GET') return null;
+    if (req.path === '/stream') return 'stream';
+    if (req.path.startsWith('/export/') || req.path === '/reports' || req.path.startsWith('/reports/daily/')) return 'download';
+    return null;
+  };
+
+  const findLinkSession = async (req, linkToken, now) => {
+    const purpose = linkPurpose(req);
+    const sessionId = purpose && linkTokenSessionId(linkToken);
+    if (!sessionId) return null;
+    const session = await store.sessions.findActiveById(sessionId, now);
+    return session && verifyLinkToken(linkToken, session, purpose, now) ? session : null;
+  };
+
+  // Authenticates dashboard requests by session token (or link token, see createLinkToken) and
+  // sets req.user and req.session
+  const authenticateUser = async (req, res, next) => {
+    try {
+      const token = readSessionToken(req);
+      const linkToken = token ? null : readLinkToken(req);
+      if (!token && !linkToken) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      const now = new Date();
+      const session = token
+        ? await store.sessions.findActive(hashSessionToken(token), now)
+        : await findLinkSession(req, linkToken, now);
+      const user = session && await store.users.get(session.userId);
+      if (!user) {
+        return res.status(401).json({ error: 'Invalid or expired session' });
+      }
+      // A page opened from a link must not pass its URL on
+      if (linkToken) res.set('Referrer-Policy', 'no-referrer');
+      req.user = user;
+      req.session = session;
+      req.sessionId = session._id;
+      next();
+    } catch (error) {
+      console.error('Error authenticating user:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  };
+
+  const requireRole = (role) => (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+    next();
+  };
+
+  // Writes an audit entry for every state-changing dashboard request once its response is sent,
+  // whether it succeeded or not. Routes name their action with audited() and describe what they
+  // changed with recordChange(); anything else is logged by method and route.
+  const auditRequests = (req, res, next) => {
+    if (!AUDITED_METHODS.includes(req.method)) return next();
+    res.on('finish', () => {
+      const path = req.originalUrl.split('?')[0];
+      const { actor, action, targetType = null, targetId = null, before = null, after = null } = req.audit || {};
+      store.audit.append({
+        timestamp: new Date(),
+        actor: actor ?? req.user?.username ?? null,
+        role: req.user?.role ?? null,
+        action: action || `${req.method} ${req.route?.path ?? path}`,
+        targetType,
+        targetId: targetId === null ? null : String(targetId),
+        before,
+        after,
+        method: req.method,
+        path,
+        status: res.statusCode,
+        ip: req.ip,
+        userAgent: req.get('user-agent') || null
+      }).catch((error) => console.error('Error writing audit entry:', error));
+    });
+    next();
+  };
+
+  // Names the action a route performs for the audit log; the target defaults to the :id parameter
+  const audited = (action, targetType, targetId = (req) => req.params.id) => (req, res, next) => {
+    req.audit = { action, targetType, targetId: targetId(req) ?? null };
+    next();
+  };
+
+  // Records what a route changed: the document before and after (null when created or deleted)
+  const recordChange = (req, before, after, targetId) => {
+    Object.assign(req.audit, auditChanges(before, after), targetId === undefined ? {} : { targetId });
+  };
+
+  const deliverAndLog = async (channel, payload, alertId) => {
+    const result = await deliver(channel, payload);
+    return store.deliveries.create({
+      alertId,
+      channelId: channel._id,
+      channelName: channel.name,
+      channelType: channel.type,
+      event: payload.event,
+      status: result.status,
+      attempts: result.attempts,
+      responseStatus: result.responseStatus,
+      error: result.error
+    });
+  };
+
+  // Sends an alert event to every enabled channel whose severity filter accepts it
+  const notifyAlert = async (alert, event = 'alert.created') => {
+    const channels = await store.channels.list({ enabled: true });
+    const payload = buildPayload(event, alert);
+    if (event === 'alert.created' || event === 'alert.backfilled') {
+      alertsCreated.inc({ severity: alert.severity, kind: alert.kind || 'battery' });
+    }
+    // Silenced alerts are recorded and counted, but nobody is paged
+    if (alert.silenced) return;
+    publishAlert(alert, payload);
+    await Promise.all(channels
+      .filter((channel) => channelAccepts(channel, alert.severity))
+      .map((channel) => deliverAndLog(channel, payload, alert._id)));
+  };
+
+  // Delivery (with webhook retries) must not hold up the request or job that raised the alert
+  const notifyInBackground = (alert, event) => {
+    notifyAlert(alert, event).catch((error) => console.error('Error sending notifications:', error));
+  };
+
+  // Folds an evaluated reading into the device's incident: extends the active one, reopens
+  // one closed within the cooldown, opens a new one, or counts towards closing it.
+  // Returns the incident the reading belongs to, or null for a normal reading. An incident
+  // follows the silence of its latest breach, and is announced once it leaves one.
+  const trackIncident = async (sample, silence) => {
+    const { deviceId, temperature, timestamp, triggered } = sample;
+    const current = await store.alerts.activeIncident(deviceId);
+
+    if (triggered.length === 0) {
+      if (current) {
+        const closed = recordClear(current, sample);
+        await store.alerts.save(current);
+        if (closed) {
+          broadcast('alert-updated', current);
+          console.log(`Incident on ${deviceId} closed after ${current.readingCount} readings (peak ${current.peakTemperature}°C)`);
+        }
+      }
+      return null;
+    }
+
+    const recent = current || await store.alerts.lastClosedIncident(deviceId);
+
+    if (current || withinCooldown(recent, timestamp)) {
+      const raised = recordBreach(recent, sample);
+      const unsilenced = applySilence(recent, silence);
+      await store.alerts.save(recent);
+      broadcast('alert-updated', recent);
+      if (unsilenced) {
+        notifyInBackground(recent, 'alert.unsilenced');
+      } else if (raised) {
+        notifyInBackground(recent, 'alert.escalated');
+      }
+      return recent;
+    }
+
+    const incident = await store.alerts.create({ ...newIncident(sample), ...silenceFields(silence) });
+    broadcast('alert', incident);
+    notifyInBackground(incident, 'alert.created');
+    console.log(`ALERT (${incident.severity}${silence ? ', silenced' : ''}): Temperature ${temperature}°C on ${deviceId} triggered ${triggered.map((entry) => entry.name).join(', ')}`);
+    return incident;
+  };
+
+  // Backfilled breaches fold into incidents of their own, tracked per upload in `state`, so
+  // hour-old readings neither join nor close the live incident
+  const trackBackfillIncident = async (state, sample, silence) => {
+    const { incident } = state;
+    if (sample.triggered.length === 0) {
+      if (incident?.active) {
+        recordClear(incident, sample);
+        await store.alerts.save(incident);
+      }
+      return null;
+    }
+
+    if (incident && (incident.active || withinCooldown(incident, sample.timestamp))) {
+      recordBreach(incident, sample);
+      applySilence(incident, silence);
+      await store.alerts.save(incident);
+      return incident;
+    }
+
+    state.incident = await store.alerts.create({ ...newIncident(sample), ...silenceFields(silence), backfilled: true });
+    state.created.push(state.incident);
+    notifyInBackground(state.incident, 'alert.backfilled');
+    return state.incident;
+  };
+
+  // Keeps one alert of `kind` open per device while a condition holds: created on the first
+  // sample where it fires, updated on the next ones, and closed after as many quiet samples as
+  // close a battery incident (or straight away with `close`)
+  const trackConditionAlert = async (deviceId, kind, { temperature, timestamp, firing, message, rules, silence = null, close = false }) => {
+    const current = await store.alerts.findActive(deviceId, kind);
+    if (!firing) {
+      if (!current) return null;
+      let closed = true;
+      if (close) {
+        current.active = false;
+        current.closedAt = timestamp;
+      } else {
+        closed = recordClear(current, { temperature, timestamp });
+      }
+      await store.alerts.save(current);
+      if (closed) {
+        broadcast('alert-updated', current);
+        console.log(`${kind} alert on ${deviceId} cleared`);
+      }
+      return null;
+    }
+
+    if (current) {
+      current.lastSeenAt = timestamp;
+      current.readingCount = (current.readingCount || 1) + 1;
+      current.clearStreak = 0;
+      current.temperature = temperature;
+      current.rules = rules;
+      current.message = message;
+      const unsilenced = applySilence(current, silence);
+      await store.alerts.save(current);
+      broadcast('alert-updated', current);
+      if (unsilenced) {
+        notifyInBackground(current, 'alert.unsilenced');
+      }
+      return current;
+    }
+
+    const alert = await store.alerts.create({
+      deviceId,
+      kind,
+      temperature,
+      severity: 'warning',
+      message,
+      rules,
+      timestamp,
+      active: true,
+      lastSeenAt: timestamp,
+      clearStreak: 0,
+      ...silenceFields(silence)
+    });
+    broadcast('alert', alert);
+    notifyInBackground(alert, 'alert.created');
+    console.log(`ALERT (${kind}${silence ? ', silenced' : ''}): ${message}`);
+    return alert;
+  };
+
+  // Sensor faults close after the same number of plausible readings that closes a battery incident
+  const trackSensorFault = (deviceId, { temperature, timestamp, faults, silence }) =>
+    trackConditionAlert(deviceId, 'sensor_fault', {
+      temperature,
+      timestamp,
+      silence,
+      firing: faults.length > 0,
+      message: faults.length > 0 ? faultMessage(deviceId, faults) : null,
+      rules: faults.map((fault) => ({ name: 'Sensor fault', type: fault.type, severity: 'warning', detail: fault.detail }))
+    });
+
+  // Fits the forecast to the device's plausible readings from the last few minutes
+  const loadForecast = async (deviceId, options, now = new Date()) => {
+    const readings = await store.readings.find({
+      deviceId,
+      plausible: true,
+      from: new Date(now.getTime() - FORECAST_SETTINGS.windowMinutes * 60 * 1000),
+      to: now
+    });
+    return { readings, forecast: forecastTemperature(readings, options) };
+  };
+
+  // A predicted-overheat alert stays open while the trend is due to reach a critical threshold
+  // within the lead time. It closes once the prediction stops holding, or straight away when the
+  // temperature actually turns critical and a battery incident takes over.
+  const trackPredictedOverheat = async (deviceId, rules, { temperature, timestamp, severity, silence }) => {
+    if (severity === 'critical') {
+      return trackConditionAlert(deviceId, 'predicted_overheat', { temperature, timestamp, firing: false, close: true });
+    }
+
+    const { forecast } = await loadForecast(deviceId, {}, timestamp);
+    const estimate = forecast && soonestCritical(thresholdEstimates(forecast, rules));
+    const firing = Boolean(estimate) && estimate.minutes <= FORECAST_SETTINGS.alertLeadMinutes;
+    return trackConditionAlert(deviceId, 'predicted_overheat', {
+      temperature,
+      timestamp,
+      silence,
+      firing,
+      message: firing ? predictionMessage(deviceId, forecast, estimate) : null,
+      rules: firing ? [{
+        ruleId: estimate.ruleId,
+        name: estimate.name,
+        type: 'threshold',
+        severity: estimate.severity,
+        threshold: estimate.threshold,
+        detail: estimate.minutes > 0 ? `expected at ${estimate.at.toISOString()}` : 'trend already at the threshold'
+      }] : []
+    });
+  };
+
+  // Anomalies fold into one alert per device while readings stay far from the baseline
+  const trackAnomaly = (deviceId, { temperature, timestamp, scored, silence }) => {
+    const firing = isAnomalous(scored);
+    return trackConditionAlert(deviceId, 'anomaly', {
+      temperature,
+      timestamp,
+      silence,
+      firing,
+      message: firing ? anomalyMessage(deviceId, temperature, scored) : null,
+      rules: firing ? [{
+        name: 'Anomaly',
+        type: 'anomaly',
+        severity: 'warning',
+        detail: `z = ${scored.score} against the ${scored.source} baseline (${scored.mean} ± ${scored.std}°C)`
+      }] : []
+    });
+  };
+
+  // Any contact from a device (even an upload of old readings) shows its sensor is back
+  const markDeviceSeen = async (deviceId, receivedAt, stuckTracker) => {
+    await store.devices.markSeen(deviceId, { lastSeenAt: receivedAt, stuckTracker });
+    const offline = await store.alerts.findActive(deviceId, 'sensor_offline');
+    if (offline) {
+      offline.active = false;
+      offline.closedAt = receivedAt;
+      offline.lastSeenAt = receivedAt;
+      await store.alerts.save(offline);
+      broadcast('alert-updated', offline);
+      console.log(`Sensor ${deviceId} back online`);
+    }
+  };
+
+  // Raises a sensor-offline alert for each device that has stopped reporting
+  const SENSOR_CHECK_INTERVAL_MS = 30000;
+  const checkSensorHealth = async () => {
+    const now = new Date();
+    const [devices, openAlerts, silences] = await Promise.all([
+      store.devices.list(),
+      store.alerts.list({ kind: 'sensor_offline', active: true }),
+      store.silences.list({ from: now, to: now }),
+    ]);
+    const alerting = new Set(openAlerts.map((alert) => alert.deviceId));
+    for (const device of devices) {
+      if (!device.lastSeenAt) continue;
+      const health = connectionHealth(device, now);
+      if (health.state !== 'offline' || alerting.has(device.deviceId)) continue;
+      const latest = await store.readings.latest({ deviceId: device.deviceId });
+      const alert = await store.alerts.create({
+        deviceId: device.deviceId,
+        kind: 'sensor_offline',
+        temperature: latest?.temperature,
+        severity: 'warning',
+        message: offlineMessage(device.deviceId, health),
+        timestamp: now,
+        active: true,
+        lastSeenAt: device.lastSeenAt,
+        ...silenceFields(coveringSilence(silences, device.deviceId, now))
+      });
+      broadcast('alert', alert);
+      notifyInBackground(alert, 'alert.created');
+      console.log(`SENSOR OFFLINE: ${alert.message}`);
+    }
+  };
+
+  // Escalates open incidents that have gone unacknowledged for too long, except while their
+  // device is silenced
+  const ESCALATION_CHECK_INTERVAL_MS = 30000;
+  const escalateIncidents = async () => {
+    const now = new Date();
+    const [incidents, silences] = await Promise.all([
+      store.alerts.openIncidents(),
+      store.silences.list({ from: now, to: now }),
+    ]);
+    for (const incident of incidents) {
+      if (!dueForEscalation(incident, now) || coveringSilence(silences, incident.deviceId, now)) continue;
+      escalate(incident, now);
+      await store.alerts.save(incident);
+      broadcast('alert-updated', incident);
+      notifyInBackground(incident, 'alert.escalated');
+      console.log(`Incident on ${incident.deviceId} escalated to level ${incident.escalationLevel}`);
+    }
+  };
+
+  const seedDefaultRules = async () => {
+    if (await store.rules.count() === 0) {
+      await store.rules.insertMany(DEFAULT_RULES);
+      console.log('Seeded default alert rules');
+    }
+  };
+
+  // Loads the device's earlier readings (newest first) needed by its rules
+  const loadRuleHistory = async (deviceId, rules, before) => {
+    const { windowSeconds, count } = historyRequirements(rules);
+    const [windowed, recent] = await Promise.all([
+      windowSeconds > 0
+        ? store.readings.find({ deviceId, plausible: true, from: new Date(before.getTime() - windowSeconds * 1000), to: before })
+        : [],
+      count > 0
+        ? store.readings.find({ deviceId, plausible: true, to: before }, { sort: -1, limit: count })
+        : [],
+    ]);
+    const byId = new Map([...windowed, ...recent].map((reading) => [String(reading._id), reading]));
+    return [...byId.values()].sort((a, b) => b.timestamp - a.timestamp);
+  };
+
+  // Stores a device's readings oldest first. Each entry carries the telemetry fields plus an
+  // optional device `timestamp` and `readingId`; `sentAt` is the device clock at upload time.
+  // Live readings are tracked and streamed as before; backfilled ones are evaluated against the
+  // history before them and announced with a single `backfill` event instead of per reading.
+  // Returns one result per entry, in request order.
+  const ingestReadings = async (deviceId, entries, { sentAt, receivedAt = new Date(), transport = 'http' }) => {
+    const stopTimer = ingestDuration.startTimer({ transport });
+    try {
+      const offsetMs = clockOffset(sentAt, receivedAt);
+      const results = [];
+      const pending = [];
+
+      entries.forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+          results[index] = { index, status: 'rejected', error: 'Reading must be an object' };
+          return;
+        }
+        const { values, error: telemetryError } = parseTelemetry(entry);
+        const { timestamp, error: timestampError } = resolveTimestamp(entry.timestamp, { receivedAt, offsetMs });
+        const error = telemetryError || timestampError || validateReadingId(entry.readingId);
+        if (error) {
+          results[index] = { index, status: 'rejected', error };
+          return;
+        }
+        pending.push({ index, values, timestamp, readingId: entry.readingId ?? undefined });
+      });
+
+      // Idempotency: keys already stored, or repeated earlier in this upload, are skipped
+      const readingIds = pending.map((item) => item.readingId).filter(Boolean);
+      const stored = readingIds.length > 0
+        ? await store.readings.findByReadingIds(deviceId, readingIds)
+        : [];
+      const seen = new Map(stored.map((reading) => [reading.readingId, reading._id]));
+      const fresh = [];
+      for (const item of pending) {
+        if (item.readingId && seen.has(item.readingId)) {
+          results[item.index] = { index: item.index, status: 'duplicate', id: seen.get(item.readingId) ?? null };
+          continue;
+        }
+        if (item.readingId) seen.set(item.readingId, null);
+        fresh.push(item);
+      }
+      fresh.sort((a, b) => a.timestamp - b.timestamp);
+
+      const [device, allRules, newest, storedBaseline, silences] = await Promise.all([
+        store.devices.get(deviceId, { includeTracker: true }),
+        store.rules.list({ enabled: true }),
+        store.readings.latest({ deviceId }),
+        store.baselines.get(deviceId),
+        fresh.length > 0
+          ? store.silences.list({ deviceId, from: fresh[0].timestamp, to: fresh[fresh.length - 1].timestamp })
+          : [],
+      ]);
+      const rules = rulesForDevice(allRules, deviceId);
+      let newestTimestamp = newest?.timestamp ?? null;
+      const backfill = { incident: null, created: [], count: 0, from: null, to: null };
+      const stuckTracker = { ...device?.stuckTracker };
+      const baseline = storedBaseline || newBaseline(deviceId);
+      let baselineChanged = false;
+
+      for (const { index, values, timestamp, readingId } of fresh) {
+        const { temperature } = values;
+        const metrics = { ...values, ...deriveMetrics(values, device) };
+        const backfilled = isBackfill(timestamp, { receivedAt, newestTimestamp });
+        const silence = coveringSilence(silences, deviceId, timestamp);
+        const previous = await store.readings.latest({ deviceId, before: timestamp });
+        const faults = detectFaults(values, { device, previous, timestamp, tracker: stuckTracker });
+
+        // An implausible value says nothing about the battery: skip the rules and leave incidents alone
+        let severity = 'normal';
+        let triggered = [];
+        let incident = null;
+        let scored = null;
+        if (!isImplausible(faults)) {
+          scored = scoreReading(baseline, temperature, timestamp);
+          updateBaseline(baseline, temperature, timestamp, scored);
+          baselineChanged = true;
+
+          const history = await loadRuleHistory(deviceId, rules, timestamp);
+          ({ severity, triggered } = evaluateRules(rules, { temperature, timestamp }, history));
+          const sample = { deviceId, temperature, timestamp, severity, triggered };
+          incident = backfilled ? await trackBackfillIncident(backfill, sample, silence) : await trackIncident(sample, silence);
+        }
+        if (!backfilled) {
+          await trackSensorFault(deviceId, { temperature, timestamp, faults, silence });
+        }
+
+        let reading;
+        try {
+          reading = await store.readings.insert({
+            deviceId,
+            ...metrics,
+            timestamp,
+            receivedAt,
+            readingId,
+            backfilled,
+            faults: faults.length > 0 ? faults : undefined,
+            anomalyScore: scored?.score,
+            anomaly: isAnomalous(scored),
+            alert: triggered.length > 0,
+            severity,
+            alertId: incident?._id ?? null,
+            ...silenceFields(silence)
+          });
+        } catch (error) {
+          // A concurrent retry stored the same readingId first
+          if (error instanceof DuplicateKeyError) {
+            results[index] = { index, status: 'duplicate', id: null };
+            continue;
+          }
+          throw error;
+        }
+
+        if (backfilled) {
+          backfill.count++;
+          backfill.from = backfill.from && backfill.from < timestamp ? backfill.from : timestamp;
+          backfill.to = backfill.to && backfill.to > timestamp ? backfill.to : timestamp;
+        } else {
+          broadcast('reading', reading);
+          newestTimestamp = timestamp;
+          if (!isImplausible(faults)) {
+            await trackPredictedOverheat(deviceId, rules, { temperature, timestamp, severity, silence });
+            await trackAnomaly(deviceId, { temperature, timestamp, scored, silence });
+          }
+        }
+        results[index] = { index, status: 'created', reading, metrics };
+      }
+
+      // An incident still open when the upload ends is closed at its last breach; if the device is
+      // still over threshold, its next live reading opens a live incident
+      if (backfill.incident?.active) {
+        backfill.incident.active = false;
+        backfill.incident.closedAt = backfill.incident.lastSeenAt;
+        await store.alerts.save(backfill.incident);
+      }
+      await markDeviceSeen(deviceId, receivedAt, stuckTracker);
+      if (baselineChanged) {
+        await store.baselines.save(deviceId, { rolling: baseline.rolling, hourly: baseline.hourly, updatedAt: receivedAt });
+      }
+      if (backfill.count > 0) {
+        broadcast('backfill', {
+          deviceId,
+          count: backfill.count,
+          from: backfill.from,
+          to: backfill.to,
+          alerts: backfill.created.map((incident) => incident._id)
+        });
+      }
+      results.forEach((result) => readingsIngested.inc({ transport, status: result.status }));
+      return { results, clockSkewMs: offsetMs };
+    } finally {
+      stopTimer();
+    }
+  };
+
+  // Rolls complete hours into rollups, then deletes raw readings and rollups past retention.
+  // Hours within the ingest backfill window are recomputed so late uploads are included.
+  const applyRetention = async () => {
+    const now = new Date();
+    const until = floorTo(now, BUCKET_SIZES.hour);
+    const newest = await store.rollups.newest();
+    const oldest = newest ? null : await store.readings.oldest();
+    const since = newest
+      ? new Date(newest.bucketStart.getTime() - INGEST_SETTINGS.maxAgeMs)
+      : oldest && floorTo(oldest.timestamp, BUCKET_SIZES.hour);
+    if (since && since < until) {
+      await store.rollups.build({ from: since, before: until });
+    }
+
+    const raw = rawCutoff(now);
+    if (raw) {
+      const deletedCount = await store.readings.deleteBefore(raw);
+      if (deletedCount > 0) console.log(`Retention: deleted ${deletedCount} raw readings before ${raw.toISOString()}`);
+    }
+    const rollups = rollupCutoff(now);
+    if (rollups) {
+      const deletedCount = await store.rollups.deleteBefore(rollups);
+      if (deletedCount > 0) console.log(`Retention: deleted ${deletedCount} hourly rollups before ${rollups.toISOString()}`);
+    }
+  };
+
+  // Builds a report for [from, to). Periods reaching past raw retention are read from the
+  // hourly rollups up to the raw cutoff, the same split the history API uses.
+  const generateReport = async ({ from, to, deviceId = null }) => {
+    const devices = (await store.devices.list()).filter((device) => !deviceId || device.deviceId === deviceId);
+    const accumulator = createReportAccumulator({ to, devices });
+
+    const raw = rawCutoff();
+    const rawFrom = raw && raw > from ? raw : from;
+    if (rawFrom > from) {
+      const rollups = store.rollups.stream({ deviceId, from, before: rawFrom < to ? rawFrom : to });
+      for await (const rollup of rollups) accumulator.addRollup(rollup);
+    }
+    if (rawFrom < to) {
+      const readings = store.readings.stream({ deviceId, from: rawFrom, before: to });
+      for await (const reading of readings) accumulator.addReading(reading);
+    }
+
+    const alerts = await store.alerts.list({ deviceId, from, before: to });
+    return buildReport({ from, to, deviceId, totals: accumulator.finish(), alerts });
+  };
+
+  // Stores yesterday's fleet-wide report once it is due, unless it already exists
+  const storeDailyReport = async () => {
+    const day = dueDailyReportDate();
+    if (!day || await store.dailyReports.exists(dayKey(day))) return;
+    const to = new Date(day.getTime() + BUCKET_SIZES.day);
+    const report = await generateReport({ from: day, to });
+    await store.dailyReports.insert({ date: dayKey(day), from: day, to, generatedAt: report.generatedAt, report });
+    console.log(`Stored daily report for ${dayKey(day)}`);
+  };
+
+
+  // Readiness: the store must answer a ping. MQTT is reported but not required, since
+  // devices can still upload over HTTP while the broker is away.
+  const checkReadiness = async () => {
+    const database = { ...await store.ping(), store: store.kind };
+    const checks = { database };
+    if (MQTT_SETTINGS.url) {
+      checks.mqtt = { status: isMqttConnected() ? 'up' : 'down', required: false };
+    }
+    return { ready: database.status === 'up', checks };
+  };
+
+  // Refreshes the gauges that reflect stored state. Database figures are skipped while it is down.
+  const collectMetrics = async () => {
+    const { ready } = await checkReadiness();
+    dbUpGauge.set({}, ready ? 1 : 0);
+    streamClientsGauge.set({}, clientCount());
+    memoryGauge.set({}, process.memoryUsage().rss);
+    if (MQTT_SETTINGS.url) mqttUpGauge.set({}, isMqttConnected() ? 1 : 0);
+    if (!ready) return;
+
+    const [latest, unacknowledged] = await Promise.all([
+      store.readings.latestByDevice(),
+      store.alerts.unacknowledgedBySeverity()
+    ]);
+    temperatureGauge.reset();
+    lastReadingGauge.reset();
+    for (const reading of latest) {
+      temperatureGauge.set({ device_id: reading.deviceId }, reading.temperature);
+      lastReadingGauge.set({ device_id: reading.deviceId }, Math.floor(new Date(reading.timestamp).getTime() / 1000));
+    }
+    for (const [severity, count] of Object.entries(unacknowledged)) {
+      unacknowledgedGauge.set({ severity }, count);
+    }
+  };
+
+  // Liveness: the process is up and serving requests
+  app.get('/health/live', (req, res) => {
+    res.json({ status: 'OK', uptimeSeconds: Math.round(process.uptime()), timestamp: new Date() });
+  });
+
+  // Readiness: 503 until the store is reachable
+  app.get('/health/ready', async (req, res) => {
+    try {
+      const { ready, checks } = await checkReadiness();
+      res.status(ready ? 200 : 503).json({ status: ready ? 'READY' : 'NOT_READY', checks, timestamp: new Date() });
+    } catch (error) {
+      console.error('Error checking readiness:', error);
+      res.status(503).json({ status: 'NOT_READY', error: 'Readiness check failed', timestamp: new Date() });
+    }
+  });
+
+  // Health check: liveness and readiness together, 200 even while degraded so it can be read;
+  // 503 only when the check itself fails
+  app.get('/health', async (req, res) => {
+    try {
+      const { ready, checks } = await checkReadiness();
+      res.json({
+        status: ready ? 'OK' : 'DEGRADED',
+        live: true,
+        ready,
+        uptimeSeconds: Math.round(process.uptime()),
+        checks,
+        timestamp: new Date()
+      });
+    } catch (error) {
+      console.error('Error checking health:', error);
+      res.status(503).json({ status: 'ERROR', error: 'Health check failed', timestamp: new Date() });
+    }
+  });
+
+  // Prometheus scrape endpoint; protected by METRICS_TOKEN when it is set
+  app.get('/metrics', async (req, res) => {
+    const { metricsToken } = SERVER_SETTINGS;
+    const token = readSessionToken(req);
+    if (metricsToken && !(token && secretMatches(token, metricsToken))) {
+      return res.status(401).json({ error: 'Invalid metrics token' });
+    }
+    try {
+      await collectMetrics();
+    } catch (error) {
+      console.error('Error collecting metrics:', error);
+    }
+    res.type(METRICS_CONTENT_TYPE).send(renderMetrics());
+  });
+
+  // Save temperature data from Arduino
+  app.post('/api/data', requireDeviceKey, async (req, res) => {
+    try {
+      const sentAt = parseDeviceTime(req.body.sentAt);
+      if (sentAt === null) {
+        return res.status(400).json({ error: 'Invalid sentAt' });
+      }
+      const { deviceId } = req;
+      const { results: [result] } = await ingestReadings(deviceId, [req.body], { sentAt });
+      if (result.status === 'rejected') {
+        return res.status(400).json({ error: result.error });
+      }
+      if (result.status === 'duplicate') {
+        return res.json({ message: 'Duplicate reading ignored', deviceId, duplicate: true, id: result.id });
+      }
+
+      const { reading, metrics } = result;
+      res.status(201).json({ 
+        message: 'Data saved successfully', 
+        deviceId,
+        alert: reading.alert,
+        severity: reading.severity,
+        alertId: reading.alertId,
+        ...metrics,
+        timestamp: reading.timestamp,
+        backfilled: reading.backfilled,
+        silenced: reading.silenced,
+        faults: reading.faults ?? []
+      });
+    } catch (error) {
+      console.error('Error saving data:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Save a batch of buffered readings: { sentAt?, readings: [{ temperature, ..., timestamp?, readingId? }] }
+  app.post('/api/data/batch', requireDeviceKey, async (req, res) => {
+    try {
+      const { readings } = req.body;
+      if (!Array.isArray(readings) || readings.length === 0) {
+        return res.status(400).json({ error: 'readings must be a non-empty array' });
+      }
+      if (readings.length > INGEST_SETTINGS.maxBatchSize) {
+        return res.status(413).json({ error: `At most ${INGEST_SETTINGS.maxBatchSize} readings per batch` });
+      }
+      const sentAt = parseDeviceTime(req.body.sentAt);
+      if (sentAt === null) {
+        return res.status(400).json({ error: 'Invalid sentAt' });
+      }
+
+      const { deviceId } = req;
+      const { results, clockSkewMs } = await ingestReadings(deviceId, readings, { sentAt });
+      const count = (status) => results.filter((result) => result.status === status).length;
+      res.json({
+        deviceId,
+        accepted: count('created'),
+        duplicates: count('duplicate'),
+        rejected: count('rejected'),
+        clockSkewMs,
+        results: results.map(({ index, status, id, error, reading }) => (reading ? {
+          index,
+          status,
+          id: reading._id,
+          timestamp: reading.timestamp,
+          severity: reading.severity,
+          alertId: reading.alertId,
+          backfilled: reading.backfilled,
+          silenced: reading.silenced,
+          faults: reading.faults ?? []
+        } : { index, status, id, error }))
+      });
+    } catch (error) {
+      console.error('Error saving batch:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Readings published over MQTT; without a response to send, problems are logged
+  const ingestMqttMessage = async (deviceId, message) => {
+    const { entries, sentAt, apiKey, error } = parseMqttMessage(message);
+    if (error) {
+      return console.warn(`MQTT message from ${deviceId} rejected: ${error}`);
+    }
+    if (MQTT_SETTINGS.requireApiKey) {
+      const verified = await verifyDeviceKey(apiKey, deviceId);
+      if (verified.error) {
+        return console.warn(`MQTT message from ${deviceId} rejected: ${verified.error}`);
+      }
+    } else if (!await store.devices.exists(deviceId)) {
+      return console.warn(`MQTT message from unregistered device ${deviceId} ignored`);
+    }
+
+    const { results } = await ingestReadings(deviceId, entries, { sentAt, transport: 'mqtt' });
+    const rejected = results.filter((result) => result.status === 'rejected');
+    if (rejected.length > 0) {
+      console.warn(`MQTT: ${rejected.length} of ${results.length} readings from ${deviceId} rejected: ${rejected.map((result) => result.error).join('; ')}`);
+    }
+  };
+
+  // A link token for the live stream or a download. Not audited: the dashboard asks for one
+  // each time it connects the stream or starts a download.
+  app.post('/api/auth/link-token', authenticateUser, (req, res) => {
+    const { purpose } = req.body;
+    if (!LINK_PURPOSES.includes(purpose)) {
+      return res.status(400).json({ error: `purpose must be one of: ${LINK_PURPOSES.join(', ')}` });
+    }
+    res.json(createLinkToken(req.session, purpose));
+  });
+
+  // Every state-changing request below is written to the audit log (device ingest and link
+  // tokens above are not)
+  app.use('/api', auditRequests);
+
+  // Log in with username and password; returns a session token
+  app.post('/api/auth/login', audited('auth.login', 'user', () => null), async (req, res) => {
+    try {
+      const { username, password } = req.body;
+      if (typeof username !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({ error: 'Username and password are required' });
+      }
+      // Failed attempts are logged under the username that was tried
+      req.audit.actor = username.trim();
+      const user = await store.users.findByUsername(username.trim());
+      if (!user || !await verifyPassword(password, user.passwordHash)) {
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+      const { token, tokenHash } = generateSessionToken();
+      const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+      await store.sessions.create({ tokenHash, userId: user._id, expiresAt });
+      req.audit.targetId = user._id;
+      res.json({ token, expiresAt, user: publicUser(user) });
+    } catch (error) {
+      console.error('Error logging in:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Every route below requires a logged-in user
+  app.use('/api', authenticateUser);
+
+  // Log out (ends the current session)
+  app.post('/api/auth/logout', audited('auth.logout', 'session', (req) => req.sessionId), async (req, res) => {
+    try {
+      await store.sessions.remove(req.sessionId);
+      endStreams({ sessionId: req.sessionId });
+      res.json({ message: 'Logged out' });
+    } catch (error) {
+      console.error('Error logging out:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Current user
+  app.get('/api/auth/me', (req, res) => {
+    res.json(publicUser(req.user));
+  });
+
+  // Read-only settings the dashboard needs; secrets and connection details are never included
+  app.get('/api/config', (req, res) => {
+    res.json({
+      environment: SERVER_SETTINGS.nodeEnv,
+      sensorHealth: {
+        defaultIntervalSeconds: SENSOR_SETTINGS.defaultIntervalSeconds,
+        staleAfterIntervals: SENSOR_SETTINGS.staleAfterIntervals,
+        offlineAfterIntervals: SENSOR_SETTINGS.offlineAfterIntervals,
+        sensorTypes: Object.keys(SENSOR_TYPES)
+      },
+      forecast: {
+        horizonMinutes: FORECAST_SETTINGS.horizonMinutes,
+        maxHorizonMinutes: FORECAST_SETTINGS.maxHorizonMinutes,
+        alertLeadMinutes: FORECAST_SETTINGS.alertLeadMinutes,
+        methods: FORECAST_METHODS
+      },
+      anomaly: { zThreshold: ANOMALY_SETTINGS.zThreshold },
+      retention: { rawDays: RETENTION_SETTINGS.rawDays, rollupDays: RETENTION_SETTINGS.rollupDays },
+      ingest: { maxBatchSize: INGEST_SETTINGS.maxBatchSize },
+      reports: { maxDays: REPORT_SETTINGS.maxDays, periods: Object.keys(REPORT_PERIODS) },
+      export: { formats: Object.keys(EXPORT_FORMATS) }
+    });
+  });
+
+  // Live stream of readings, alerts and acknowledgements (Server-Sent Events)
+  app.get('/api/stream', subscribe);
+
+  // Handlers shared by the global and per-device routes; `filter` scopes the query
+  const sendLatest = async (filter, res) => {
+    const latest = await store.readings.latest(filter);
+    if (!latest) {
+      return res.status(404).json({ error: 'No data found' });
+    }
+    res.json(latest);
+  };
+
+  // Raw readings are paginated; with `bucket` the range is downsampled to min/avg/max per bucket
+  const sendHistory = async (filter, query, res) => {
+    const { from, to, bucket, error } = parseHistoryQuery(query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Ranges reaching past raw retention are served from hourly rollups for the older part,
+    // so they come back downsampled to at least an hour whatever bucket was asked for
+    const cutoff = rawCutoff();
+    if (from && cutoff && from < cutoff) {
+      const effectiveBucket = bucket === 'day' ? 'day' : 'hour';
+      const [recent, older] = await Promise.all([
+        !to || to >= cutoff ? store.readings.buckets({ ...filter, from: cutoff, to }, effectiveBucket) : [],
+        store.rollups.buckets({
+          ...filter,
+          from: floorTo(from, BUCKET_SIZES.hour),
+          before: to && to < cutoff ? to : cutoff
+        }, effectiveBucket),
+      ]);
+      const rows = mergeBucketRows([...recent, ...older]);
+      return res.json({ data: rows.map(formatBucket), bucket: effectiveBucket, from, to, rollupBefore: cutoff });
+    }
+
+    if (bucket) {
+      const rows = await store.readings.buckets({ ...filter, from, to }, bucket);
+      return res.json({ data: rows.map(formatBucket), bucket, from, to });
+    }
+
+    const { page = 1, limit = 50 } = query;
+    const readings = await store.readings.find({ ...filter, from, to }, {
+      sort: -1,
+      skip: (page - 1) * limit,
+      limit: parseInt(limit)
+    });
+    res.json({ data: readings, from, to });
+  };
+
+  const sendAlertStats = async (filter, res) => {
+    const stats = await store.alerts.stats(filter, { since: new Date(new Date().setHours(0, 0, 0, 0)) });
+    res.json({
+      total: stats.total,
+      unacknowledged: stats.unacknowledged,
+      resolved: stats.resolved,
+      active: stats.active,
+      today: stats.today,
+      critical: stats.critical,
+      warning: stats.total - stats.critical
+    });
+  };
+
+  // Get latest reading
+  app.get('/api/data/latest', async (req, res) => {
+    try {
+      await sendLatest({}, res);
+    } catch (error) {
+      console.error('Error fetching latest data:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Get historical data
+  app.get('/api/data', async (req, res) => {
+    try {
+      await sendHistory({}, req.query, res);
+    } catch (error) {
+      console.error('Error fetching historical data:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Get alerts
+  app.get('/api/alerts', async (req, res) => {
+    try {
+      const alerts = await store.alerts.list({ deviceId: req.query.deviceId }, { limit: 20 });
+      res.json(alerts);
+    } catch (error) {
+      console.error('Error fetching alerts:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Get alert statistics
+  app.get('/api/alerts/stats', async (req, res) => {
+    try {
+      await sendAlertStats({}, res);
+    } catch (error) {
+      console.error('Error fetching alert stats:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  const ACTION_RESULTS = {
+    acknowledge: { event: 'alert-acknowledged', message: 'Alert acknowledged' },
+    unacknowledge: { event: 'alert-updated', message: 'Alert unacknowledged' },
+    resolve: { event: 'alert-updated', message: 'Alert resolved' },
+  };
+
+  const actionDetails = (req) => ({
+    by: req.user.username,
+    note: typeof req.body.note === 'string' ? req.body.note.trim() : ''
+  });
+
+  // Acknowledge, un-acknowledge or resolve a single alert
+  const alertActionHandler = (action) => async (req, res) => {
+    try {
+      const alert = await store.alerts.get(req.params.id);
+      if (!alert) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+      const before = { ...alert };
+      const transitionError = applyAlertAction(alert, action, actionDetails(req));
+      if (transitionError) {
+        return res.status(409).json({ error: transitionError });
+      }
+      await store.alerts.save(alert);
+      recordChange(req, before, alert);
+      broadcast(ACTION_RESULTS[action].event, alert);
+      res.json({ message: ACTION_RESULTS[action].message, alert });
+    } catch (error) {
+      console.error(`Error applying ${action} to alert:`, error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  };
+
+  app.put('/api/alerts/:id/acknowledge', requireRole('operator'), audited('alert.acknowledge', 'alert'), alertActionHandler('acknowledge'));
+  app.put('/api/alerts/:id/unacknowledge', requireRole('operator'), audited('alert.unacknowledge', 'alert'), alertActionHandler('unacknowledge'));
+  app.put('/api/alerts/:id/resolve', requireRole('operator'), audited('alert.resolve', 'alert'), alertActionHandler('resolve'));
+
+  // Bulk acknowledge; alerts that are missing or not open are reported as skipped
+  app.put('/api/alerts/acknowledge', requireRole('operator'), audited('alert.acknowledge', 'alert'), async (req, res) => {
+    try {
+      const { ids } = req.body;
+      if (!Array.isArray(ids) || ids.length === 0 || !ids.every((id) => store.isValidId(id))) {
+        return res.status(400).json({ error: 'ids must be a non-empty array of alert IDs' });
+      }
+      const details = actionDetails(req);
+      const alerts = await store.alerts.findByIds(ids);
+      const acknowledged = [];
+      for (const alert of alerts) {
+        if (applyAlertAction(alert, 'acknowledge', details)) continue;
+        await store.alerts.save(alert);
+
+        broadcast('alert-acknowledged', alert);
+        acknowledged.push(alert);
+      }
+      const acknowledgedIds = new Set(acknowledged.map((alert) => String(alert._id)));
+      recordChange(req, null, { acknowledged: [...acknowledgedIds] });
+      res.json({
+        message: `${acknowledged.length} alert(s) acknowledged`,
+        alerts: acknowledged,
+        skipped: ids.filter((id) => !acknowledgedIds.has(String(id)))
+      });
+    } catch (error) {
+      console.error('Error bulk acknowledging alerts:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Shared by the export routes: validates format and time range, then streams the cursor
+  const READING_EXPORT_COLUMNS = ['timestamp', 'deviceId', ...SERIES, 'cellVoltages', 'severity', 'alert', 'alertId', 'silenced'];
+  const ALERT_EXPORT_COLUMNS = [
+    'timestamp', 'deviceId', 'severity', 'status', 'temperature', 'message', 'silenced',
+    'acknowledgedBy', 'acknowledgedAt', 'acknowledgeNote', 'resolvedBy', 'resolvedAt', 'resolveNote'
+  ];
+
+  const exportHandler = (collection, columns, name, buildQuery) => async (req, res) => {
+    try {
+      const format = req.query.format || 'csv';
+      if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+      }
+      const { from, to, error } = parseHistoryQuery({ from: req.query.from, to: req.query.to });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const query = { ...buildQuery(req.query), from, to, deviceId: req.query.deviceId };
+      const cursor = store[collection].stream(query);
+      const stamp = new Date().toISOString().slice(0, 10);
+      await streamExport(res, cursor, { format, columns, filename: `${name}-${stamp}` });
+    } catch (error) {
+      console.error(`Error exporting ${name}:`, error);
+      if (res.headersSent) {
+        return res.destroy();
+      }
+      res.status(500).json({ error: 'Server error' });
+    }
+  };
+
+  // Export readings (filters: from, to, deviceId, alert=true|false)
+  app.get('/api/export/readings', exportHandler('readings', READING_EXPORT_COLUMNS, 'readings', (query) => (
+    query.alert === undefined ? {} : { alert: query.alert === 'true' }
+  )));
+
+  // Export alerts (filters: from, to, deviceId, severity, status)
+  app.get('/api/export/alerts', exportHandler('alerts', ALERT_EXPORT_COLUMNS, 'alerts', (query) => ({
+    severity: query.severity,
+    status: query.status
+  })));
+
+  const sendReport = (req, res, report) => {
+    if (req.query.format === 'html') {
+      return res.type('html').send(renderReportHtml(report));
+    }
+    res.json(report);
+  };
+
+  const validReportFormat = (req, res) => {
+    if (req.query.format !== undefined && !REPORT_FORMATS.includes(req.query.format)) {
+      res.status(400).json({ error: `format must be one of: ${REPORT_FORMATS.join(', ')}` });
+      return false;
+    }
+    return true;
+  };
+
+  // Generate a report (period=day|week with optional date=YYYY-MM-DD, or from/to; deviceId;
+  // format=json|html)
+  app.get('/api/reports', async (req, res) => {
+    try {
+      if (!validReportFormat(req, res)) return;
+      const { from, to, error } = parseReportQuery(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const report = await generateReport({ from, to, deviceId: req.query.deviceId || null });
+      sendReport(req, res, report);
+    } catch (error) {
+      console.error('Error generating report:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // List stored daily reports, newest first
+  app.get('/api/reports/daily', async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 30, 365);
+      const reports = await store.dailyReports.list({ limit });
+      res.json(reports.map(({ report, ...rest }) => ({ ...rest, ...report })));
+    } catch (error) {
+      console.error('Error fetching daily reports:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Fetch a stored daily report by UTC date (format=json|html)
+  app.get('/api/reports/daily/:date', async (req, res) => {
+    try {
+      if (!validReportFormat(req, res)) return;
+      const stored = await store.dailyReports.get(req.params.date);
+      if (!stored) {
+        return res.status(404).json({ error: 'Report not found' });
+      }
+      sendReport(req, res, stored.report);
+    } catch (error) {
+      console.error('Error fetching daily report:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // List devices with their most recent reading
+  app.get('/api/devices', async (req, res) => {
+    try {
+      const [devices, latest] = await Promise.all([store.devices.list(), store.readings.latestByDevice()]);
+      const latestByDevice = new Map(latest.map((reading) => [reading.deviceId, reading]));
+      const now = new Date();
+      res.json(devices.map((device) => ({
+        ...device,
+        health: connectionHealth(device, now),
+        latestReading: latestByDevice.get(device.deviceId) || null
+      })));
+    } catch (error) {
+      console.error('Error fetching devices:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Returns an error message for invalid optional device settings, or null when they are valid
+  const validateDeviceSettings = ({ cellCount, sensorType, expectedIntervalSeconds }) => {
+    if (cellCount !== undefined && !(Number.isInteger(cellCount) && cellCount >= 0)) {
+      return 'cellCount must be a non-negative integer';
+    }
+    if (sensorType !== undefined && !Object.hasOwn(SENSOR_TYPES, sensorType)) {
+      return `sensorType must be one of: ${Object.keys(SENSOR_TYPES).join(', ')}`;
+    }
+    if (expectedIntervalSeconds !== undefined && expectedIntervalSeconds !== null &&
+        !(typeof expectedIntervalSeconds === 'number' && expectedIntervalSeconds > 0)) {
+      return 'expectedIntervalSeconds must be a positive number';
+    }
+    return null;
+  };
+
+  // Register a device
+  app.post('/api/devices', requireRole('admin'), audited('device.create', 'device', (req) => req.body.deviceId), async (req, res) => {
+    try {
+      const { deviceId, name, location, description, cellCount, sensorType, expectedIntervalSeconds } = req.body;
+      if (!deviceId || typeof deviceId !== 'string' || !deviceId.trim()) {
+        return res.status(400).json({ error: 'Invalid deviceId' });
+      }
+      const settingsError = validateDeviceSettings(req.body);
+      if (settingsError) {
+        return res.status(400).json({ error: settingsError });
+      }
+      const device = await store.devices.create({
+        deviceId,
+        name: name || deviceId,
+        location,
+        description,
+        cellCount,
+        sensorType,
+        expectedIntervalSeconds
+      });
+      recordChange(req, null, device);
+      res.status(201).json(device);
+    } catch (error) {
+      if (error instanceof DuplicateKeyError) {
+        return res.status(409).json({ error: 'Device already registered' });
+      }
+      console.error('Error registering device:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Get a single device
+  app.get('/api/devices/:deviceId', async (req, res) => {
+    try {
+      const device = await store.devices.get(req.params.deviceId);
+      if (!device) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+      res.json({ ...device, health: connectionHealth(device) });
+    } catch (error) {
+      console.error('Error fetching device:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Update device metadata (the deviceId itself is immutable)
+  app.put('/api/devices/:deviceId', requireRole('admin'), audited('device.update', 'device', (req) => req.params.deviceId), async (req, res) => {
+    try {
+      const { name, location, description, cellCount, sensorType, expectedIntervalSeconds } = req.body;
+      const settingsError = validateDeviceSettings(req.body);
+      if (settingsError) {
+        return res.status(400).json({ error: settingsError });
+      }
+      const update = {};
+      if (name !== undefined) update.name = name;
+      if (location !== undefined) update.location = location;
+      if (description !== undefined) update.description = description;
+      if (cellCount !== undefined) update.cellCount = cellCount;
+      if (sensorType !== undefined) update.sensorType = sensorType;
+      if (expectedIntervalSeconds !== undefined) update.expectedIntervalSeconds = expectedIntervalSeconds;
+
+      const before = await store.devices.get(req.params.deviceId);
+      const device = before && await store.devices.update(req.params.deviceId, update);
+      if (!device) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+      recordChange(req, before, device);
+      res.json(device);
+    } catch (error) {
+      console.error('Error updating device:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Remove a device (its readings and alerts are kept for history, its API keys are revoked)
+  app.delete('/api/devices/:deviceId', requireRole('admin'), audited('device.delete', 'device', (req) => req.params.deviceId), async (req, res) => {
+    try {
+      const device = await store.devices.remove(req.params.deviceId);
+      if (!device) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+      await store.apiKeys.revokeAll(device.deviceId, new Date());
+      recordChange(req, device, null);
+      res.json({ message: 'Device removed', device });
+    } catch (error) {
+      console.error('Error removing device:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Issues a new key for a registered device; the plaintext key is only ever returned here
+  const issueApiKey = async (deviceId) => {
+    const { key, keyHash, prefix } = generateApiKey();
+    const apiKey = await store.apiKeys.create({ deviceId, keyHash, prefix });
+    return { ...publicApiKey(apiKey), key };
+  };
+
+  // List a device's API keys
+  app.get('/api/devices/:deviceId/keys', requireRole('admin'), async (req, res) => {
+    try {
+      const keys = await store.apiKeys.listForDevice(req.params.deviceId);
+      res.json(keys.map(publicApiKey));
+    } catch (error) {
+      console.error('Error fetching API keys:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Issue an additional API key for a device
+  app.post('/api/devices/:deviceId/keys', requireRole('admin'), audited('apiKey.create', 'device', (req) => req.params.deviceId), async (req, res) => {
+    try {
+      if (!await store.devices.exists(req.params.deviceId)) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+      const apiKey = await issueApiKey(req.params.deviceId);
+      recordChange(req, null, apiKey);
+      res.status(201).json(apiKey);
+    } catch (error) {
+      console.error('Error issuing API key:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Rotate: revoke every active key of a device and issue a replacement
+  app.post('/api/devices/:deviceId/keys/rotate', requireRole('admin'), audited('apiKey.rotate', 'device', (req) => req.params.deviceId), async (req, res) => {
+    try {
+      if (!await store.devices.exists(req.params.deviceId)) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+      const revokedCount = await store.apiKeys.revokeAll(req.params.deviceId, new Date());
+      const rotated = { ...await issueApiKey(req.params.deviceId), revokedCount };
+      recordChange(req, null, rotated);
+      res.status(201).json(rotated);
+    } catch (error) {
+      console.error('Error rotating API keys:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Revoke a single API key
+  app.delete('/api/devices/:deviceId/keys/:keyId', requireRole('admin'), audited('apiKey.revoke', 'apiKey', (req) => req.params.keyId), async (req, res) => {
+    try {
+      const before = await store.apiKeys.get(req.params.deviceId, req.params.keyId);
+      if (!before) {
+        return res.status(404).json({ error: 'API key not found' });
+      }
+      let apiKey = before;
+      if (!apiKey.revokedAt) {
+        apiKey = await store.apiKeys.revoke(apiKey._id, new Date());
+      }
+      recordChange(req, publicApiKey(before), publicApiKey(apiKey));
+      res.json({ message: 'API key revoked', key: publicApiKey(apiKey) });
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Get latest reading for a device
+  app.get('/api/devices/:deviceId/data/latest', async (req, res) => {
+    try {
+      await sendLatest({ deviceId: req.params.deviceId }, res);
+    } catch (error) {
+      console.error('Error fetching latest device data:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Get historical data for a device
+  app.get('/api/devices/:deviceId/data', async (req, res) => {
+    try {
+      await sendHistory({ deviceId: req.params.deviceId }, req.query, res);
+    } catch (error) {
+      console.error('Error fetching device historical data:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Get alert statistics for a device
+  app.get('/api/devices/:deviceId/alerts/stats', async (req, res) => {
+    try {
+      await sendAlertStats({ deviceId: req.params.deviceId }, res);
+    } catch (error) {
+      console.error('Error fetching device alert stats:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Forecast a device's temperature: ?minutes (horizon) and ?method=linear|holt
+  app.get('/api/devices/:deviceId/forecast', async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      const method = req.query.method || 'linear';
+      const minutes = req.query.minutes === undefined ? FORECAST_SETTINGS.horizonMinutes : Number(req.query.minutes);
+      if (!FORECAST_METHODS.includes(method)) {
+        return res.status(400).json({ error: `method must be one of: ${FORECAST_METHODS.join(', ')}` });
+      }
+      if (!Number.isFinite(minutes) || minutes < 1 || minutes > FORECAST_SETTINGS.maxHorizonMinutes) {
+        return res.status(400).json({ error: `minutes must be between 1 and ${FORECAST_SETTINGS.maxHorizonMinutes}` });
+      }
+
+      const { readings, forecast } = await loadForecast(deviceId, { method, horizonMinutes: minutes });
+      if (!forecast) {
+        return res.json({ deviceId, available: false, method, basedOn: readings.length, points: [], thresholds: [], minutesToCritical: null });
+      }
+      const rules = rulesForDevice(await store.rules.list({ enabled: true }), deviceId);
+      const thresholds = thresholdEstimates(forecast, rules);
+      res.json({
+        deviceId,
+        available: true,
+        ...forecast,
+        thresholds,
+        minutesToCritical: soonestCritical(thresholds)?.minutes ?? null
+      });
+    } catch (error) {
+      console.error('Error forecasting temperature:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Rule fields accepted from clients
+  const RULE_FIELDS = ['name', 'type', 'severity', 'deviceId', 'enabled', 'threshold', 'delta', 'windowSeconds', 'count'];
+  const pickRuleFields = (body) =>
+    Object.fromEntries(RULE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+  // List alert rules
+  app.get('/api/rules', async (req, res) => {
+    try {
+      const rules = await store.rules.list({ deviceId: req.query.deviceId });
+      res.json(rules);
+    } catch (error) {
+      console.error('Error fetching rules:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Create an alert rule
+  app.post('/api/rules', requireRole('admin'), audited('rule.create', 'rule'), async (req, res) => {
+    try {
+      const fields = pickRuleFields(req.body);
+      const validationError = validateRule(fields);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      const rule = await store.rules.create(fields);
+      recordChange(req, null, rule, rule._id);
+      res.status(201).json(rule);
+    } catch (error) {
+      console.error('Error creating rule:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Update an alert rule
+  app.put('/api/rules/:id', requireRole('admin'), audited('rule.update', 'rule'), async (req, res) => {
+    try {
+      const rule = await store.rules.get(req.params.id);
+      if (!rule) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+      const before = { ...rule };
+      Object.assign(rule, pickRuleFields(req.body));
+      const validationError = validateRule(rule);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      const saved = await store.rules.save(rule);
+      recordChange(req, before, saved);
+      res.json(saved);
+    } catch (error) {
+      console.error('Error updating rule:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Delete an alert rule
+  app.delete('/api/rules/:id', requireRole('admin'), audited('rule.delete', 'rule'), async (req, res) => {
+    try {
+      const rule = await store.rules.remove(req.params.id);
+      if (!rule) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+      recordChange(req, rule, null);
+      res.json({ message: 'Rule deleted', rule });
+    } catch (error) {
+      console.error('Error deleting rule:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Alert delivery log
+  app.get('/api/alerts/:id/deliveries', async (req, res) => {
+    try {
+      if (!store.isValidId(req.params.id)) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+      const deliveries = await store.deliveries.listForAlert(req.params.id);
+      res.json(deliveries);
+    } catch (error) {
+      console.error('Error fetching deliveries:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  const withSilenceStatus = (silence, now = new Date()) => ({ ...silence, status: silenceStatus(silence, now) });
+
+  // List silences and maintenance windows, newest first (filters: status, deviceId; a device's
+  // silences include fleet-wide ones)
+  app.get('/api/silences', async (req, res) => {
+    try {
+      const { status, deviceId } = req.query;
+      if (status !== undefined && !SILENCE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${SILENCE_STATUSES.join(', ')}` });
+      }
+      const now = new Date();
+      const silences = await store.silences.list({
+        deviceId,
+        from: status === 'active' || status === 'scheduled' ? now : undefined,
+        to: status === 'active' || status === 'expired' ? now : undefined
+      });
+      res.json(silences
+        .map((silence) => withSilenceStatus(silence, now))
+        .filter((silence) => !status || silence.status === status));
+    } catch (error) {
+      console.error('Error fetching silences:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Silence one device (deviceId) or every device: { reason, kind?, startsAt?, endsAt | durationMinutes }
+  app.post('/api/silences', requireRole('operator'), audited('silence.create', 'silence'), async (req, res) => {
+    try {
+      const { fields, error } = parseSilence(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const silence = withSilenceStatus(await store.silences.create({ ...fields, createdBy: req.user.username }));
+      recordChange(req, null, silence, silence._id);
+      broadcast('silence-updated', silence);
+      console.log(`Silence on ${silence.deviceId || 'all devices'} by ${silence.createdBy}: ${silence.reason}`);
+      res.status(201).json(silence);
+    } catch (error) {
+      console.error('Error creating silence:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Change a silence that has not ended (e.g. extend it)
+  app.put('/api/silences/:id', requireRole('operator'), audited('silence.update', 'silence'), async (req, res) => {
+    try {
+      const silence = await store.silences.get(req.params.id);
+      if (!silence) {
+        return res.status(404).json({ error: 'Silence not found' });
+      }
+      if (silenceStatus(silence) === 'expired') {
+        return res.status(409).json({ error: 'Silence has already ended' });
+      }
+      const { fields, error } = parseSilence(req.body, silence);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const before = { ...silence };
+      Object.assign(silence, fields);
+      const updated = withSilenceStatus(await store.silences.save(silence));
+      recordChange(req, withSilenceStatus(before), updated);
+      broadcast('silence-updated', updated);
+      res.json(updated);
+    } catch (error) {
+      console.error('Error updating silence:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // End an active silence now; it is kept, since alerts raised during it refer to it
+  app.post('/api/silences/:id/end', requireRole('operator'), audited('silence.end', 'silence'), async (req, res) => {
+    try {
+      const silence = await store.silences.get(req.params.id);
+      if (!silence) {
+        return res.status(404).json({ error: 'Silence not found' });
+      }
+      const status = silenceStatus(silence);
+      if (status !== 'active') {
+        return res.status(409).json({ error: status === 'scheduled' ? 'Silence has not started; delete it instead' : 'Silence has already ended' });
+      }
+      const before = withSilenceStatus(silence);
+      silence.endsAt = new Date();
+      const ended = withSilenceStatus(await store.silences.save(silence));
+      recordChange(req, before, ended);
+      broadcast('silence-updated', ended);
+      res.json(ended);
+    } catch (error) {
+      console.error('Error ending silence:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Cancel a scheduled silence
+  app.delete('/api/silences/:id', requireRole('operator'), audited('silence.delete', 'silence'), async (req, res) => {
+    try {
+      const silence = await store.silences.get(req.params.id);
+      if (!silence) {
+        return res.status(404).json({ error: 'Silence not found' });
+      }
+      if (silenceStatus(silence) !== 'scheduled') {
+        return res.status(409).json({ error: 'Only scheduled silences can be deleted; end an active one instead' });
+      }
+      await store.silences.remove(silence._id);
+      recordChange(req, silence, null);
+      broadcast('silence-deleted', { _id: silence._id, deviceId: silence.deviceId });
+      res.json({ message: 'Silence deleted', silence });
+    } catch (error) {
+      console.error('Error deleting silence:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Channel fields accepted from clients
+  const CHANNEL_FIELDS = ['name', 'type', 'enabled', 'minSeverity', 'url', 'secret', 'to'];
+  const pickChannelFields = (body) =>
+    Object.fromEntries(CHANNEL_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+  // List notification channels
+  app.get('/api/notifications/channels', requireRole('admin'), async (req, res) => {
+    try {
+      const channels = await store.channels.list();
+      res.json(channels.map(publicChannel));
+    } catch (error) {
+      console.error('Error fetching notification channels:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Create a notification channel
+  app.post('/api/notifications/channels', requireRole('admin'), audited('channel.create', 'channel'), async (req, res) => {
+    try {
+      const fields = pickChannelFields(req.body);
+      const validationError = validateChannel(fields);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      const channel = await store.channels.create(fields);
+      recordChange(req, null, channel, channel._id);
+      res.status(201).json(publicChannel(channel));
+    } catch (error) {
+      console.error('Error creating notification channel:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Update a notification channel (the masked secret is ignored so it is not overwritten)
+  app.put('/api/notifications/channels/:id', requireRole('admin'), audited('channel.update', 'channel'), async (req, res) => {
+    try {
+      const channel = await store.channels.get(req.params.id);
+      if (!channel) {
+        return res.status(404).json({ error: 'Channel not found' });
+      }
+      const before = { ...channel };
+      const fields = pickChannelFields(req.body);
+      if (fields.secret === '********') delete fields.secret;
+      Object.assign(channel, fields);
+      const validationError = validateChannel(channel);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      const saved = await store.channels.save(channel);
+      recordChange(req, before, saved);
+      res.json(publicChannel(saved));
+    } catch (error) {
+      console.error('Error updating notification channel:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Delete a notification channel
+  app.delete('/api/notifications/channels/:id', requireRole('admin'), audited('channel.delete', 'channel'), async (req, res) => {
+    try {
+      const channel = await store.channels.remove(req.params.id);
+      if (!channel) {
+        return res.status(404).json({ error: 'Channel not found' });
+      }
+      recordChange(req, channel, null);
+      res.json({ message: 'Channel deleted', channel: publicChannel(channel) });
+    } catch (error) {
+      console.error('Error deleting notification channel:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Send a test notification through one channel and return the delivery result
+  app.post('/api/notifications/channels/:id/test', requireRole('admin'), audited('channel.test', 'channel'), async (req, res) => {
+    try {
+      const channel = await store.channels.get(req.params.id);
+      if (!channel) {
+        return res.status(404).json({ error: 'Channel not found' });
+      }
+      const payload = buildPayload('notification.test', {
+        deviceId: 'test-device',
+        severity: 'critical',
+        status: 'open',
+        temperature: 0,
+        message: `Test notification from the battery monitoring system (${req.user.username})`,
+        timestamp: new Date()
+      });
+      const delivery = await deliverAndLog(channel, payload, null);
+      recordChange(req, null, { status: delivery.status, responseStatus: delivery.responseStatus, error: delivery.error });
+      res.status(delivery.status === 'sent' ? 200 : 502).json(delivery);
+    } catch (error) {
+      console.error('Error sending test notification:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // List users
+  app.get('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+      const users = await store.users.list();
+      res.json(users.map(publicUser));
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Create a user
+  app.post('/api/users', requireRole('admin'), audited('user.create', 'user'), async (req, res) => {
+    try {
+      const { username, password, role = 'viewer' } = req.body;
+      if (!username || typeof username !== 'string' || !username.trim()) {
+        return res.status(400).json({ error: 'Invalid username' });
+      }
+      const passwordError = validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({ error: passwordError });
+      }
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+      }
+      const user = await store.users.create({ username, passwordHash: await hashPassword(password), role });
+      recordChange(req, null, user, user._id);
+      res.status(201).json(publicUser(user));
+    } catch (error) {
+      if (error instanceof DuplicateKeyError) {
+        return res.status(409).json({ error: 'Username already taken' });
+      }
+      console.error('Error creating user:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Change a user's role and/or password (changing the password ends their sessions)
+  app.put('/api/users/:id', requireRole('admin'), audited('user.update', 'user'), async (req, res) => {
+    try {
+      const user = await store.users.get(req.params.id);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      const before = { ...user };
+      const { password, role } = req.body;
+      if (role !== undefined) {
+        if (!ROLES.includes(role)) {
+          return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+        }
+        user.role = role;
+      }
+      if (password !== undefined) {
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+          return res.status(400).json({ error: passwordError });
+        }
+        user.passwordHash = await hashPassword(password);
+        await store.sessions.removeForUser(user._id);
+        endStreams({ userId: user._id });
+      }
+      const saved = await store.users.save(user);
+      recordChange(req, before, saved);
+      res.json(publicUser(saved));
+    } catch (error) {
+      console.error('Error updating user:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Delete a user
+  app.delete('/api/users/:id', requireRole('admin'), audited('user.delete', 'user'), async (req, res) => {
+    try {
+      if (String(req.user._id) === req.params.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+      }
+      const user = await store.users.remove(req.params.id);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      await store.sessions.removeForUser(user._id);
+      endStreams({ userId: user._id });
+      recordChange(req, user, null);
+      res.json({ message: 'User deleted', user: publicUser(user) });
+    } catch (error) {
+      console.error('Error deleting user:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Audit log, newest first: ?actor=&action=&targetType=&targetId=&from=&to=&page=&limit=
+  app.get('/api/audit', requireRole('admin'), async (req, res) => {
+    try {
+      const { query, page, limit, error } = parseAuditQuery(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const [entries, total] = await Promise.all([
+        store.audit.list(query, { skip: (page - 1) * limit, limit }),
+        store.audit.count(query)
+      ]);
+      res.json({ data: entries, page, limit, total });
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Connects the store, seeds defaults and schedules the background jobs
+  const start = () => {
+    store.connect().then(() => (
+      Promise.all([seedDefaultRules(), seedAdminUser(), applyRetention().then(storeDailyReport)])
+    )).catch((error) => console.error('Storage connection error:', error));
+
+    setInterval(() => {
+      checkSensorHealth().catch((error) => console.error('Error checking sensor health:', error));
+    }, SENSOR_CHECK_INTERVAL_MS);
+    setInterval(() => {
+      escalateIncidents().catch((error) => console.error('Error escalating incidents:', error));
+    }, ESCALATION_CHECK_INTERVAL_MS);
+    if (RETENTION_SETTINGS.intervalMinutes > 0) {
+      setInterval(() => {
+        applyRetention().catch((error) => console.error('Error applying retention:', error));
+      }, RETENTION_SETTINGS.intervalMinutes * 60 * 1000);
+    }
+    if (REPORT_SETTINGS.checkIntervalMinutes > 0) {
+      setInterval(() => {
+        storeDailyReport().catch((error) => console.error('Error storing daily report:', error));
+      }, REPORT_SETTINGS.checkIntervalMinutes * 60 * 1000);
+    }
+    startMqtt(ingestMqttMessage);
+  };
+
+  return { app, start };
+};
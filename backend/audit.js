@@ -0,0 +1,69 @@
+// Audit log: one append-only entry per state-changing API call (who, what, on which target,
+// the values before and after, when and from where), for traceability in safety reviews
+
+import { parseDate } from './history.js';
+
+export const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const SECRET_FIELDS = ['password', 'passwordHash', 'keyHash', 'key', 'token', 'tokenHash', 'secret'];
+const IGNORED_FIELDS = ['_id', '__v'];
+const MAX_PAGE_SIZE = 200;
+
+// Plain JSON: ids and dates as strings, as they would be returned
+const toJson = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+// A value as stored in the log, with secrets masked
+export const auditValue = (value) => {
+  if (value === undefined || value === null) return null;
+  return JSON.parse(JSON.stringify(value, (key, field) => (
+    SECRET_FIELDS.includes(key) && field !== undefined && field !== null ? '********' : field
+  )));
+};
+
+// The fields that differ between two versions of a document, as { before, after }. A created
+// document has no before and a deleted one no after. Fields are compared before masking, so a
+// changed secret still shows up (as masked on both sides).
+export const auditChanges = (before, after) => {
+  const previous = toJson(before);
+  const next = toJson(after);
+  if (!previous || !next) return { before: auditValue(previous), after: auditValue(next) };
+
+  const keys = [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+    .filter((key) => !IGNORED_FIELDS.includes(key) &&
+      JSON.stringify(previous[key]) !== JSON.stringify(next[key]));
+  return {
+    before: auditValue(Object.fromEntries(keys.map((key) => [key, previous[key] ?? null]))),
+    after: auditValue(Object.fromEntries(keys.map((key) => [key, next[key] ?? null]))),
+  };
+};
+
+// Reads the /api/audit filters: actor, action, targetType, targetId, from, to, page, limit.
+// Returns { query, page, limit } or { error }.
+export const parseAuditQuery = (params) => {
+  const from = parseDate(params.from);
+  const to = parseDate(params.to);
+  if (from === null) return { error: 'Invalid from date' };
+  if (to === null) return { error: 'Invalid to date' };
+  if (from && to && from > to) return { error: 'from must be before to' };
+
+  const page = params.page === undefined ? 1 : Number(params.page);
+  const limit = params.limit === undefined ? 50 : Number(params.limit);
+  if (!Number.isInteger(page) || page < 1) return { error: 'page must be a positive integer' };
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const text = (value) => (typeof value === 'string' && value ? value : undefined);
+  return {
+    query: {
+      actor: text(params.actor),
+      action: text(params.action),
+      targetType: text(params.targetType),
+      targetId: text(params.targetId),
+      from,
+      to,
+    },
+    page,
+    limit,
+  };
+};
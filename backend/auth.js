@@ -0,0 +1,90 @@
+// Password hashing, session tokens and role checks for dashboard users
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Ordered from least to most privileged; each role can do everything the previous ones can
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+export const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+export const hasRole = (user, role) => ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+// Stored as "salt:hash" (hex) using scrypt
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+};
+
+export const verifyPassword = async (password, stored) => {
+  const [salt, hash] = stored.split(':');
+  if (!salt || !hash) return false;
+  const candidate = await scrypt(password, salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+};
+
+export const hashSessionToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Compares a presented secret with the expected one in constant time. Both are hashed first,
+// which gives timingSafeEqual equal-length buffers and does not reveal the expected length.
+export const secretMatches = (candidate, expected) => {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(candidate), digest(expected));
+};
+
+export const generateSessionToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashSessionToken(token) };
+};
+
+// Reads `Authorization: Bearer <token>`. Session tokens are never accepted in the query,
+// where they would end up in access logs, browser history and Referer headers.
+export const readSessionToken = (req) => {
+  const authorization = req.get('authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return null;
+};
+
+// EventSource and download links cannot set headers, so they carry a link token as
+// `?access_token=` instead: good for one purpose, for a minute, and only while its session
+// lasts. It is "<sessionId>.<purpose>.<expiresAt ms>.<signature>", signed with the session's
+// token hash, which never leaves the server.
+export const LINK_PURPOSES = ['stream', 'download'];
+
+export const LINK_TOKEN_TTL_MS = 60 * 1000;
+
+const signLink = (session, payload) =>
+  crypto.createHmac('sha256', session.tokenHash).update(payload).digest('base64url');
+
+export const createLinkToken = (session, purpose, now = new Date()) => {
+  const expiresAt = new Date(now.getTime() + LINK_TOKEN_TTL_MS);
+  const payload = `${session._id}.${purpose}.${expiresAt.getTime()}`;
+  return { token: `${payload}.${signLink(session, payload)}`, expiresAt };
+};
+
+export const readLinkToken = (req) => (typeof req.query.access_token === 'string' ? req.query.access_token : null);
+
+// The session ID a link token claims, or null when it is not shaped like one
+export const linkTokenSessionId = (token) => {
+  const parts = token.split('.');
+  return parts.length === 4 ? parts[0] : null;
+};
+
+export const verifyLinkToken = (token, session, purpose, now = new Date()) => {
+  const [sessionId, tokenPurpose, expiresAt, signature] = token.split('.');
+  if (sessionId !== String(session._id) || tokenPurpose !== purpose || !(Number(expiresAt) > now.getTime())) return false;
+  const expected = Buffer.from(signLink(session, `${sessionId}.${tokenPurpose}.${expiresAt}`));
+  const candidate = Buffer.from(signature);
+  return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+};
+
+export const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < 8) return 'Password must be at least 8 characters';
+  return null;
+};
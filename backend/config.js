@@ -0,0 +1,114 @@
+// Server settings from the environment. Every module reads its settings through these
+// helpers, which fall back to the default for an invalid value and record the problem;
+// server.js refuses to start while configErrors() is not empty.
+
+import { validatePassword } from './auth.js';
+
+const errors = [];
+
+// Unset and blank variables both mean "use the default"
+const readEnv = (name) => {
+  const raw = process.env[name];
+  return raw === undefined || raw.trim() === '' ? undefined : raw.trim();
+};
+
+const rangeText = (min, max) => {
+  if (min > -Infinity && max < Infinity) return ` between ${min} and ${max}`;
+  if (min > -Infinity) return ` of at least ${min}`;
+  if (max < Infinity) return ` of at most ${max}`;
+  return '';
+};
+
+export const numberFromEnv = (name, fallback, { min = -Infinity, max = Infinity, integer = false } = {}) => {
+  const raw = readEnv(name);
+  if (raw === undefined) return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+    errors.push(`${name} must be ${integer ? 'an integer' : 'a number'}${rangeText(min, max)} (got "${raw}")`);
+    return fallback;
+  }
+  return value;
+};
+
+export const stringFromEnv = (name, fallback, { oneOf, pattern, description } = {}) => {
+  const raw = readEnv(name);
+  if (raw === undefined) return fallback;
+  if (oneOf && !oneOf.includes(raw)) {
+    errors.push(`${name} must be one of: ${oneOf.join(', ')} (got "${raw}")`);
+    return fallback;
+  }
+  if (pattern && !pattern.test(raw)) {
+    errors.push(`${name} must be ${description} (got "${raw}")`);
+    return fallback;
+  }
+  return raw;
+};
+
+export const booleanFromEnv = (name, fallback) => stringFromEnv(name, String(fallback), { oneOf: ['true', 'false'] }) === 'true';
+
+// Comma-separated list; `check` returns an error message for a bad entry
+const listFromEnv = (name, fallback, check) => {
+  const raw = readEnv(name);
+  if (raw === undefined) return fallback;
+  const values = raw.split(',').map((value) => value.trim()).filter(Boolean);
+  const invalid = values.map(check).filter(Boolean).map((message) => `${name}: ${message}`);
+  errors.push(...invalid);
+  return invalid.length > 0 ? fallback : values;
+};
+
+const checkOrigin = (origin) => {
+  if (origin === '*') return null;
+  try {
+    if (new URL(origin).origin === origin) return null;
+  } catch {
+    // Not a URL; reported below
+  }
+  return `"${origin}" is not an origin like http://localhost:5173 (scheme, host and port only)`;
+};
+
+export const SERVER_SETTINGS = {
+  port: numberFromEnv('PORT', 5000, { min: 1, max: 65535, integer: true }),
+  mongoUri: stringFromEnv('MONGO_URI', 'mongodb://localhost:27017/battery_monitoring', {
+    pattern: /^mongodb(\+srv)?:\/\/\S+$/,
+    description: 'a mongodb:// or mongodb+srv:// connection string',
+  }),
+  // mongo, or memory for development and demos without a database (nothing is persisted)
+  storage: stringFromEnv('STORAGE', 'mongo', { oneOf: ['mongo', 'memory'] }),
+  nodeEnv: stringFromEnv('NODE_ENV', 'development', { oneOf: ['development', 'production', 'test'] }),
+  // Browser origins allowed to call the API; '*' allows any origin
+  corsOrigins: listFromEnv('CORS_ORIGINS', ['http://localhost:5173', 'http://127.0.0.1:5173'], checkOrigin),
+  // When set, /metrics requires `Authorization: Bearer <token>`
+  metricsToken: process.env.METRICS_TOKEN || null,
+  // Set behind a reverse proxy so client IPs (in the audit log) come from X-Forwarded-For
+  trustProxy: booleanFromEnv('TRUST_PROXY', false),
+};
+
+// Thresholds of the rules seeded on first start; after that, rules are managed through the API
+export const THRESHOLD_SETTINGS = {
+  warning: numberFromEnv('WARNING_THRESHOLD', 25),
+  critical: numberFromEnv('CRITICAL_THRESHOLD', 28),
+};
+if (THRESHOLD_SETTINGS.warning >= THRESHOLD_SETTINGS.critical) {
+  errors.push(`WARNING_THRESHOLD (${THRESHOLD_SETTINGS.warning}) must be below CRITICAL_THRESHOLD (${THRESHOLD_SETTINGS.critical})`);
+}
+
+// Initial admin account, created when no users exist
+export const ADMIN_SETTINGS = {
+  username: stringFromEnv('ADMIN_USERNAME', 'admin'),
+  password: process.env.ADMIN_PASSWORD || null,
+};
+if (ADMIN_SETTINGS.password && validatePassword(ADMIN_SETTINGS.password)) {
+  errors.push(`ADMIN_PASSWORD: ${validatePassword(ADMIN_SETTINGS.password)}`);
+}
+
+// SMTP server used by email notification channels
+export const SMTP_SETTINGS = {
+  host: readEnv('SMTP_HOST'),
+  port: numberFromEnv('SMTP_PORT', 587, { min: 1, max: 65535, integer: true }),
+  secure: booleanFromEnv('SMTP_SECURE', false),
+  user: readEnv('SMTP_USER'),
+  pass: process.env.SMTP_PASS,
+  from: stringFromEnv('SMTP_FROM', 'battery-monitor@localhost'),
+};
+
+export const configErrors = () => [...errors];
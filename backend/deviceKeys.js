@@ -0,0 +1,23 @@
+// Per-device API keys: generated once, shown to the admin once, stored only as a hash
+
+import crypto from 'crypto';
+
+const KEY_PREFIX = 'bm_';
+
+// Keys carry 192 bits of randomness, so a fast hash is enough (no need for bcrypt-style stretching)
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+export const generateApiKey = () => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return {
+    key,
+    keyHash: hashApiKey(key),
+    // Enough of the key to recognise it in listings without revealing it
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+  };
+};
+
+export const readApiKey = (req) => {
+  const header = req.get('x-api-key');
+  return header ? header.trim() : null;
+};
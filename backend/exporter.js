@@ -0,0 +1,58 @@
+// Streams query results as CSV or NDJSON without buffering the collection in memory
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+};
+
+// Spreadsheets run text cells starting with these as formulas (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Text such as a device ID or alert note is prefixed with ' to keep it text; numbers
+  // (a negative current) are left alone
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const pickColumns = (doc, columns) =>
+  Object.fromEntries(columns.map((column) => [column, doc[column] ?? null]));
+
+// Writes every document from a store cursor (see store.js) to the response, honouring backpressure.
+// `columns` fixes the CSV header order and the fields included in NDJSON lines.
+export const streamExport = async (res, cursor, { format, columns, filename }) => {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}.${extension}"`,
+  });
+
+  // Waits for the socket to drain, or for the client to go away
+  const write = async (chunk) => {
+    if (res.write(chunk)) return;
+    await new Promise((resolve) => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+  };
+
+  if (format === 'csv') {
+    await write(`${columns.join(',')}\n`);
+  }
+  for await (const doc of cursor) {
+    if (res.destroyed) break;
+    const row = pickColumns(doc, columns);
+    await write(format === 'csv'
+      ? `${columns.map((column) => csvValue(row[column])).join(',')}\n`
+      : `${JSON.stringify(row)}\n`);
+  }
+  await cursor.close();
+  res.end();
+};
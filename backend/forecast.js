@@ -0,0 +1,142 @@
+// Short-term temperature forecasting from a device's recent readings, and the estimated
+// time until the temperature reaches a rule threshold
+
+import { numberFromEnv } from './config.js';
+
+export const FORECAST_SETTINGS = {
+  // Readings from this far back are used to fit the trend
+  windowMinutes: numberFromEnv('FORECAST_WINDOW_MINUTES', 15, { min: 1 }),
+  minReadings: numberFromEnv('FORECAST_MIN_READINGS', 5, { min: 2, integer: true }),
+  // The readings must also cover this long, so a burst of uploads cannot project a steep trend
+  minSpanMinutes: numberFromEnv('FORECAST_MIN_SPAN_MINUTES', 1, { min: 0 }),
+  // Default and largest forecast horizon
+  horizonMinutes: numberFromEnv('FORECAST_HORIZON_MINUTES', 30, { min: 1, max: 240 }),
+  maxHorizonMinutes: 240,
+  // A "predicted overheat" alert is raised when the critical threshold is this close
+  alertLeadMinutes: numberFromEnv('FORECAST_ALERT_MINUTES', 10, { min: 0 }),
+  // Holt smoothing factors for the level and the trend
+  alpha: 0.5,
+  beta: 0.3,
+};
+
+export const FORECAST_METHODS = ['linear', 'holt'];
+
+const MINUTE_MS = 60 * 1000;
+
+// Least-squares line through the readings; returns the fitted level at the newest reading
+const fitLinear = (points) => {
+  const n = points.length;
+  const meanT = points.reduce((sum, point) => sum + point.t, 0) / n;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / n;
+  let numerator = 0;
+  let denominator = 0;
+  for (const point of points) {
+    numerator += (point.t - meanT) * (point.y - meanY);
+    denominator += (point.t - meanT) ** 2;
+  }
+  const slope = denominator === 0 ? 0 : numerator / denominator;
+  const lastT = points[n - 1].t;
+  return { level: meanY + slope * (lastT - meanT), slope };
+};
+
+// Holt's double exponential smoothing, adapted to irregular gaps between readings
+const fitHolt = (points) => {
+  const { alpha, beta } = FORECAST_SETTINGS;
+  let level = points[0].y;
+  let slope = 0;
+  for (let i = 1; i < points.length; i++) {
+    const dt = points[i].t - points[i - 1].t;
+    if (dt <= 0) continue;
+    const previousLevel = level;
+    level = alpha * points[i].y + (1 - alpha) * (level + slope * dt);
+    slope = beta * ((level - previousLevel) / dt) + (1 - beta) * slope;
+  }
+  return { level, slope };
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// One point per timestamp, in time order, averaging readings taken at the same moment. Time is
+// in minutes since the first reading, which keeps the slope in °C per minute.
+const toPoints = (sorted, start) => {
+  const points = [];
+  for (const reading of sorted) {
+    const t = (new Date(reading.timestamp).getTime() - start) / MINUTE_MS;
+    const last = points[points.length - 1];
+    if (last && last.t === t) {
+      last.sum += reading.temperature;
+      last.count += 1;
+    } else {
+      points.push({ t, sum: reading.temperature, count: 1 });
+    }
+  }
+  return points.map(({ t, sum, count }) => ({ t, y: sum / count }));
+};
+
+// Fits a trend to `readings` (any order) and projects it `horizonMinutes` ahead in
+// `stepMinutes` steps. Returns null when there are too few distinct timestamps to fit, or
+// they span less than minSpanMinutes.
+export const forecastTemperature = (readings, { method = 'linear', horizonMinutes = FORECAST_SETTINGS.horizonMinutes, stepMinutes = 1 } = {}) => {
+  if (readings.length < FORECAST_SETTINGS.minReadings) return null;
+  const sorted = [...readings].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const start = new Date(sorted[0].timestamp).getTime();
+  const points = toPoints(sorted, start);
+  if (points.length < FORECAST_SETTINGS.minReadings) return null;
+  const span = points[points.length - 1].t;
+  if (span === 0 || span < FORECAST_SETTINGS.minSpanMinutes) return null;
+
+  const { level, slope } = method === 'holt' ? fitHolt(points) : fitLinear(points);
+  const latest = new Date(sorted[sorted.length - 1].timestamp);
+  const steps = Math.floor(horizonMinutes / stepMinutes);
+  return {
+    method,
+    basedOn: sorted.length,
+    from: new Date(start),
+    latest,
+    level: round(level),
+    slopePerMinute: Math.round(slope * 10000) / 10000,
+    points: Array.from({ length: steps }, (_, i) => {
+      const minutes = (i + 1) * stepMinutes;
+      return { timestamp: new Date(latest.getTime() + minutes * MINUTE_MS), temperature: round(level + slope * minutes) };
+    }),
+  };
+};
+
+// Minutes from the latest reading until the trend reaches `threshold`: 0 when already above,
+// null when the temperature is not heading there
+export const minutesToThreshold = (forecast, threshold) => {
+  if (forecast.level > threshold) return 0;
+  if (forecast.slopePerMinute <= 0) return null;
+  return round((threshold - forecast.level) / forecast.slopePerMinute);
+};
+
+// Time to each threshold rule, lowest threshold first
+export const thresholdEstimates = (forecast, rules) =>
+  rules
+    .filter((rule) => rule.type === 'threshold')
+    .sort((a, b) => a.threshold - b.threshold)
+    .map((rule) => {
+      const minutes = minutesToThreshold(forecast, rule.threshold);
+      return {
+        ruleId: rule._id,
+        name: rule.name,
+        severity: rule.severity,
+        threshold: rule.threshold,
+        minutes,
+        at: minutes === null ? null : new Date(forecast.latest.getTime() + minutes * MINUTE_MS),
+      };
+    });
+
+// Soonest estimate among the critical thresholds, or null when none is being approached
+export const soonestCritical = (estimates) =>
+  estimates
+    .filter((estimate) => estimate.severity === 'critical' && estimate.minutes !== null)
+    .reduce((soonest, estimate) => (!soonest || estimate.minutes < soonest.minutes ? estimate : soonest), null);
+
+// The smoothed trend can already be past the threshold while the latest reading is not, so
+// there is no time left to give
+export const predictionMessage = (deviceId, forecast, estimate) =>
+  `Predicted overheat on ${deviceId}: rising ${forecast.slopePerMinute.toFixed(2)}°C/min, ` +
+  (estimate.minutes > 0
+    ? `${estimate.name} (${estimate.threshold}°C) expected in ~${Math.ceil(estimate.minutes)} min`
+    : `trend already at ${estimate.name} (${estimate.threshold}°C)`);
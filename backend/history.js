@@ -0,0 +1,113 @@
+// Time-range parsing and downsampling helpers for the historical readings API
+
+import { SERIES } from './telemetry.js';
+
+export const BUCKET_SIZES = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+};
+
+export const parseDate = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(isNaN(value) ? value : Number(value));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Reads `from`, `to` (ISO strings or epoch milliseconds) and `bucket` from a query string.
+// Returns { from, to, bucket } or { error } when a value cannot be parsed.
+export const parseHistoryQuery = (query) => {
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === null) return { error: 'Invalid from date' };
+  if (to === null) return { error: 'Invalid to date' };
+  if (from && to && from > to) return { error: 'from must be before to' };
+
+  const { bucket } = query;
+  if (bucket !== undefined && !BUCKET_SIZES[bucket]) {
+    return { error: `bucket must be one of: ${Object.keys(BUCKET_SIZES).join(', ')}` };
+  }
+  return { from, to, bucket };
+};
+
+// Aggregation pipeline producing min/avg/max per bucket (UTC-aligned), newest bucket first
+export const bucketPipeline = (match, bucket) => {
+  const size = BUCKET_SIZES[bucket];
+  return [
+    { $match: match },
+    {
+      $group: {
+        _id: { $subtract: [{ $toLong: '$timestamp' }, { $mod: [{ $toLong: '$timestamp' }, size] }] },
+        min: { $min: '$temperature' },
+        avg: { $avg: '$temperature' },
+        max: { $max: '$temperature' },
+        // Averages for the other telemetry series (null when a bucket has none)
+        ...Object.fromEntries(SERIES.filter((name) => name !== 'temperature').map((name) => [name, { $avg: `$${name}` }])),
+        count: { $sum: 1 },
+        criticalCount: { $sum: { $cond: [{ $eq: ['$severity', 'critical'] }, 1, 0] } },
+        warningCount: { $sum: { $cond: [{ $eq: ['$severity', 'warning'] }, 1, 0] } },
+        anomalyCount: { $sum: { $cond: ['$anomaly', 1, 0] } },
+      },
+    },
+    { $sort: { _id: -1 } },
+  ];
+};
+
+const OTHER_SERIES = SERIES.filter((name) => name !== 'temperature');
+
+// Mean of the numeric values, null when there are none (like $avg)
+export const average = (values) => {
+  const numbers = values.filter((value) => typeof value === 'number');
+  return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+};
+
+// Groups readings by `idOf` (a number or a plain object) into rows with the fields of
+// bucketPipeline's $group stage, for stores that summarise in memory
+export const summarizeReadings = (readings, idOf) => {
+  const groups = new Map();
+  for (const reading of readings) {
+    const _id = idOf(reading);
+    const key = JSON.stringify(_id);
+    if (!groups.has(key)) groups.set(key, { _id, readings: [] });
+    groups.get(key).readings.push(reading);
+  }
+  return [...groups.values()].map(({ _id, readings: group }) => {
+    const temperatures = group.map((reading) => reading.temperature);
+    return {
+      _id,
+      min: temperatures.reduce((min, value) => Math.min(min, value), Infinity),
+      avg: average(temperatures),
+      max: temperatures.reduce((max, value) => Math.max(max, value), -Infinity),
+      ...Object.fromEntries(OTHER_SERIES.map((name) => [name, average(group.map((reading) => reading[name]))])),
+      count: group.length,
+      criticalCount: group.filter((reading) => reading.severity === 'critical').length,
+      warningCount: group.filter((reading) => reading.severity === 'warning').length,
+      anomalyCount: group.filter((reading) => reading.anomaly).length,
+    };
+  });
+};
+
+// The rows bucketPipeline returns, computed from readings already matched
+export const bucketRows = (readings, bucket) => {
+  const size = BUCKET_SIZES[bucket];
+  return summarizeReadings(readings, (reading) => Math.floor(reading.timestamp.getTime() / size) * size)
+    .sort((a, b) => b._id - a._id);
+};
+
+// Shapes an aggregation row like a reading so charts can treat both the same way
+export const formatBucket = (row) => {
+  const severity = row.criticalCount > 0 ? 'critical' : row.warningCount > 0 ? 'warning' : 'normal';
+  const round = (value) => (value === null || value === undefined ? null : Math.round(value * 100) / 100);
+  return {
+    timestamp: new Date(row._id),
+    temperature: round(row.avg),
+    ...Object.fromEntries(SERIES.filter((name) => name !== 'temperature').map((name) => [name, round(row[name])])),
+    min: row.min,
+    avg: row.avg,
+    max: row.max,
+    count: row.count,
+    alert: severity !== 'normal',
+    severity,
+    anomaly: row.anomalyCount > 0,
+  };
+};
@@ -0,0 +1,105 @@
+// Alert incidents: consecutive over-threshold readings fold into one open Alert document
+// that tracks peak temperature and reading count, closes with hysteresis once the
+// temperature recovers, and escalates while it stays unacknowledged.
+
+import { compareSeverity, maxSeverity } from './rules.js';
+import { numberFromEnv } from './config.js';
+
+export const INCIDENT_SETTINGS = {
+  // °C below the lowest breached threshold the temperature must fall to count as recovered
+  hysteresis: numberFromEnv('ALERT_HYSTERESIS', 1, { min: 0 }),
+  // Consecutive recovered readings needed to close an incident
+  clearReadings: numberFromEnv('ALERT_CLEAR_READINGS', 3, { min: 1, integer: true }),
+  // A breach this soon after an incident closed reopens it instead of raising a new alert
+  cooldownMs: numberFromEnv('ALERT_COOLDOWN_SECONDS', 300, { min: 0 }) * 1000,
+  // Unacknowledged incidents escalate after this long, and again each period after that
+  escalateAfterMs: numberFromEnv('ALERT_ESCALATE_AFTER_MINUTES', 15, { min: 1 }) * 60 * 1000,
+  maxEscalations: numberFromEnv('ALERT_MAX_ESCALATIONS', 3, { min: 0, integer: true }),
+};
+
+// Recovery level for the thresholds that fired; null when only threshold-less rules
+// (rate of rise) fired, in which case any reading that fires no rule counts as recovered
+const recoveryLevel = (triggered) => {
+  const thresholds = triggered.map((entry) => entry.threshold).filter((value) => typeof value === 'number');
+  return thresholds.length > 0 ? Math.min(...thresholds) - INCIDENT_SETTINGS.hysteresis : null;
+};
+
+const mergeRules = (existing, triggered) => {
+  const names = new Set(existing.map((entry) => entry.name));
+  return [...existing, ...triggered.filter((entry) => !names.has(entry.name))];
+};
+
+export const buildMessage = (severity, deviceId, triggered) => {
+  const label = severity === 'critical' ? 'Critical' : 'Warning';
+  return `${label} temperature alert on ${deviceId}: ${triggered.map((entry) => entry.detail).join('; ')}`;
+};
+
+// Fields for a brand-new incident
+export const newIncident = ({ deviceId, temperature, timestamp, severity, triggered }) => ({
+  deviceId,
+  temperature,
+  severity,
+  rules: triggered,
+  timestamp,
+  message: buildMessage(severity, deviceId, triggered),
+  active: true,
+  lastSeenAt: timestamp,
+  peakTemperature: temperature,
+  readingCount: 1,
+  clearBelow: recoveryLevel(triggered),
+  clearStreak: 0,
+});
+
+export const withinCooldown = (incident, now) =>
+  Boolean(incident && incident.closedAt) && now - incident.closedAt <= INCIDENT_SETTINGS.cooldownMs;
+
+// Folds a breaching reading into an incident (reopening it if it was closed in cooldown).
+// Returns true when the incident's severity went up.
+export const recordBreach = (incident, { temperature, timestamp, severity, triggered }) => {
+  const previousSeverity = incident.severity;
+  incident.active = true;
+  incident.closedAt = null;
+  incident.lastSeenAt = timestamp;
+  incident.readingCount = (incident.readingCount || 1) + 1;
+  incident.peakTemperature = Math.max(incident.peakTemperature ?? incident.temperature, temperature);
+  incident.clearStreak = 0;
+  incident.rules = mergeRules(incident.rules || [], triggered);
+  const level = recoveryLevel(incident.rules);
+  incident.clearBelow = level;
+  incident.severity = maxSeverity([previousSeverity, severity]);
+  const raised = compareSeverity(incident.severity, previousSeverity) > 0;
+  if (raised) {
+    incident.message = buildMessage(incident.severity, incident.deviceId, incident.rules);
+  }
+  return raised;
+};
+
+// Records a reading that fired no rule. Returns true when the incident closed.
+export const recordClear = (incident, { temperature, timestamp }) => {
+  const recovered = incident.clearBelow === null || incident.clearBelow === undefined || temperature <= incident.clearBelow;
+  incident.clearStreak = recovered ? (incident.clearStreak || 0) + 1 : 0;
+  if (incident.clearStreak >= INCIDENT_SETTINGS.clearReadings) {
+    incident.active = false;
+    incident.closedAt = timestamp;
+    return true;
+  }
+  return false;
+};
+
+// Open (unacknowledged) incidents escalate once per escalateAfter period, up to maxEscalations
+export const dueForEscalation = (incident, now) => {
+  if (incident.status !== 'open' || (incident.escalationLevel || 0) >= INCIDENT_SETTINGS.maxEscalations) {
+    return false;
+  }
+  const since = incident.escalatedAt || incident.timestamp;
+  return now - since >= INCIDENT_SETTINGS.escalateAfterMs;
+};
+
+// Warnings become critical; already-critical incidents just bump the level (and re-notify)
+export const escalate = (incident, now) => {
+  incident.escalationLevel = (incident.escalationLevel || 0) + 1;
+  incident.escalatedAt = now;
+  incident.severity = 'critical';
+  const minutes = Math.round((now - incident.timestamp) / 60000);
+  incident.message = `${buildMessage('critical', incident.deviceId, incident.rules)} (escalated: unacknowledged for ${minutes} min)`;
+};
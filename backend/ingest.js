@@ -0,0 +1,59 @@
+// Device timestamps, clock-skew correction and idempotency keys for readings uploaded
+// late by sensors that buffer while offline
+
+import { numberFromEnv } from './config.js';
+
+export const INGEST_SETTINGS = {
+  // Most readings accepted in one batch upload
+  maxBatchSize: numberFromEnv('INGEST_MAX_BATCH', 500, { min: 1, integer: true }),
+  // Readings older than this when they arrive are backfill: stored and evaluated, but not pushed live
+  liveWindowMs: numberFromEnv('INGEST_LIVE_WINDOW_SECONDS', 120, { min: 0 }) * 1000,
+  // Device clocks within this of the server are trusted as-is; future timestamps within it are clamped
+  skewToleranceMs: numberFromEnv('INGEST_SKEW_TOLERANCE_SECONDS', 5, { min: 0 }) * 1000,
+  // Readings further back than this are rejected
+  maxAgeMs: numberFromEnv('INGEST_MAX_AGE_DAYS', 7, { min: 1 }) * 24 * 60 * 60 * 1000,
+};
+
+const MAX_READING_ID_LENGTH = 100;
+
+// ISO string or epoch milliseconds; undefined when absent, null when unparseable
+export const parseDeviceTime = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = new Date(typeof value === 'string' && !isNaN(value) ? Number(value) : value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Milliseconds to add to device timestamps, from the device clock reading at upload (`sentAt`).
+// Devices without a real-time clock can send millis() for both and still get correct times.
+export const clockOffset = (sentAt, receivedAt) => {
+  if (!sentAt) return 0;
+  const offset = receivedAt - sentAt;
+  return Math.abs(offset) > INGEST_SETTINGS.skewToleranceMs ? offset : 0;
+};
+
+// Server-time timestamp for one reading. Returns { timestamp } or { error }.
+export const resolveTimestamp = (value, { receivedAt, offsetMs }) => {
+  const deviceTime = parseDeviceTime(value);
+  if (deviceTime === null) return { error: 'Invalid timestamp' };
+  if (deviceTime === undefined) return { timestamp: receivedAt };
+
+  const timestamp = new Date(deviceTime.getTime() + offsetMs);
+  const ahead = timestamp - receivedAt;
+  if (ahead > INGEST_SETTINGS.skewToleranceMs) return { error: 'timestamp is in the future' };
+  if (receivedAt - timestamp > INGEST_SETTINGS.maxAgeMs) return { error: 'timestamp is too old' };
+  return { timestamp: ahead > 0 ? receivedAt : timestamp };
+};
+
+// Returns an error message for an invalid idempotency key, or null (absent keys are allowed)
+export const validateReadingId = (readingId) => {
+  if (readingId === undefined || readingId === null) return null;
+  if (typeof readingId !== 'string' || !readingId.trim() || readingId.length > MAX_READING_ID_LENGTH) {
+    return `readingId must be a non-empty string of at most ${MAX_READING_ID_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Late readings, and readings older than what the device already reported, must not be
+// treated as the device's current state
+export const isBackfill = (timestamp, { receivedAt, newestTimestamp }) =>
+  receivedAt - timestamp > INGEST_SETTINGS.liveWindowMs || Boolean(newestTimestamp && timestamp < newestTimestamp);
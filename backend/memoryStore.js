@@ -0,0 +1,520 @@
+// In-memory store (see store.js for the interface), for development, demos and tests without
+// a MongoDB server. Nothing is persisted: all data is lost when the process exits.
+
+import { randomBytes } from 'crypto';
+import { isImplausible } from './sensorHealth.js';
+import { bucketRows } from './history.js';
+import { rollupBucketRows, rollupRows } from './retention.js';
+import { DEFAULT_DEVICE_ID, DuplicateKeyError, createChangeTracker, isBatteryAlert } from './store.js';
+
+// 24 hex digits like a MongoDB ObjectId: creation time in seconds, then random bytes
+const newId = () => Math.floor(Date.now() / 1000).toString(16).padStart(8, '0') + randomBytes(8).toString('hex');
+
+const clone = (doc) => (doc ? structuredClone(doc) : null);
+
+const withoutUndefined = (fields) =>
+  Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+
+const inRange = (value, { from, to, before }) =>
+  (!from || value >= from) && (!to || value <= to) && (!before || value < before);
+
+const byField = (field, direction = 1) => (a, b) => {
+  if (a[field] < b[field]) return -direction;
+  if (a[field] > b[field]) return direction;
+  return 0;
+};
+
+// Cursor over a snapshot of the matches, like a mongoose query cursor
+const cursorOver = (docs) => {
+  let closed = false;
+  return {
+    async *[Symbol.asyncIterator]() {
+      for (const doc of docs) {
+        if (closed) return;
+        yield clone(doc);
+      }
+    },
+    close: async () => {
+      closed = true;
+    },
+  };
+};
+
+// Documents by _id in insertion order. `defaults`, `trim` and `unique` mirror the mongoose
+// schema options of the same names.
+const createCollection = ({ defaults = () => ({}), trim = [], unique = [] } = {}) => {
+  const docs = new Map();
+  const prepare = (doc) => {
+    trim.filter((field) => typeof doc[field] === 'string').forEach((field) => {
+      doc[field] = doc[field].trim();
+    });
+    for (const field of unique) {
+      if ([...docs.values()].some((other) => other._id !== doc._id && other[field] === doc[field])) {
+        throw new DuplicateKeyError(`Duplicate ${field} "${doc[field]}"`);
+      }
+    }
+    return doc;
+  };
+  return {
+    all: () => [...docs.values()],
+    find: (predicate) => [...docs.values()].find(predicate) || null,
+    get: (id) => docs.get(String(id)) || null,
+    insert: (fields) => {
+      const doc = prepare({ _id: newId(), ...defaults(), ...withoutUndefined(clone(fields)) });
+      docs.set(doc._id, doc);
+      return doc;
+    },
+    // Fields set to undefined are removed
+    update: (id, fields) => {
+      const doc = docs.get(String(id));
+      if (!doc) return null;
+      const updated = prepare({ ...doc, ...clone(fields) });
+      Object.keys(updated).filter((key) => updated[key] === undefined).forEach((key) => delete updated[key]);
+      docs.set(doc._id, updated);
+      return updated;
+    },
+    remove: (id) => {
+      const doc = docs.get(String(id)) || null;
+      docs.delete(String(id));
+      return doc;
+    },
+  };
+};
+
+// First index in a list sorted by timestamp whose timestamp is at least `date` (after it, with `strict`)
+const searchTimestamp = (list, date, strict = false) => {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (strict ? list[middle].timestamp <= date : list[middle].timestamp < date) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+};
+
+// [start, end) of the readings within a time range
+const rangeBounds = (list, { from, to, before }) => {
+  const start = from ? searchTimestamp(list, from) : 0;
+  let end = list.length;
+  if (to) end = Math.min(end, searchTimestamp(list, to, true));
+  if (before) end = Math.min(end, searchTimestamp(list, before));
+  return [start, end];
+};
+
+export const createMemoryStore = () => {
+  const tracker = createChangeTracker();
+  // Documents callers may change and save() are returned as tracked copies
+  const tracked = (doc) => tracker.track(clone(doc));
+  const saver = (collection) => async (doc) => {
+    collection.update(doc._id, tracker.changes(doc));
+    return tracker.track(doc);
+  };
+
+  const devices = createCollection({
+    defaults: () => ({
+      location: '',
+      description: '',
+      cellCount: 0,
+      sensorType: 'dht11',
+      expectedIntervalSeconds: null,
+      lastSeenAt: null,
+      createdAt: new Date()
+    }),
+    trim: ['deviceId', 'name'],
+    unique: ['deviceId'],
+  });
+  const apiKeys = createCollection({
+    defaults: () => ({ createdAt: new Date(), lastUsedAt: null, revokedAt: null }),
+    unique: ['keyHash'],
+  });
+  const users = createCollection({
+    defaults: () => ({ role: 'viewer', createdAt: new Date() }),
+    trim: ['username'],
+    unique: ['username'],
+  });
+  const sessions = createCollection({ unique: ['tokenHash'] });
+  const alerts = createCollection({
+    defaults: () => ({
+      deviceId: DEFAULT_DEVICE_ID,
+      kind: 'battery',
+      severity: 'critical',
+      rules: [],
+      timestamp: new Date(),
+      active: false,
+      closedAt: null,
+      readingCount: 1,
+      clearBelow: null,
+      clearStreak: 0,
+      escalationLevel: 0,
+      backfilled: false,
+      silenced: false,
+      silenceId: null,
+      status: 'open',
+      acknowledged: false
+    }),
+  });
+  const rules = createCollection({
+    defaults: () => ({ deviceId: null, enabled: true, createdAt: new Date() }),
+    trim: ['name'],
+  });
+  const channels = createCollection({
+    defaults: () => ({ enabled: true, minSeverity: 'critical', to: [], createdAt: new Date() }),
+    trim: ['name'],
+  });
+  const deliveries = createCollection({ defaults: () => ({ alertId: null, createdAt: new Date() }) });
+  const silences = createCollection({
+    defaults: () => ({ deviceId: null, kind: 'silence', createdAt: new Date() }),
+    trim: ['reason'],
+  });
+
+  // Readings are kept per device in timestamp order, with their readingIds indexed
+  const readingsByDevice = new Map();
+  const readingIds = new Map();
+  const readingIdKey = (deviceId, readingId) => `${deviceId}\n${readingId}`;
+  const readingLists = (deviceId) =>
+    (deviceId ? [readingsByDevice.get(deviceId) || []] : [...readingsByDevice.values()]);
+  const readingMatches = ({ plausible, alert }) => (reading) =>
+    (!plausible || !isImplausible(reading.faults)) && (alert === undefined || reading.alert === alert);
+  const findReadings = ({ deviceId, plausible, alert, ...range } = {}) => {
+    const matches = readingLists(deviceId)
+      .flatMap((list) => list.slice(...rangeBounds(list, range)))
+      .filter(readingMatches({ plausible, alert }));
+    return deviceId ? matches : matches.sort(byField('timestamp'));
+  };
+
+  const rollups = new Map();
+  const rollupKey = ({ deviceId, bucketStart }) => `${deviceId}\n${bucketStart.getTime()}`;
+  const findRollups = ({ deviceId, ...range } = {}) =>
+    [...rollups.values()]
+      .filter((rollup) => (!deviceId || rollup.deviceId === deviceId) && inRange(rollup.bucketStart, range))
+      .sort(byField('bucketStart'));
+
+  const baselines = new Map();
+  const dailyReports = new Map();
+  // Append-only: entries are never changed or removed
+  const auditEntries = [];
+  const auditMatches = ({ actor, action, targetType, targetId, ...range } = {}) => (entry) =>
+    (!actor || entry.actor === actor) &&
+    (!action || entry.action === action) &&
+    (!targetType || entry.targetType === targetType) &&
+    (!targetId || entry.targetId === targetId) &&
+    inRange(entry.timestamp, range);
+
+  const alertMatches = ({ deviceId, kind, active, severity, status, ...range } = {}) => (alert) =>
+    (!deviceId || alert.deviceId === deviceId) &&
+    (!kind || (kind === 'battery' ? isBatteryAlert(alert) : alert.kind === kind)) &&
+    (active === undefined || alert.active === active) &&
+    (!severity || alert.severity === severity) &&
+    (!status || alert.status === status) &&
+    inRange(alert.timestamp, range);
+  const liveIncident = (alert) => isBatteryAlert(alert) && !alert.backfilled;
+
+  const publicDevice = (device, includeTracker = false) => {
+    const copy = clone(device);
+    if (copy && !includeTracker) delete copy.stuckTracker;
+    return copy;
+  };
+  const findDevice = (deviceId) => devices.find((device) => device.deviceId === deviceId);
+
+  return {
+    kind: 'memory',
+
+    connect: async () => {
+      console.log('Using the in-memory store; data is lost when the server stops');
+    },
+
+    close: async () => {},
+
+    ping: async () => ({ status: 'up', state: 'connected', latencyMs: 0 }),
+
+    isValidId: (id) => typeof id === 'string' && /^[0-9a-f]{24}$/.test(id),
+
+    devices: {
+      list: async () => devices.all().sort(byField('deviceId')).map((device) => publicDevice(device)),
+      get: async (deviceId, { includeTracker = false } = {}) => publicDevice(findDevice(deviceId), includeTracker),
+      exists: async (deviceId) => Boolean(findDevice(deviceId)),
+      create: async (fields) => publicDevice(devices.insert(fields)),
+      update: async (deviceId, fields) => {
+        const device = findDevice(deviceId);
+        return device ? publicDevice(devices.update(device._id, withoutUndefined(fields))) : null;
+      },
+      remove: async (deviceId) => {
+        const device = findDevice(deviceId);
+        return device ? publicDevice(devices.remove(device._id)) : null;
+      },
+      markSeen: async (deviceId, { lastSeenAt, stuckTracker }) => {
+        const device = findDevice(deviceId);
+        if (device) devices.update(device._id, { lastSeenAt, stuckTracker });
+      },
+    },
+
+    apiKeys: {
+      create: async (fields) => clone(apiKeys.insert(fields)),
+      findByHash: async (keyHash) => clone(apiKeys.find((apiKey) => apiKey.keyHash === keyHash)),
+      get: async (deviceId, id) => {
+        const apiKey = apiKeys.get(id);
+        return apiKey && apiKey.deviceId === deviceId ? clone(apiKey) : null;
+      },
+      listForDevice: async (deviceId) =>
+        apiKeys.all().filter((apiKey) => apiKey.deviceId === deviceId).sort(byField('createdAt', -1)).map(clone),
+      touch: async (id, at) => {
+        apiKeys.update(id, { lastUsedAt: at });
+      },
+      revoke: async (id, at) => clone(apiKeys.update(id, { revokedAt: at })),
+      revokeAll: async (deviceId, at) => {
+        const active = apiKeys.all().filter((apiKey) => apiKey.deviceId === deviceId && !apiKey.revokedAt);
+        active.forEach((apiKey) => apiKeys.update(apiKey._id, { revokedAt: at }));
+        return active.length;
+      },
+    },
+
+    users: {
+      count: async () => users.all().length,
+      create: async (fields) => tracked(users.insert(fields)),
+      get: async (id) => tracked(users.get(id)),
+      findByUsername: async (username) => tracked(users.find((user) => user.username === username)),
+      list: async () => users.all().sort(byField('username')).map(tracked),
+      save: saver(users),
+      remove: async (id) => clone(users.remove(id)),
+    },
+
+    sessions: {
+      create: async (fields) => {
+        const now = new Date();
+        sessions.all().filter((session) => session.expiresAt <= now).forEach((session) => sessions.remove(session._id));
+        return clone(sessions.insert(fields));
+      },
+      findActive: async (tokenHash, now) =>
+        clone(sessions.find((session) => session.tokenHash === tokenHash && session.expiresAt > now)),
+      findActiveById: async (id, now) => {
+        const session = sessions.get(id);
+        return session && session.expiresAt > now ? clone(session) : null;
+      },
+      remove: async (id) => {
+        sessions.remove(id);
+      },
+      removeForUser: async (userId) => {
+        sessions.all()
+          .filter((session) => String(session.userId) === String(userId))
+          .forEach((session) => sessions.remove(session._id));
+      },
+    },
+
+    readings: {
+      insert: async (fields) => {
+        const reading = {
+          _id: newId(),
+          deviceId: DEFAULT_DEVICE_ID,
+          timestamp: new Date(),
+          alert: false,
+          severity: 'normal',
+          alertId: null,
+          anomaly: false,
+          receivedAt: new Date(),
+          backfilled: false,
+          silenced: false,
+          silenceId: null,
+          ...withoutUndefined(clone(fields))
+        };
+        if (reading.readingId !== undefined) {
+          const key = readingIdKey(reading.deviceId, reading.readingId);
+          if (readingIds.has(key)) throw new DuplicateKeyError('Duplicate readingId');
+          readingIds.set(key, reading._id);
+        }
+        if (!readingsByDevice.has(reading.deviceId)) readingsByDevice.set(reading.deviceId, []);
+        const list = readingsByDevice.get(reading.deviceId);
+        list.splice(searchTimestamp(list, reading.timestamp, true), 0, reading);
+        return clone(reading);
+      },
+      find: async (query, { sort = 1, skip = 0, limit = 0 } = {}) => {
+        const matches = findReadings(query);
+        if (sort === -1) matches.reverse();
+        return matches.slice(skip, limit > 0 ? skip + limit : undefined).map(clone);
+      },
+      // Walks back from the end of each device's range, so recent readings are found quickly
+      latest: async ({ deviceId, plausible, alert, ...range } = {}) => {
+        const matches = readingMatches({ plausible, alert });
+        let newest = null;
+        for (const list of readingLists(deviceId)) {
+          const [start, end] = rangeBounds(list, range);
+          for (let i = end - 1; i >= start; i--) {
+            if (!matches(list[i])) continue;
+            if (!newest || list[i].timestamp > newest.timestamp) newest = list[i];
+            break;
+          }
+        }
+        return clone(newest);
+      },
+      oldest: async () => clone(readingLists()
+        .filter((list) => list.length > 0)
+        .map((list) => list[0])
+        .sort(byField('timestamp'))[0]),
+      findByReadingIds: async (deviceId, ids) => ids
+        .filter((readingId) => readingIds.has(readingIdKey(deviceId, readingId)))
+        .map((readingId) => ({ _id: readingIds.get(readingIdKey(deviceId, readingId)), readingId })),
+      latestByDevice: async () => readingLists().filter((list) => list.length > 0).map((list) => clone(list[list.length - 1])),
+      buckets: async (query, bucket) => bucketRows(findReadings(query), bucket),
+      stream: (query) => cursorOver(findReadings(query)),
+      deleteBefore: async (date) => {
+        let deleted = 0;
+        for (const list of readingLists()) {
+          const removed = list.splice(0, searchTimestamp(list, date));
+          removed
+            .filter((reading) => reading.readingId !== undefined)
+            .forEach((reading) => readingIds.delete(readingIdKey(reading.deviceId, reading.readingId)));
+          deleted += removed.length;
+        }
+        return deleted;
+      },
+    },
+
+    rollups: {
+      newest: async () => clone(findRollups().pop()),
+      build: async ({ from, before }) => {
+        for (const row of rollupRows(findReadings({ from, before }))) {
+          const key = rollupKey(row);
+          rollups.set(key, { _id: rollups.get(key)?._id ?? newId(), ...row });
+        }
+      },
+      buckets: async (query, bucket) => rollupBucketRows(findRollups(query), bucket),
+      stream: (query) => cursorOver(findRollups(query)),
+      deleteBefore: async (date) => {
+        const expired = [...rollups].filter(([, rollup]) => rollup.bucketStart < date);
+        expired.forEach(([key]) => rollups.delete(key));
+        return expired.length;
+      },
+    },
+
+    baselines: {
+      get: async (deviceId) => clone(baselines.get(deviceId)),
+      save: async (deviceId, fields) => {
+        baselines.set(deviceId, { _id: baselines.get(deviceId)?._id ?? newId(), deviceId, ...clone(fields) });
+      },
+    },
+
+    alerts: {
+      create: async (fields) => tracked(alerts.insert(fields)),
+      get: async (id) => tracked(alerts.get(id)),
+      findByIds: async (ids) => ids.map((id) => alerts.get(id)).filter(Boolean).map(tracked),
+      save: saver(alerts),
+      list: async (query, { limit = 0 } = {}) => {
+        const matches = alerts.all().filter(alertMatches(query)).sort(byField('timestamp', -1));
+        return matches.slice(0, limit > 0 ? limit : undefined).map(tracked);
+      },
+      stream: (query) => cursorOver(alerts.all().filter(alertMatches(query)).sort(byField('timestamp'))),
+      findActive: async (deviceId, kind) =>
+        tracked(alerts.find((alert) => alert.deviceId === deviceId && alert.kind === kind && alert.active)),
+      activeIncident: async (deviceId) =>
+        tracked(alerts.find((alert) => alert.deviceId === deviceId && alert.active && liveIncident(alert))),
+      lastClosedIncident: async (deviceId) => tracked(alerts.all()
+        .filter((alert) => alert.deviceId === deviceId && !alert.active && liveIncident(alert) &&
+          alert.status !== 'resolved' && alert.closedAt)
+        .sort(byField('closedAt', -1))[0]),
+      openIncidents: async () =>
+        alerts.all().filter((alert) => alert.active && alert.status === 'open' && liveIncident(alert)).map(tracked),
+      stats: async (query, { since }) => {
+        const matches = alerts.all().filter(alertMatches(query));
+        const count = (predicate) => matches.filter(predicate).length;
+        return {
+          total: matches.length,
+          unacknowledged: count((alert) => !alert.acknowledged),
+          today: count((alert) => alert.timestamp >= since),
+          critical: count((alert) => alert.severity === 'critical'),
+          resolved: count((alert) => alert.status === 'resolved'),
+          active: count((alert) => alert.active),
+        };
+      },
+      unacknowledgedBySeverity: async () => {
+        const counts = { warning: 0, critical: 0 };
+        alerts.all().filter((alert) => !alert.acknowledged).forEach((alert) => {
+          counts[alert.severity] = (counts[alert.severity] || 0) + 1;
+        });
+        return counts;
+      },
+    },
+
+    rules: {
+      count: async () => rules.all().length,
+      insertMany: async (fields) => {
+        fields.forEach((rule) => rules.insert(rule));
+      },
+      list: async ({ enabled, deviceId } = {}) => rules.all()
+        .filter((rule) => (enabled === undefined || rule.enabled === enabled) &&
+          (!deviceId || rule.deviceId === null || rule.deviceId === deviceId))
+        .sort(byField('createdAt'))
+        .map(tracked),
+      create: async (fields) => tracked(rules.insert(fields)),
+      get: async (id) => tracked(rules.get(id)),
+      save: saver(rules),
+      remove: async (id) => clone(rules.remove(id)),
+    },
+
+    channels: {
+      list: async ({ enabled } = {}) => channels.all()
+        .filter((channel) => enabled === undefined || channel.enabled === enabled)
+        .sort(byField('createdAt'))
+        .map(tracked),
+      create: async (fields) => tracked(channels.insert(fields)),
+      get: async (id) => tracked(channels.get(id)),
+      save: saver(channels),
+      remove: async (id) => clone(channels.remove(id)),
+    },
+
+    deliveries: {
+      create: async (fields) => clone(deliveries.insert(fields)),
+      listForAlert: async (alertId) => deliveries.all()
+        .filter((delivery) => String(delivery.alertId) === String(alertId))
+        .sort(byField('createdAt'))
+        .map(clone),
+    },
+
+    silences: {
+      list: async ({ deviceId, from, to } = {}) => silences.all()
+        .filter((silence) => (!deviceId || silence.deviceId === null || silence.deviceId === deviceId) &&
+          (!from || silence.endsAt > from) && (!to || silence.startsAt <= to))
+        .sort(byField('startsAt', -1))
+        .map(tracked),
+      create: async (fields) => tracked(silences.insert(fields)),
+      get: async (id) => tracked(silences.get(id)),
+      save: saver(silences),
+      remove: async (id) => clone(silences.remove(id)),
+    },
+
+    audit: {
+      append: async (entry) => {
+        const stored = { _id: newId(), timestamp: new Date(), actor: null, targetType: null, targetId: null, ...clone(entry) };
+        auditEntries.push(stored);
+        return clone(stored);
+      },
+      // Newest first; entries are appended in time order
+      list: async (query, { skip = 0, limit = 0 } = {}) => {
+        const matches = auditEntries.filter(auditMatches(query)).reverse().slice(skip);
+        return (limit > 0 ? matches.slice(0, limit) : matches).map(clone);
+      },
+      count: async (query) => auditEntries.filter(auditMatches(query)).length,
+    },
+
+    dailyReports: {
+      exists: async (date) => dailyReports.has(date),
+      // Keeps the report already stored for the date, if any
+      insert: async ({ date, ...fields }) => {
+        if (!dailyReports.has(date)) {
+          dailyReports.set(date, { _id: newId(), date, generatedAt: new Date(), ...clone(fields) });
+        }
+      },
+      // Summaries: date, range and the headline figures of each report, newest first
+      list: async ({ limit }) => [...dailyReports.values()]
+        .sort(byField('date', -1))
+        .slice(0, limit)
+        .map(({ date, from, to, generatedAt, report }) => clone({
+          date,
+          from,
+          to,
+          generatedAt,
+          report: { temperature: report?.temperature, bands: report?.bands, alerts: { total: report?.alerts?.total } }
+        })),
+      get: async (date) => clone(dailyReports.get(date)),
+    },
+  };
+};
@@ -0,0 +1,104 @@
+// Prometheus metrics in the text exposition format. Counters and histograms are updated as
+// things happen; gauges that reflect stored state are set just before each scrape.
+
+const registry = [];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const labelText = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+// Series are keyed by their label set; labels are passed as an object, e.g. { severity: 'critical' }
+const seriesStore = () => {
+  const series = new Map();
+  return {
+    get: (labels, create) => {
+      const key = labelText(labels);
+      if (!series.has(key)) series.set(key, { labels, value: create() });
+      return series.get(key);
+    },
+    entries: () => [...series.values()],
+    clear: () => series.clear(),
+  };
+};
+
+export const createCounter = (name, help) => {
+  const series = seriesStore();
+  const metric = {
+    name,
+    help,
+    type: 'counter',
+    inc: (labels = {}, amount = 1) => {
+      series.get(labels, () => 0).value += amount;
+    },
+    lines: () => series.entries().map(({ labels, value }) => `${name}${labelText(labels)} ${formatValue(value)}`),
+  };
+  registry.push(metric);
+  return metric;
+};
+
+export const createGauge = (name, help) => {
+  const series = seriesStore();
+  const metric = {
+    name,
+    help,
+    type: 'gauge',
+    set: (labels, value) => {
+      series.get(labels, () => 0).value = value;
+    },
+    // Drops every series, so devices that no longer exist stop being reported
+    reset: () => series.clear(),
+    lines: () => series.entries().map(({ labels, value }) => `${name}${labelText(labels)} ${formatValue(value)}`),
+  };
+  registry.push(metric);
+  return metric;
+};
+
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export const createHistogram = (name, help, buckets = DEFAULT_BUCKETS) => {
+  const series = seriesStore();
+  const empty = () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 });
+  const metric = {
+    name,
+    help,
+    type: 'histogram',
+    observe: (labels, value) => {
+      const entry = series.get(labels, empty).value;
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    // Starts a timer; calling the returned function records the elapsed seconds
+    startTimer: (labels) => {
+      const start = process.hrtime.bigint();
+      return () => metric.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    },
+    lines: () => series.entries().flatMap(({ labels, value }) => [
+      ...buckets.map((bound, i) => `${name}_bucket${labelText({ ...labels, le: formatValue(bound) })} ${value.counts[i]}`),
+      `${name}_bucket${labelText({ ...labels, le: '+Inf' })} ${value.count}`,
+      `${name}_sum${labelText(labels)} ${value.sum}`,
+      `${name}_count${labelText(labels)} ${value.count}`,
+    ]),
+  };
+  registry.push(metric);
+  return metric;
+};
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export const renderMetrics = () =>
+  registry
+    .map((metric) => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines()].join('\n'))
+    .join('\n') + '\n';
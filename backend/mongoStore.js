@@ -0,0 +1,572 @@
+// MongoDB store (see store.js for the interface): the mongoose models, and the queries and
+// aggregations behind each store method
+
+import mongoose from 'mongoose';
+import { RULE_TYPES, SEVERITIES } from './rules.js';
+import { ALERT_STATUSES } from './alertLifecycle.js';
+import { ROLES } from './auth.js';
+import { CHANNEL_TYPES } from './notifications.js';
+import { SERIES } from './telemetry.js';
+import { FAULT_TYPES, IMPLAUSIBLE_FAULTS, SENSOR_TYPES } from './sensorHealth.js';
+import { bucketPipeline } from './history.js';
+import { rollupBucketPipeline, rollupPipeline } from './retention.js';
+import { SILENCE_KINDS } from './silences.js';
+import { ALERT_KINDS, DEFAULT_DEVICE_ID, DuplicateKeyError, createChangeTracker } from './store.js';
+
+// Device Schema
+const deviceSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true, unique: true, trim: true },
+  name: { type: String, required: true, trim: true },
+  location: { type: String, default: '' },
+  description: { type: String, default: '' },
+  // Series cells in the pack, used to estimate state of charge from pack voltage
+  cellCount: { type: Number, default: 0, min: 0 },
+  // Sensor health (see sensorHealth.js): measuring range, reporting interval and last contact
+  sensorType: { type: String, enum: Object.keys(SENSOR_TYPES), default: 'dht11' },
+  expectedIntervalSeconds: { type: Number, default: null },
+  lastSeenAt: { type: Date, default: null },
+  stuckTracker: {
+    type: { _id: false, lastSignature: String, repeatCount: Number },
+    default: undefined,
+    select: false
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+const Device = mongoose.model('Device', deviceSchema);
+
+// Device API Key Schema (only the SHA-256 hash of the key is stored)
+const apiKeySchema = new mongoose.Schema({
+  deviceId: { type: String, required: true, index: true },
+  keyHash: { type: String, required: true, unique: true },
+  prefix: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null }
+});
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+// User Schema
+const userSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, trim: true },
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: ROLES, default: 'viewer' },
+  createdAt: { type: Date, default: Date.now }
+});
+const User = mongoose.model('User', userSchema);
+
+// Session Schema (token hashes expire through a TTL index)
+const sessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }
+});
+const Session = mongoose.model('Session', sessionSchema);
+
+// Reading Schema
+const readingSchema = new mongoose.Schema({
+  deviceId: { type: String, default: DEFAULT_DEVICE_ID, index: true },
+  temperature: { type: Number, required: true },
+  humidity: Number,
+  voltage: Number,
+  current: Number,
+  cellVoltages: { type: [Number], default: undefined },
+  power: Number,
+  stateOfCharge: Number,
+  timestamp: { type: Date, default: Date.now },
+  alert: { type: Boolean, default: false },
+  severity: { type: String, enum: SEVERITIES, default: 'normal' },
+  alertId: { type: mongoose.Schema.Types.ObjectId, ref: 'Alert', default: null },
+  // Sensor faults; implausible readings are not evaluated against the battery rules
+  faults: { type: [{ _id: false, type: { type: String, enum: FAULT_TYPES }, detail: String }], default: undefined },
+  // z-score against the device's baseline (unset while the baseline is still learning)
+  anomalyScore: Number,
+  anomaly: { type: Boolean, default: false },
+  // Device-generated idempotency key; a retried upload with the same key is ignored
+  readingId: { type: String, default: undefined },
+  receivedAt: { type: Date, default: Date.now },
+  backfilled: { type: Boolean, default: false },
+  // Taken during a silence or maintenance window (see silences.js)
+  silenced: { type: Boolean, default: false },
+  silenceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Silence', default: null },
+});
+readingSchema.index({ deviceId: 1, readingId: 1 }, { unique: true, partialFilterExpression: { readingId: { $type: 'string' } } });
+readingSchema.index({ deviceId: 1, timestamp: -1 });
+readingSchema.index({ timestamp: -1 });
+const Reading = mongoose.model('Reading', readingSchema);
+
+// Hourly Rollup Schema (see retention.js); history past raw retention is read from here
+const rollupSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  bucketStart: { type: Date, required: true },
+  min: Number,
+  avg: Number,
+  max: Number,
+  ...Object.fromEntries(SERIES.filter((name) => name !== 'temperature').map((name) => [name, Number])),
+  count: Number,
+  criticalCount: Number,
+  warningCount: Number,
+  anomalyCount: Number
+});
+rollupSchema.index({ deviceId: 1, bucketStart: 1 }, { unique: true });
+rollupSchema.index({ bucketStart: -1 });
+const ReadingRollup = mongoose.model('ReadingRollup', rollupSchema);
+
+// Anomaly Baseline Schema (see anomaly.js): rolling and hour-of-day temperature stats per device
+const baselineSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true, unique: true },
+  rolling: { mean: Number, variance: Number, count: Number },
+  hourly: [{ _id: false, mean: Number, variance: Number, count: Number }],
+  updatedAt: Date
+});
+const AnomalyBaseline = mongoose.model('AnomalyBaseline', baselineSchema);
+
+// Alert Schema
+const alertSchema = new mongoose.Schema({
+  deviceId: { type: String, default: DEFAULT_DEVICE_ID, index: true },
+  // Battery alerts come from the rules; sensor alerts report a device that stopped reporting or
+  // misreports; predicted_overheat warns that the trend will reach a critical threshold;
+  // anomaly flags readings far from the device's usual baseline (see anomaly.js)
+  kind: { type: String, enum: ALERT_KINDS, default: 'battery' },
+  temperature: Number,
+  message: { type: String, required: true },
+  severity: { type: String, enum: ['warning', 'critical'], default: 'critical' },
+  rules: [{
+    _id: false,
+    ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Rule' },
+    name: String,
+    type: { type: String },
+    severity: String,
+    threshold: Number,
+    detail: String
+  }],
+  // Start of the incident; see incidents.js for how readings fold into it
+  timestamp: { type: Date, default: Date.now },
+  active: { type: Boolean, default: false },
+  lastSeenAt: Date,
+  closedAt: { type: Date, default: null },
+  peakTemperature: Number,
+  readingCount: { type: Number, default: 1 },
+  clearBelow: { type: Number, default: null },
+  clearStreak: { type: Number, default: 0 },
+  escalationLevel: { type: Number, default: 0 },
+  // Raised from readings uploaded late; never part of the live incident and never escalated
+  backfilled: { type: Boolean, default: false },
+  // Raised (or last extended) during a silence: not notified and not escalated
+  silenced: { type: Boolean, default: false },
+  silenceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Silence', default: null },
+  escalatedAt: Date,
+  status: { type: String, enum: ALERT_STATUSES, default: 'open' },
+  acknowledged: { type: Boolean, default: false },
+  acknowledgedBy: String,
+  acknowledgedAt: Date,
+  acknowledgeNote: String,
+  resolvedBy: String,
+  resolvedAt: Date,
+  resolveNote: String
+});
+alertSchema.index({ deviceId: 1, active: 1 });
+alertSchema.index({ timestamp: -1 });
+const Alert = mongoose.model('Alert', alertSchema);
+
+// Alert Rule Schema (see rules.js for the evaluation logic)
+const ruleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  type: { type: String, enum: RULE_TYPES, required: true },
+  severity: { type: String, enum: ['warning', 'critical'], required: true },
+  deviceId: { type: String, default: null },
+  enabled: { type: Boolean, default: true },
+  threshold: Number,
+  delta: Number,
+  windowSeconds: Number,
+  count: Number,
+  createdAt: { type: Date, default: Date.now }
+});
+const Rule = mongoose.model('Rule', ruleSchema);
+
+// Notification Channel Schema (webhook: url/secret, email: to)
+const channelSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  type: { type: String, enum: CHANNEL_TYPES, required: true },
+  enabled: { type: Boolean, default: true },
+  minSeverity: { type: String, enum: ['warning', 'critical'], default: 'critical' },
+  url: String,
+  secret: String,
+  to: [String],
+  createdAt: { type: Date, default: Date.now }
+});
+const NotificationChannel = mongoose.model('NotificationChannel', channelSchema);
+
+// Notification Delivery Schema (one entry per alert per channel; alertId is null for tests)
+const deliverySchema = new mongoose.Schema({
+  alertId: { type: mongoose.Schema.Types.ObjectId, ref: 'Alert', default: null, index: true },
+  channelId: { type: mongoose.Schema.Types.ObjectId, ref: 'NotificationChannel' },
+  channelName: String,
+  channelType: String,
+  event: String,
+  status: { type: String, enum: ['sent', 'failed'] },
+  attempts: Number,
+  responseStatus: Number,
+  error: String,
+  createdAt: { type: Date, default: Date.now }
+});
+const NotificationDelivery = mongoose.model('NotificationDelivery', deliverySchema);
+
+// Daily Report Schema: the fleet-wide report for each UTC day, stored by the scheduler (see reports.js)
+const reportSchema = new mongoose.Schema({
+  date: { type: String, required: true, unique: true },
+  from: Date,
+  to: Date,
+  generatedAt: { type: Date, default: Date.now },
+  report: mongoose.Schema.Types.Mixed
+});
+const DailyReport = mongoose.model('DailyReport', reportSchema);
+
+// Silence Schema: a silence or maintenance window for one device, or every device when
+// deviceId is null (see silences.js)
+const silenceSchema = new mongoose.Schema({
+  deviceId: { type: String, default: null },
+  kind: { type: String, enum: SILENCE_KINDS, default: 'silence' },
+  reason: { type: String, required: true, trim: true },
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now }
+});
+silenceSchema.index({ endsAt: 1, startsAt: 1 });
+const Silence = mongoose.model('Silence', silenceSchema);
+
+// Audit Entry Schema: one per state-changing API call (see audit.js). The log is append-only,
+// so updates and deletes through the model are refused.
+const auditSchema = new mongoose.Schema({
+  timestamp: { type: Date, default: Date.now },
+  actor: { type: String, default: null },
+  role: String,
+  action: { type: String, required: true },
+  targetType: { type: String, default: null },
+  targetId: { type: String, default: null },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  method: String,
+  path: String,
+  status: Number,
+  ip: String,
+  userAgent: String
+});
+auditSchema.index({ timestamp: -1 });
+auditSchema.index({ actor: 1, timestamp: -1 });
+auditSchema.index({ targetType: 1, targetId: 1, timestamp: -1 });
+const refuseChange = () => {
+  throw new Error('The audit log is append-only');
+};
+auditSchema.pre([
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+], refuseChange);
+auditSchema.pre('save', function () {
+  if (!this.isNew) refuseChange();
+});
+const AuditEntry = mongoose.model('AuditEntry', auditSchema);
+
+const DB_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+const PING_TIMEOUT_MS = 2000;
+
+// Alerts stored before kinds existed have none and are battery alerts
+const BATTERY_ALERTS = { kind: { $in: ['battery', null] } };
+
+const rangeFilter = (field, { from, to, before }) => {
+  if (!from && !to && !before) return {};
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  if (before) range.$lt = before;
+  return { [field]: range };
+};
+
+const readingFilter = ({ deviceId, plausible, alert, ...range } = {}) => ({
+  ...(deviceId ? { deviceId } : {}),
+  ...(plausible ? { 'faults.type': { $nin: IMPLAUSIBLE_FAULTS } } : {}),
+  ...(alert === undefined ? {} : { alert }),
+  ...rangeFilter('timestamp', range),
+});
+
+const rollupFilter = ({ deviceId, ...range } = {}) => ({
+  ...(deviceId ? { deviceId } : {}),
+  ...rangeFilter('bucketStart', range),
+});
+
+const alertFilter = ({ deviceId, kind, active, severity, status, ...range } = {}) => ({
+  ...(deviceId ? { deviceId } : {}),
+  ...(kind === 'battery' ? BATTERY_ALERTS : kind ? { kind } : {}),
+  ...(active === undefined ? {} : { active }),
+  ...(severity ? { severity } : {}),
+  ...(status ? { status } : {}),
+  ...rangeFilter('timestamp', range),
+});
+
+const auditFilter = ({ actor, action, targetType, targetId, ...range } = {}) => ({
+  ...(actor ? { actor } : {}),
+  ...(action ? { action } : {}),
+  ...(targetType ? { targetType } : {}),
+  ...(targetId ? { targetId } : {}),
+  ...rangeFilter('timestamp', range),
+});
+
+// Changed fields (see createChangeTracker) as a MongoDB update. Mongoose drops undefined values
+// from a plain update, so cleared fields are $unset rather than left as they were.
+export const changesToUpdate = (changes) => {
+  const entries = Object.entries(changes);
+  const set = Object.fromEntries(entries.filter(([, value]) => value !== undefined));
+  const unset = Object.fromEntries(entries.filter(([, value]) => value === undefined).map(([key]) => [key, '']));
+  return {
+    ...(Object.keys(set).length > 0 ? { $set: set } : {}),
+    ...(Object.keys(unset).length > 0 ? { $unset: unset } : {}),
+  };
+};
+
+// Unique index violations surface as DuplicateKeyError
+const rethrowDuplicate = (message) => (error) => {
+  throw error.code === 11000 ? new DuplicateKeyError(message) : error;
+};
+
+export const createMongoStore = (uri) => {
+  const tracker = createChangeTracker();
+  // Documents callers may change and save() are returned as tracked plain objects
+  const plain = (doc) => (doc ? tracker.track(doc.toObject()) : null);
+  const findById = (Model, id) => (mongoose.isValidObjectId(id) ? Model.findById(id) : null);
+  const saver = (Model) => async (doc) => {
+    const changes = tracker.changes(doc);
+    if (Object.keys(changes).length > 0) {
+      await Model.updateOne({ _id: doc._id }, changesToUpdate(changes), { runValidators: true });
+    }
+    return tracker.track(doc);
+  };
+
+  return {
+    kind: 'mongo',
+
+    connect: async () => {
+      await mongoose.connect(uri, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+      console.log('Connected to MongoDB');
+    },
+
+    close: () => mongoose.disconnect(),
+
+    ping: async () => {
+      const { readyState } = mongoose.connection;
+      const result = { status: 'down', state: DB_STATES[readyState] || 'unknown' };
+      if (readyState !== 1) return result;
+      const startedAt = Date.now();
+      try {
+        await Promise.race([
+          mongoose.connection.db.admin().ping(),
+          new Promise((resolve, reject) => setTimeout(() => reject(new Error('Ping timed out')), PING_TIMEOUT_MS).unref())
+        ]);
+        result.status = 'up';
+        result.latencyMs = Date.now() - startedAt;
+      } catch (error) {
+        result.error = error.message;
+      }
+      return result;
+    },
+
+    isValidId: (id) => mongoose.isValidObjectId(id),
+
+    devices: {
+      list: () => Device.find().sort({ deviceId: 1 }).lean(),
+      get: async (deviceId, { includeTracker = false } = {}) =>
+        plain(await Device.findOne({ deviceId }).select(includeTracker ? '+stuckTracker' : '')),
+      exists: async (deviceId) => Boolean(await Device.exists({ deviceId })),
+      create: async (fields) => plain(await Device.create(fields).catch(rethrowDuplicate('Device already registered'))),
+      update: async (deviceId, fields) =>
+        plain(await Device.findOneAndUpdate({ deviceId }, fields, { new: true, runValidators: true })),
+      remove: async (deviceId) => plain(await Device.findOneAndDelete({ deviceId })),
+      markSeen: async (deviceId, { lastSeenAt, stuckTracker }) => {
+        await Device.updateOne({ deviceId }, { lastSeenAt, stuckTracker });
+      },
+    },
+
+    apiKeys: {
+      create: async (fields) => plain(await ApiKey.create(fields)),
+      findByHash: (keyHash) => ApiKey.findOne({ keyHash }).lean(),
+      get: async (deviceId, id) => (mongoose.isValidObjectId(id) ? ApiKey.findOne({ _id: id, deviceId }).lean() : null),
+      listForDevice: (deviceId) => ApiKey.find({ deviceId }).sort({ createdAt: -1 }).lean(),
+      touch: async (id, at) => {
+        await ApiKey.updateOne({ _id: id }, { lastUsedAt: at });
+      },
+      revoke: (id, at) => ApiKey.findByIdAndUpdate(id, { revokedAt: at }, { new: true }).lean(),
+      revokeAll: async (deviceId, at) => {
+        const { modifiedCount } = await ApiKey.updateMany({ deviceId, revokedAt: null }, { revokedAt: at });
+        return modifiedCount;
+      },
+    },
+
+    users: {
+      count: () => User.countDocuments(),
+      create: async (fields) => plain(await User.create(fields).catch(rethrowDuplicate('Username already taken'))),
+      get: async (id) => plain(await findById(User, id)),
+      findByUsername: async (username) => plain(await User.findOne({ username })),
+      list: async () => (await User.find().sort({ username: 1 })).map(plain),
+      save: saver(User),
+      remove: async (id) => plain(await (mongoose.isValidObjectId(id) ? User.findByIdAndDelete(id) : null)),
+    },
+
+    sessions: {
+      create: async (fields) => (await Session.create(fields)).toObject(),
+      findActive: (tokenHash, now) => Session.findOne({ tokenHash, expiresAt: { $gt: now } }).lean(),
+      findActiveById: (id, now) =>
+        (mongoose.isValidObjectId(id) ? Session.findOne({ _id: id, expiresAt: { $gt: now } }).lean() : null),
+      remove: async (id) => {
+        await Session.deleteOne({ _id: id });
+      },
+      removeForUser: async (userId) => {
+        await Session.deleteMany({ userId });
+      },
+    },
+
+    readings: {
+      insert: async (fields) => (await Reading.create(fields).catch(rethrowDuplicate('Duplicate readingId'))).toObject(),
+      find: (query, { sort = 1, skip = 0, limit = 0 } = {}) =>
+        Reading.find(readingFilter(query)).sort({ timestamp: sort }).skip(skip).limit(limit).lean(),
+      latest: (query) => Reading.findOne(readingFilter(query)).sort({ timestamp: -1 }).lean(),
+      oldest: () => Reading.findOne().sort({ timestamp: 1 }).lean(),
+      findByReadingIds: (deviceId, readingIds) =>
+        Reading.find({ deviceId, readingId: { $in: readingIds } }).select('readingId').lean(),
+      // One indexed lookup per device, rather than sorting every stored reading
+      latestByDevice: async () => {
+        const deviceIds = await Reading.distinct('deviceId');
+        const readings = await Promise.all(deviceIds.map((deviceId) => Reading.findOne({ deviceId }).sort({ timestamp: -1 }).lean()));
+        return readings.filter(Boolean);
+      },
+      buckets: (query, bucket) => Reading.aggregate(bucketPipeline(readingFilter(query), bucket)),
+      stream: (query) => Reading.find(readingFilter(query)).sort({ timestamp: 1 }).lean().cursor(),
+      deleteBefore: async (date) => (await Reading.deleteMany({ timestamp: { $lt: date } })).deletedCount,
+    },
+
+    rollups: {
+      newest: () => ReadingRollup.findOne().sort({ bucketStart: -1 }).lean(),
+      build: async ({ from, before }) => {
+        await Reading.aggregate(rollupPipeline(readingFilter({ from, before }), ReadingRollup.collection.name));
+      },
+      buckets: (query, bucket) => ReadingRollup.aggregate(rollupBucketPipeline(rollupFilter(query), bucket)),
+      stream: (query) => ReadingRollup.find(rollupFilter(query)).sort({ bucketStart: 1 }).lean().cursor(),
+      deleteBefore: async (date) => (await ReadingRollup.deleteMany({ bucketStart: { $lt: date } })).deletedCount,
+    },
+
+    baselines: {
+      get: (deviceId) => AnomalyBaseline.findOne({ deviceId }).lean(),
+      save: async (deviceId, fields) => {
+        await AnomalyBaseline.updateOne({ deviceId }, fields, { upsert: true });
+      },
+    },
+
+    alerts: {
+      create: async (fields) => plain(await Alert.create(fields)),
+      get: async (id) => plain(await findById(Alert, id)),
+      findByIds: async (ids) => (await Alert.find({ _id: { $in: ids } })).map(plain),
+      save: saver(Alert),
+      list: async (query, { limit = 0 } = {}) =>
+        (await Alert.find(alertFilter(query)).sort({ timestamp: -1 }).limit(limit)).map(plain),
+      stream: (query) => Alert.find(alertFilter(query)).sort({ timestamp: 1 }).lean().cursor(),
+      findActive: async (deviceId, kind) => plain(await Alert.findOne({ deviceId, kind, active: true })),
+      activeIncident: async (deviceId) =>
+        plain(await Alert.findOne({ deviceId, active: true, backfilled: { $ne: true }, ...BATTERY_ALERTS })),
+      lastClosedIncident: async (deviceId) => plain(await Alert.findOne({
+        deviceId,
+        active: false,
+        backfilled: { $ne: true },
+        ...BATTERY_ALERTS,
+        status: { $ne: 'resolved' },
+        closedAt: { $ne: null }
+      }).sort({ closedAt: -1 })),
+      openIncidents: async () =>
+        (await Alert.find({ active: true, status: 'open', backfilled: { $ne: true }, ...BATTERY_ALERTS })).map(plain),
+      stats: async (query, { since }) => {
+        const filter = alertFilter(query);
+        const count = (extra) => Alert.countDocuments({ ...filter, ...extra });
+        const [total, unacknowledged, today, critical, resolved, active] = await Promise.all([
+          count({}),
+          count({ acknowledged: false }),
+          count({ timestamp: { $gte: since } }),
+          count({ severity: 'critical' }),
+          count({ status: 'resolved' }),
+          count({ active: true }),
+        ]);
+        return { total, unacknowledged, today, critical, resolved, active };
+      },
+      unacknowledgedBySeverity: async () => {
+        const rows = await Alert.aggregate([
+          { $match: { acknowledged: false } },
+          { $group: { _id: '$severity', count: { $sum: 1 } } }
+        ]);
+        return { warning: 0, critical: 0, ...Object.fromEntries(rows.map((row) => [row._id, row.count])) };
+      },
+    },
+
+    rules: {
+      count: () => Rule.countDocuments(),
+      insertMany: async (rules) => {
+        await Rule.insertMany(rules);
+      },
+      list: async ({ enabled, deviceId } = {}) => (await Rule.find({
+        ...(enabled === undefined ? {} : { enabled }),
+        ...(deviceId ? { deviceId: { $in: [null, deviceId] } } : {})
+      }).sort({ createdAt: 1 })).map(plain),
+      create: async (fields) => plain(await Rule.create(fields)),
+      get: async (id) => plain(await findById(Rule, id)),
+      save: saver(Rule),
+      remove: async (id) => plain(await (mongoose.isValidObjectId(id) ? Rule.findByIdAndDelete(id) : null)),
+    },
+
+    channels: {
+      list: async ({ enabled } = {}) =>
+        (await NotificationChannel.find(enabled === undefined ? {} : { enabled }).sort({ createdAt: 1 })).map(plain),
+      create: async (fields) => plain(await NotificationChannel.create(fields)),
+      get: async (id) => plain(await findById(NotificationChannel, id)),
+      save: saver(NotificationChannel),
+      remove: async (id) =>
+        plain(await (mongoose.isValidObjectId(id) ? NotificationChannel.findByIdAndDelete(id) : null)),
+    },
+
+    deliveries: {
+      create: async (fields) => (await NotificationDelivery.create(fields)).toObject(),
+      listForAlert: (alertId) => NotificationDelivery.find({ alertId }).sort({ createdAt: 1 }).lean(),
+    },
+
+    silences: {
+      list: async ({ deviceId, from, to } = {}) => (await Silence.find({
+        ...(deviceId ? { deviceId: { $in: [null, deviceId] } } : {}),
+        ...(from ? { endsAt: { $gt: from } } : {}),
+        ...(to ? { startsAt: { $lte: to } } : {})
+      }).sort({ startsAt: -1 })).map(plain),
+      create: async (fields) => plain(await Silence.create(fields)),
+      get: async (id) => plain(await findById(Silence, id)),
+      save: saver(Silence),
+      remove: async (id) => plain(await (mongoose.isValidObjectId(id) ? Silence.findByIdAndDelete(id) : null)),
+    },
+
+    audit: {
+      append: async (entry) => (await AuditEntry.create(entry)).toObject(),
+      list: (query, { skip = 0, limit = 0 } = {}) =>
+        AuditEntry.find(auditFilter(query)).sort({ timestamp: -1, _id: -1 }).skip(skip).limit(limit).lean(),
+      count: (query) => AuditEntry.countDocuments(auditFilter(query)),
+    },
+
+    dailyReports: {
+      exists: async (date) => Boolean(await DailyReport.exists({ date })),
+      // Keeps the report already stored for the date, if any
+      insert: async ({ date, ...fields }) => {
+        await DailyReport.updateOne({ date }, { $setOnInsert: fields }, { upsert: true });
+      },
+      // Summaries: date, range and the headline figures of each report, newest first
+      list: ({ limit }) => DailyReport.find()
+        .sort({ date: -1 })
+        .limit(limit)
+        .select('-_id date from to generatedAt report.temperature report.bands report.alerts.total')
+        .lean(),
+      get: (date) => DailyReport.findOne({ date }).lean(),
+    },
+  };
+};
@@ -0,0 +1,121 @@
+// MQTT transport: devices publish readings to a telemetry topic instead of POSTing them, and
+// alert events are published back to the broker. Messages go through the same ingest path as
+// POST /api/data and /api/data/batch (see ingestReadings in app.js).
+
+import mqtt from 'mqtt';
+import { booleanFromEnv, numberFromEnv, stringFromEnv } from './config.js';
+import { INGEST_SETTINGS, parseDeviceTime } from './ingest.js';
+
+export const MQTT_SETTINGS = {
+  // Broker URL, e.g. mqtt://localhost:1883; MQTT is disabled while unset
+  url: stringFromEnv('MQTT_URL', null, {
+    pattern: /^(mqtts?|wss?|tcp|ssl):\/\/\S+$/,
+    description: 'an mqtt://, mqtts://, ws:// or wss:// URL',
+  }),
+  username: stringFromEnv('MQTT_USERNAME', undefined),
+  password: process.env.MQTT_PASSWORD || undefined,
+  clientId: stringFromEnv('MQTT_CLIENT_ID', `battery-monitor-${process.pid}`),
+  // Telemetry subscription; the single + level is the device ID
+  topic: stringFromEnv('MQTT_TOPIC', 'battery/+/telemetry', {
+    pattern: /^([^+#]*\/)?\+(\/[^+#]*)?(\/#)?$/,
+    description: 'a topic filter with exactly one + level for the device ID, e.g. battery/+/telemetry',
+  }),
+  // Where alert events are published; {deviceId}, {severity} and {kind} are filled in
+  alertTopic: stringFromEnv('MQTT_ALERT_TOPIC', 'battery/{deviceId}/alerts', {
+    pattern: /^[^+#]+$/,
+    description: 'a topic name without wildcards',
+  }),
+  qos: numberFromEnv('MQTT_QOS', 1, { min: 0, max: 2, integer: true }),
+  // Brokers often allow any client to publish anywhere, so by default each message must carry
+  // the device's API key, as HTTP requests do
+  requireApiKey: booleanFromEnv('MQTT_REQUIRE_API_KEY', true),
+};
+
+// The device ID from a topic matching the subscription, or null for a topic that does not match
+export const deviceIdFromTopic = (filter, topic) => {
+  const filterLevels = filter.split('/');
+  const levels = topic.split('/');
+  for (let i = 0; i < filterLevels.length; i++) {
+    if (filterLevels[i] === '#') break;
+    if (i >= levels.length) return null;
+    if (filterLevels[i] !== '+' && filterLevels[i] !== levels[i]) return null;
+  }
+  if (!filterLevels.includes('#') && levels.length !== filterLevels.length) return null;
+  return levels[filterLevels.indexOf('+')] || null;
+};
+
+export const alertTopicFor = (template, alert) =>
+  template
+    .replace(/\{deviceId\}/g, alert.deviceId)
+    .replace(/\{severity\}/g, alert.severity)
+    .replace(/\{kind\}/g, alert.kind || 'battery');
+
+// Accepts one reading shaped like a POST /api/data body, a batch shaped like a
+// POST /api/data/batch body, or a bare array of readings.
+// Returns { entries, sentAt, apiKey } or { error }.
+export const parseMessage = (message) => {
+  let body;
+  try {
+    body = JSON.parse(message.toString());
+  } catch {
+    return { error: 'Payload is not valid JSON' };
+  }
+  if (Array.isArray(body)) body = { readings: body };
+  if (!body || typeof body !== 'object') return { error: 'Payload must be a JSON object or array' };
+
+  const entries = body.readings === undefined ? [body] : body.readings;
+  if (!Array.isArray(entries) || entries.length === 0) return { error: 'readings must be a non-empty array' };
+  if (entries.length > INGEST_SETTINGS.maxBatchSize) return { error: `At most ${INGEST_SETTINGS.maxBatchSize} readings per batch` };
+
+  const sentAt = parseDeviceTime(body.sentAt);
+  if (sentAt === null) return { error: 'Invalid sentAt' };
+  return { entries, sentAt, apiKey: typeof body.apiKey === 'string' ? body.apiKey : null };
+};
+
+let client = null;
+// Messages from one device are handled in order, like a device waiting for each HTTP response
+const queues = new Map();
+
+const enqueue = (deviceId, task) => {
+  const next = (queues.get(deviceId) || Promise.resolve()).then(task);
+  const settled = next.catch(() => {}).finally(() => {
+    if (queues.get(deviceId) === settled) queues.delete(deviceId);
+  });
+  queues.set(deviceId, settled);
+  return next;
+};
+
+// Connects to the broker and passes each telemetry message to `handleMessage(deviceId, message)`.
+// Does nothing when MQTT_URL is unset. The client reconnects on its own after connection loss.
+export const startMqtt = (handleMessage) => {
+  const { url, username, password, clientId, topic, qos } = MQTT_SETTINGS;
+  if (!url) return null;
+
+  client = mqtt.connect(url, { clientId, username, password, reconnectPeriod: 5000 });
+  client.on('connect', () => {
+    console.log(`Connected to MQTT broker at ${url}`);
+    client.subscribe(topic, { qos }, (error) => {
+      if (error) console.error(`Error subscribing to ${topic}:`, error.message);
+    });
+  });
+  client.on('error', (error) => console.error('MQTT error:', error.message));
+  client.on('message', (messageTopic, message) => {
+    const deviceId = deviceIdFromTopic(topic, messageTopic);
+    if (!deviceId) return;
+    enqueue(deviceId, () => handleMessage(deviceId, message))
+      .catch((error) => console.error(`Error handling MQTT message from ${deviceId}:`, error));
+  });
+  return client;
+};
+
+export const isMqttConnected = () => Boolean(client?.connected);
+
+// Publishes a notification payload (see buildPayload) for an alert; a no-op without a broker.
+// While the connection is down the client queues messages and sends them on reconnect.
+export const publishAlert = (alert, payload) => {
+  if (!client) return;
+  const topic = alertTopicFor(MQTT_SETTINGS.alertTopic, alert);
+  client.publish(topic, JSON.stringify(payload), { qos: MQTT_SETTINGS.qos }, (error) => {
+    if (error) console.error(`Error publishing alert to ${topic}:`, error.message);
+  });
+};
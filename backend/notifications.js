@@ -0,0 +1,143 @@
+// Outbound alert notifications: signed JSON webhooks (with retries) and SMTP email
+
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import { compareSeverity } from './rules.js';
+import { SMTP_SETTINGS } from './config.js';
+
+export const CHANNEL_TYPES = ['webhook', 'email'];
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_MAX_ATTEMPTS = 3;
+const WEBHOOK_RETRY_BASE_MS = 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A channel receives alerts at or above its minimum severity
+export const channelAccepts = (channel, severity) =>
+  channel.enabled !== false && compareSeverity(severity, channel.minSeverity || 'warning') >= 0;
+
+// Returns an error message for an invalid channel definition, or null when it is valid
+export const validateChannel = (channel) => {
+  if (!channel.name || typeof channel.name !== 'string') return 'Channel name is required';
+  if (!CHANNEL_TYPES.includes(channel.type)) return `Channel type must be one of: ${CHANNEL_TYPES.join(', ')}`;
+  if (channel.minSeverity && !['warning', 'critical'].includes(channel.minSeverity)) {
+    return 'minSeverity must be warning or critical';
+  }
+  if (channel.type === 'webhook') {
+    try {
+      const { protocol } = new URL(channel.url);
+      if (!['http:', 'https:'].includes(protocol)) return 'Webhook url must use http or https';
+    } catch {
+      return 'Webhook url is invalid';
+    }
+  }
+  if (channel.type === 'email' && (!Array.isArray(channel.to) || channel.to.length === 0)) {
+    return 'Email channels need at least one recipient in to';
+  }
+  return null;
+};
+
+// Receivers verify with HMAC-SHA256(secret, `${timestamp}.${body}`)
+export const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+export const buildPayload = (event, alert) => ({
+  event,
+  sentAt: new Date().toISOString(),
+  alert: {
+    id: alert._id ? String(alert._id) : null,
+    deviceId: alert.deviceId,
+    kind: alert.kind || 'battery',
+    severity: alert.severity,
+    status: alert.status,
+    temperature: alert.temperature,
+    message: alert.message,
+    timestamp: alert.timestamp,
+  },
+});
+
+const sendWebhook = async (channel, payload) => {
+  const body = JSON.stringify(payload);
+  let lastError = null;
+  let responseStatus = null;
+
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    const timestamp = String(Date.now());
+    const headers = { 'Content-Type': 'application/json', 'X-Battery-Timestamp': timestamp };
+    if (channel.secret) {
+      headers['X-Battery-Signature'] = `sha256=${signPayload(channel.secret, timestamp, body)}`;
+    }
+
+    try {
+      const response = await fetch(channel.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      responseStatus = response.status;
+      if (response.ok) {
+        return { status: 'sent', attempts: attempt, responseStatus };
+      }
+      lastError = `HTTP ${response.status}`;
+      // Other client errors will not succeed on retry
+      if (response.status < 500 && response.status !== 429) {
+        return { status: 'failed', attempts: attempt, responseStatus, error: lastError };
+      }
+    } catch (error) {
+      lastError = error.message;
+    }
+
+    if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+      await sleep(WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1));
+    }
+  }
+  return { status: 'failed', attempts: WEBHOOK_MAX_ATTEMPTS, responseStatus, error: lastError };
+};
+
+let transporter = null;
+
+// SMTP server settings come from the environment (see config.js); channels only choose recipients
+const getTransporter = () => {
+  if (!transporter) {
+    const { host, port, secure, user, pass } = SMTP_SETTINGS;
+    if (!host) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+    transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+    });
+  }
+  return transporter;
+};
+
+const sendEmail = async (channel, payload) => {
+  const { alert } = payload;
+  const label = payload.event === 'notification.test' ? 'TEST' : String(alert.severity).toUpperCase();
+  try {
+    const info = await getTransporter().sendMail({
+      from: SMTP_SETTINGS.from,
+      to: channel.to.join(', '),
+      subject: `[${label}] ${alert.kind.startsWith('sensor_') ? 'Sensor' : 'Battery'} alert on ${alert.deviceId}`,
+      text: [
+        alert.message,
+        '',
+        `Device: ${alert.deviceId}`,
+        typeof alert.temperature === 'number' ? `Temperature: ${alert.temperature}°C` : null,
+        `Severity: ${alert.severity}`,
+        `Time: ${new Date(alert.timestamp).toISOString()}`,
+      ].filter((line) => line !== null).join('\n'),
+    });
+    return { status: 'sent', attempts: 1, messageId: info.messageId };
+  } catch (error) {
+    return { status: 'failed', attempts: 1, error: error.message };
+  }
+};
+
+// Delivers a payload to one channel; never throws, the result is written to the delivery log
+export const deliver = (channel, payload) =>
+  channel.type === 'webhook' ? sendWebhook(channel, payload) : sendEmail(channel, payload);
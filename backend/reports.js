@@ -0,0 +1,354 @@
+// Battery health reports for a period: temperature summary, time spent in each severity
+// band, alert figures and a per-day breakdown, as JSON or a printable HTML page
+
+import { BUCKET_SIZES, parseHistoryQuery } from './history.js';
+import { connectionHealth, isImplausible } from './sensorHealth.js';
+import { numberFromEnv } from './config.js';
+
+const DAY_MS = BUCKET_SIZES.day;
+const HOUR_MS = BUCKET_SIZES.hour;
+
+export const REPORT_SETTINGS = {
+  // Longest period a single report may cover
+  maxDays: numberFromEnv('REPORT_MAX_DAYS', 92, { min: 1 }),
+  // How often the scheduler checks for a missing daily report (0 disables it)
+  checkIntervalMinutes: numberFromEnv('REPORT_CHECK_INTERVAL_MINUTES', 60, { min: 0 }),
+  // A day's report is stored this long after midnight UTC, so uploads buffered overnight are included
+  dailyDelayMinutes: numberFromEnv('REPORT_DAILY_DELAY_MINUTES', 30, { min: 0, max: 1439 }),
+};
+
+export const REPORT_PERIODS = { day: DAY_MS, week: 7 * DAY_MS };
+export const REPORT_FORMATS = ['json', 'html'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// UTC calendar date, e.g. 2024-05-01
+export const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+export const startOfDay = (date) => new Date(Math.floor(new Date(date).getTime() / DAY_MS) * DAY_MS);
+
+// Reads either `period` (day|week) with an optional UTC `date` it starts on, or explicit
+// `from`/`to`. Without a date the period ends now. Returns { from, to } or { error }.
+export const parseReportQuery = (query, now = new Date()) => {
+  let from;
+  let to;
+  if (query.from !== undefined || query.to !== undefined) {
+    const parsed = parseHistoryQuery({ from: query.from, to: query.to });
+    if (parsed.error) return { error: parsed.error };
+    if (!parsed.from) return { error: 'from is required' };
+    from = parsed.from;
+    to = parsed.to || now;
+  } else {
+    const period = query.period || 'day';
+    if (!REPORT_PERIODS[period]) {
+      return { error: `period must be one of: ${Object.keys(REPORT_PERIODS).join(', ')}` };
+    }
+    if (query.date !== undefined) {
+      if (!DATE_PATTERN.test(query.date) || isNaN(new Date(query.date).getTime())) {
+        return { error: 'date must be formatted YYYY-MM-DD' };
+      }
+      from = new Date(query.date);
+      to = new Date(from.getTime() + REPORT_PERIODS[period]);
+    } else {
+      to = now;
+      from = new Date(now.getTime() - REPORT_PERIODS[period]);
+    }
+  }
+  if (from >= to) return { error: 'from must be before to' };
+  if (to - from > REPORT_SETTINGS.maxDays * DAY_MS) {
+    return { error: `A report can cover at most ${REPORT_SETTINGS.maxDays} days` };
+  }
+  return { from, to };
+};
+
+const emptyStats = () => ({
+  min: null,
+  max: null,
+  total: 0,
+  readings: 0,
+  monitoredMs: 0,
+  warningMs: 0,
+  criticalMs: 0,
+});
+
+const addTemperature = (stats, temperature) => {
+  stats.min = stats.min === null ? temperature : Math.min(stats.min, temperature);
+  stats.max = stats.max === null ? temperature : Math.max(stats.max, temperature);
+  stats.total += temperature;
+  stats.readings += 1;
+};
+
+const addTime = (stats, severity, ms) => {
+  stats.monitoredMs += ms;
+  if (severity === 'warning') stats.warningMs += ms;
+  if (severity === 'critical') stats.criticalMs += ms;
+};
+
+// Accumulates readings (in time order per device) and hourly rollups into overall, per-day and
+// per-device stats without holding the readings in memory. Each reading's severity is taken to
+// last until the device's next reading, but never longer than the device's offline threshold,
+// so time without data is not counted as time in a band.
+export const createReportAccumulator = ({ to, devices = [] }) => {
+  const overall = emptyStats();
+  const days = new Map();
+  const byDevice = new Map();
+  const pending = new Map();
+  const maxGapMs = new Map(devices.map((device) => [device.deviceId, connectionHealth(device).offlineAfterSeconds * 1000]));
+  const defaultMaxGapMs = connectionHealth(null).offlineAfterSeconds * 1000;
+
+  const statsFor = (map, key) => {
+    if (!map.has(key)) map.set(key, emptyStats());
+    return map.get(key);
+  };
+
+  // Splits [start, end) at UTC midnights so each day gets its own share
+  const addInterval = (deviceId, severity, start, end) => {
+    addTime(overall, severity, end - start);
+    addTime(statsFor(byDevice, deviceId), severity, end - start);
+    let cursor = start;
+    while (cursor < end) {
+      const dayEnd = Math.min(startOfDay(cursor).getTime() + DAY_MS, end);
+      addTime(statsFor(days, dayKey(cursor)), severity, dayEnd - cursor);
+      cursor = dayEnd;
+    }
+  };
+
+  const flush = (deviceId, until) => {
+    const previous = pending.get(deviceId);
+    if (!previous) return;
+    const start = previous.timestamp.getTime();
+    const end = Math.min(until, start + (maxGapMs.get(deviceId) ?? defaultMaxGapMs), to.getTime());
+    if (end > start) addInterval(deviceId, previous.severity, start, end);
+  };
+
+  return {
+    addReading(reading) {
+      // Readings from a faulty sensor say nothing about the battery
+      if (isImplausible(reading.faults)) return;
+      const timestamp = new Date(reading.timestamp);
+      flush(reading.deviceId, timestamp.getTime());
+      pending.set(reading.deviceId, { timestamp, severity: reading.severity });
+      addTemperature(overall, reading.temperature);
+      addTemperature(statsFor(byDevice, reading.deviceId), reading.temperature);
+      addTemperature(statsFor(days, dayKey(timestamp)), reading.temperature);
+    },
+
+    // An hourly rollup stands in for the raw readings of that hour; band time is approximated
+    // from the share of its readings in each band
+    addRollup(rollup) {
+      if (!rollup.count) return;
+      const share = (count) => (count / rollup.count) * HOUR_MS;
+      for (const stats of [overall, statsFor(byDevice, rollup.deviceId), statsFor(days, dayKey(rollup.bucketStart))]) {
+        stats.min = stats.min === null ? rollup.min : Math.min(stats.min, rollup.min);
+        stats.max = stats.max === null ? rollup.max : Math.max(stats.max, rollup.max);
+        stats.total += rollup.avg * rollup.count;
+        stats.readings += rollup.count;
+        stats.monitoredMs += HOUR_MS;
+        stats.warningMs += share(rollup.warningCount);
+        stats.criticalMs += share(rollup.criticalCount);
+      }
+    },
+
+    finish() {
+      for (const deviceId of pending.keys()) flush(deviceId, Infinity);
+      pending.clear();
+      return { overall, days, byDevice };
+    },
+  };
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+const seconds = (ms) => Math.round(ms / 1000);
+
+const formatStats = (stats) => ({
+  temperature: {
+    min: stats.min,
+    max: stats.max,
+    avg: stats.readings > 0 ? round(stats.total / stats.readings) : null,
+    readings: stats.readings,
+  },
+  bands: {
+    monitoredSeconds: seconds(stats.monitoredMs),
+    normalSeconds: seconds(stats.monitoredMs - stats.warningMs - stats.criticalMs),
+    warningSeconds: seconds(stats.warningMs),
+    criticalSeconds: seconds(stats.criticalMs),
+  },
+});
+
+const isOngoing = (alert) => !alert.closedAt && Boolean(alert.active);
+
+const alertEnd = (alert, now) => {
+  if (alert.closedAt) return new Date(alert.closedAt);
+  if (alert.active) return now;
+  return new Date(alert.lastSeenAt || alert.timestamp);
+};
+
+// Alert count, mean time to acknowledge and the longest battery incident among `alerts`
+export const summarizeAlerts = (alerts, now = new Date()) => {
+  const bySeverity = { warning: 0, critical: 0 };
+  const byKind = {};
+  let acknowledgeMs = 0;
+  let acknowledged = 0;
+  let longest = null;
+
+  for (const alert of alerts) {
+    const kind = alert.kind || 'battery';
+    bySeverity[alert.severity] = (bySeverity[alert.severity] || 0) + 1;
+    byKind[kind] = (byKind[kind] || 0) + 1;
+    if (alert.acknowledgedAt) {
+      acknowledgeMs += Math.max(0, new Date(alert.acknowledgedAt) - new Date(alert.timestamp));
+      acknowledged += 1;
+    }
+    if (kind === 'battery') {
+      const durationMs = alertEnd(alert, now) - new Date(alert.timestamp);
+      if (!longest || durationMs > longest.durationMs) longest = { alert, durationMs };
+    }
+  }
+
+  return {
+    total: alerts.length,
+    bySeverity,
+    byKind,
+    acknowledged,
+    meanTimeToAcknowledgeSeconds: acknowledged > 0 ? seconds(acknowledgeMs / acknowledged) : null,
+    longestIncident: longest && {
+      alertId: longest.alert._id,
+      deviceId: longest.alert.deviceId,
+      severity: longest.alert.severity,
+      message: longest.alert.message,
+      start: new Date(longest.alert.timestamp),
+      end: isOngoing(longest.alert) ? null : alertEnd(longest.alert, now),
+      ongoing: isOngoing(longest.alert),
+      durationSeconds: seconds(longest.durationMs),
+      peakTemperature: longest.alert.peakTemperature ?? null,
+    },
+  };
+};
+
+// Assembles the report from the accumulator's totals and the alerts raised in the period
+export const buildReport = ({ from, to, deviceId = null, totals, alerts, now = new Date() }) => {
+  const alertsByDay = new Map();
+  for (const alert of alerts) {
+    const key = dayKey(alert.timestamp);
+    if (!alertsByDay.has(key)) alertsByDay.set(key, []);
+    alertsByDay.get(key).push(alert);
+  }
+
+  const days = [];
+  for (let day = startOfDay(from); day < to; day = new Date(day.getTime() + DAY_MS)) {
+    const key = dayKey(day);
+    const dayAlerts = alertsByDay.get(key) || [];
+    const summary = summarizeAlerts(dayAlerts, now);
+    days.push({
+      date: key,
+      ...formatStats(totals.days.get(key) || emptyStats()),
+      alerts: { total: summary.total, bySeverity: summary.bySeverity, meanTimeToAcknowledgeSeconds: summary.meanTimeToAcknowledgeSeconds },
+    });
+  }
+
+  return {
+    from,
+    to,
+    deviceId,
+    generatedAt: now,
+    ...formatStats(totals.overall),
+    alerts: summarizeAlerts(alerts, now),
+    days,
+    devices: [...totals.byDevice.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([id, stats]) => ({ deviceId: id, ...formatStats(stats) })),
+  };
+};
+
+// Daily reports are stored once the day is over and the delay for late uploads has passed
+export const dueDailyReportDate = (now = new Date()) => {
+  const day = new Date(startOfDay(now).getTime() - DAY_MS);
+  return now - startOfDay(now) >= REPORT_SETTINGS.dailyDelayMinutes * 60 * 1000 ? day : null;
+};
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+export const formatDuration = (totalSeconds) => {
+  if (totalSeconds === null || totalSeconds === undefined) return '—';
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${totalSeconds % 60}s`;
+  return `${totalSeconds}s`;
+};
+
+const formatTemperature = (value) => (value === null ? '—' : `${value}°C`);
+const formatTime = (date) => (date ? new Date(date).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '—');
+
+const percentOf = (part, whole) => (whole > 0 ? ` (${Math.round((part / whole) * 1000) / 10}%)` : '');
+
+const statsCells = ({ temperature, bands }) => [
+  formatTemperature(temperature.min),
+  formatTemperature(temperature.avg),
+  formatTemperature(temperature.max),
+  formatDuration(bands.warningSeconds) + percentOf(bands.warningSeconds, bands.monitoredSeconds),
+  formatDuration(bands.criticalSeconds) + percentOf(bands.criticalSeconds, bands.monitoredSeconds),
+];
+
+const table = (headers, rows) => `
+  <table>
+    <thead><tr>${headers.map((header) => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+    <tbody>${rows.map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+  </table>`;
+
+// Self-contained page meant to be opened in a browser and printed or saved as PDF
+export const renderReportHtml = (report) => {
+  const { alerts } = report;
+  const incident = alerts.longestIncident;
+  const title = `Battery Health Report — ${report.deviceId || 'All devices'}`;
+  const summaryRows = [
+    ['Period', `${formatTime(report.from)} to ${formatTime(report.to)}`],
+    ['Temperature (min / avg / max)', `${formatTemperature(report.temperature.min)} / ${formatTemperature(report.temperature.avg)} / ${formatTemperature(report.temperature.max)}`],
+    ['Readings', report.temperature.readings],
+    ['Monitored time', formatDuration(report.bands.monitoredSeconds)],
+    ['Time in warning band', formatDuration(report.bands.warningSeconds) + percentOf(report.bands.warningSeconds, report.bands.monitoredSeconds)],
+    ['Time in critical band', formatDuration(report.bands.criticalSeconds) + percentOf(report.bands.criticalSeconds, report.bands.monitoredSeconds)],
+    ['Alerts', `${alerts.total} (${alerts.bySeverity.critical || 0} critical, ${alerts.bySeverity.warning || 0} warning)`],
+    ['Mean time to acknowledge', formatDuration(alerts.meanTimeToAcknowledgeSeconds)],
+    ['Longest incident', incident
+      ? `${formatDuration(incident.durationSeconds)}${incident.ongoing ? ' (ongoing)' : ''} on ${incident.deviceId}, from ${formatTime(incident.start)}`
+      : 'None'],
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; color: #111827; margin: 2rem; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.1rem; margin-top: 2rem; }
+    .meta { color: #6b7280; font-size: 0.875rem; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.875rem; }
+    th, td { border: 1px solid #e5e7eb; padding: 0.4rem 0.6rem; text-align: left; }
+    th { background: #f9fafb; }
+    .summary td:first-child { font-weight: 600; width: 35%; }
+    @media print { body { margin: 0; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="meta">Generated ${escapeHtml(formatTime(report.generatedAt))}. Days are UTC calendar days.</p>
+
+  <h2>Summary</h2>
+  <div class="summary">${table(['', ''], summaryRows)}</div>
+
+  <h2>Per day</h2>
+  ${table(
+    ['Date', 'Min', 'Avg', 'Max', 'Warning', 'Critical', 'Alerts', 'Mean time to ack'],
+    report.days.map((day) => [day.date, ...statsCells(day), day.alerts.total, formatDuration(day.alerts.meanTimeToAcknowledgeSeconds)]),
+  )}
+${report.devices.length > 1 ? `
+  <h2>Per device</h2>
+  ${table(['Device', 'Min', 'Avg', 'Max', 'Warning', 'Critical'], report.devices.map((device) => [device.deviceId, ...statsCells(device)]))}
+` : ''}</body>
+</html>
+`;
+};
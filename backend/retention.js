@@ -0,0 +1,158 @@
+// Data retention: raw readings are kept for a limited time, and hourly min/avg/max rollups in
+// their own collection keep longer history cheap to store and to chart
+
+import { BUCKET_SIZES, average, summarizeReadings } from './history.js';
+import { SERIES } from './telemetry.js';
+import { numberFromEnv } from './config.js';
+
+const DAY_MS = BUCKET_SIZES.day;
+const HOUR_MS = BUCKET_SIZES.hour;
+
+export const RETENTION_SETTINGS = {
+  // 0 keeps data forever
+  rawDays: numberFromEnv('RETENTION_RAW_DAYS', 30, { min: 0 }),
+  rollupDays: numberFromEnv('RETENTION_ROLLUP_DAYS', 365, { min: 0 }),
+  intervalMinutes: numberFromEnv('ROLLUP_INTERVAL_MINUTES', 60, { min: 0 }),
+};
+
+const OTHER_SERIES = SERIES.filter((name) => name !== 'temperature');
+
+export const floorTo = (date, size) => new Date(Math.floor(date.getTime() / size) * size);
+
+// Raw readings before this (hour-aligned) instant are served from rollups and may be deleted
+export const rawCutoff = (now = new Date()) =>
+  RETENTION_SETTINGS.rawDays > 0 ? floorTo(new Date(now.getTime() - RETENTION_SETTINGS.rawDays * DAY_MS), HOUR_MS) : null;
+
+export const rollupCutoff = (now = new Date()) =>
+  RETENTION_SETTINGS.rollupDays > 0 ? new Date(now.getTime() - RETENTION_SETTINGS.rollupDays * DAY_MS) : null;
+
+// Summarises the matched readings per device and hour and upserts them into `into`, so an
+// hour that gains late readings is simply recomputed
+export const rollupPipeline = (match, into) => [
+  { $match: match },
+  {
+    $group: {
+      _id: {
+        deviceId: '$deviceId',
+        bucketStart: { $subtract: [{ $toLong: '$timestamp' }, { $mod: [{ $toLong: '$timestamp' }, HOUR_MS] }] },
+      },
+      min: { $min: '$temperature' },
+      avg: { $avg: '$temperature' },
+      max: { $max: '$temperature' },
+      ...Object.fromEntries(OTHER_SERIES.map((name) => [name, { $avg: `$${name}` }])),
+      count: { $sum: 1 },
+      criticalCount: { $sum: { $cond: [{ $eq: ['$severity', 'critical'] }, 1, 0] } },
+      warningCount: { $sum: { $cond: [{ $eq: ['$severity', 'warning'] }, 1, 0] } },
+      anomalyCount: { $sum: { $cond: ['$anomaly', 1, 0] } },
+    },
+  },
+  {
+    $project: {
+      _id: 0,
+      deviceId: '$_id.deviceId',
+      bucketStart: { $toDate: '$_id.bucketStart' },
+      min: 1,
+      avg: 1,
+      max: 1,
+      ...Object.fromEntries(OTHER_SERIES.map((name) => [name, 1])),
+      count: 1,
+      criticalCount: 1,
+      warningCount: 1,
+      anomalyCount: 1,
+    },
+  },
+  { $merge: { into, on: ['deviceId', 'bucketStart'], whenMatched: 'replace', whenNotMatched: 'insert' } },
+];
+
+// Reads rollups as rows shaped like bucketPipeline's, so formatBucket applies to both.
+// Hourly rollups are returned as they are; daily buckets weight each hour by its reading count.
+export const rollupBucketPipeline = (match, bucket) => {
+  const size = BUCKET_SIZES[bucket];
+  return [
+    { $match: match },
+    {
+      $group: {
+        _id: { $subtract: [{ $toLong: '$bucketStart' }, { $mod: [{ $toLong: '$bucketStart' }, size] }] },
+        min: { $min: '$min' },
+        total: { $sum: { $multiply: ['$avg', '$count'] } },
+        max: { $max: '$max' },
+        ...Object.fromEntries(OTHER_SERIES.map((name) => [name, { $avg: `$${name}` }])),
+        count: { $sum: '$count' },
+        criticalCount: { $sum: '$criticalCount' },
+        warningCount: { $sum: '$warningCount' },
+        anomalyCount: { $sum: '$anomalyCount' },
+      },
+    },
+    { $addFields: { avg: { $divide: ['$total', '$count'] } } },
+    { $sort: { _id: -1 } },
+  ];
+};
+
+// The rollup documents rollupPipeline writes, computed from readings already matched
+export const rollupRows = (readings) =>
+  summarizeReadings(readings, (reading) => ({
+    deviceId: reading.deviceId,
+    bucketStart: floorTo(reading.timestamp, HOUR_MS).getTime(),
+  })).map(({ _id, ...row }) => ({ deviceId: _id.deviceId, bucketStart: new Date(_id.bucketStart), ...row }));
+
+// The rows rollupBucketPipeline returns, computed from rollups already matched
+export const rollupBucketRows = (rollups, bucket) => {
+  const size = BUCKET_SIZES[bucket];
+  const groups = new Map();
+  for (const rollup of rollups) {
+    const start = floorTo(rollup.bucketStart, size).getTime();
+    if (!groups.has(start)) groups.set(start, []);
+    groups.get(start).push(rollup);
+  }
+  return [...groups].map(([start, group]) => {
+    const sum = (field) => group.reduce((total, rollup) => total + (rollup[field] || 0), 0);
+    const count = sum('count');
+    const total = group.reduce((weighted, rollup) => weighted + rollup.avg * rollup.count, 0);
+    return {
+      _id: start,
+      min: group.reduce((min, rollup) => Math.min(min, rollup.min), Infinity),
+      total,
+      max: group.reduce((max, rollup) => Math.max(max, rollup.max), -Infinity),
+      ...Object.fromEntries(OTHER_SERIES.map((name) => [name, average(group.map((rollup) => rollup[name]))])),
+      count,
+      criticalCount: sum('criticalCount'),
+      warningCount: sum('warningCount'),
+      anomalyCount: sum('anomalyCount'),
+      avg: total / count,
+    };
+  }).sort((a, b) => b._id - a._id);
+};
+
+const weightedAverage = (a, aCount, b, bCount) => {
+  if (a === null || a === undefined) return b;
+  if (b === null || b === undefined) return a;
+  return (a * aCount + b * bCount) / (aCount + bCount);
+};
+
+// Combines rows for the same bucket, newest first; the bucket spanning the raw/rollup
+// boundary gets a row from each source
+export const mergeBucketRows = (rows) => {
+  const byBucket = new Map();
+  for (const row of rows) {
+    const existing = byBucket.get(row._id);
+    if (!existing) {
+      byBucket.set(row._id, row);
+      continue;
+    }
+    byBucket.set(row._id, {
+      _id: row._id,
+      min: Math.min(existing.min, row.min),
+      avg: weightedAverage(existing.avg, existing.count, row.avg, row.count),
+      max: Math.max(existing.max, row.max),
+      ...Object.fromEntries(OTHER_SERIES.map((name) => [
+        name,
+        weightedAverage(existing[name], existing.count, row[name], row.count),
+      ])),
+      count: existing.count + row.count,
+      criticalCount: existing.criticalCount + row.criticalCount,
+      warningCount: existing.warningCount + row.warningCount,
+      anomalyCount: (existing.anomalyCount || 0) + (row.anomalyCount || 0),
+    });
+  }
+  return [...byBucket.values()].sort((a, b) => b._id - a._id);
+};
@@ -0,0 +1,111 @@
+// Alert rules engine: pure evaluation logic shared by the ingest route and the rules API
+
+import { THRESHOLD_SETTINGS } from './config.js';
+
+export const RULE_TYPES = ['threshold', 'rate_of_rise', 'sustained'];
+export const SEVERITIES = ['normal', 'warning', 'critical'];
+
+// Seeded on first start; the thresholds come from WARNING_THRESHOLD and CRITICAL_THRESHOLD
+export const DEFAULT_RULES = [
+  { name: 'Warning temperature', type: 'threshold', severity: 'warning', threshold: THRESHOLD_SETTINGS.warning },
+  { name: 'Critical temperature', type: 'threshold', severity: 'critical', threshold: THRESHOLD_SETTINGS.critical },
+  { name: 'Rapid temperature rise', type: 'rate_of_rise', severity: 'warning', delta: 3, windowSeconds: 60 },
+];
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+// Returns an error message for an invalid rule definition, or null when it is valid
+export const validateRule = (rule) => {
+  if (!rule.name || typeof rule.name !== 'string') return 'Rule name is required';
+  if (!RULE_TYPES.includes(rule.type)) return `Rule type must be one of: ${RULE_TYPES.join(', ')}`;
+  if (!['warning', 'critical'].includes(rule.severity)) return 'Rule severity must be warning or critical';
+
+  switch (rule.type) {
+    case 'threshold':
+      if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold)) return 'threshold must be a number';
+      break;
+    case 'rate_of_rise':
+      if (!isPositiveNumber(rule.delta)) return 'delta must be a positive number';
+      if (!isPositiveNumber(rule.windowSeconds)) return 'windowSeconds must be a positive number';
+      break;
+    case 'sustained':
+      if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold)) return 'threshold must be a number';
+      if (!Number.isInteger(rule.count) || rule.count < 2) return 'count must be an integer of at least 2';
+      break;
+  }
+  return null;
+};
+
+export const compareSeverity = (a, b) => SEVERITIES.indexOf(a) - SEVERITIES.indexOf(b);
+
+export const maxSeverity = (severities) =>
+  severities.reduce((max, severity) => (compareSeverity(severity, max) > 0 ? severity : max), 'normal');
+
+// Rules that apply to a device: global rules (no deviceId) plus the device's own
+export const rulesForDevice = (rules, deviceId) =>
+  rules.filter((rule) => rule.enabled !== false && (!rule.deviceId || rule.deviceId === deviceId));
+
+// How much history the ingest route must load before calling evaluateRules
+export const historyRequirements = (rules) => ({
+  windowSeconds: Math.max(0, ...rules.filter((rule) => rule.type === 'rate_of_rise').map((rule) => rule.windowSeconds)),
+  count: Math.max(0, ...rules.filter((rule) => rule.type === 'sustained').map((rule) => rule.count - 1)),
+});
+
+const evaluateRule = (rule, reading, history) => {
+  const { temperature } = reading;
+
+  switch (rule.type) {
+    case 'threshold':
+      if (temperature > rule.threshold) {
+        return `${temperature}°C exceeds ${rule.threshold}°C`;
+      }
+      return null;
+
+    case 'rate_of_rise': {
+      const since = new Date(reading.timestamp).getTime() - rule.windowSeconds * 1000;
+      const windowed = history.filter((past) => new Date(past.timestamp).getTime() >= since);
+      if (windowed.length === 0) return null;
+      const lowest = Math.min(...windowed.map((past) => past.temperature));
+      const rise = temperature - lowest;
+      if (rise >= rule.delta) {
+        return `rose ${rise.toFixed(1)}°C within ${rule.windowSeconds}s`;
+      }
+      return null;
+    }
+
+    case 'sustained': {
+      const previous = history.slice(0, rule.count - 1);
+      if (previous.length < rule.count - 1) return null;
+      if (temperature > rule.threshold && previous.every((past) => past.temperature > rule.threshold)) {
+        return `above ${rule.threshold}°C for ${rule.count} readings`;
+      }
+      return null;
+    }
+
+    default:
+      return null;
+  }
+};
+
+// Evaluates a new reading against the rules. `history` holds the device's earlier
+// readings, newest first, and must cover historyRequirements(rules).
+export const evaluateRules = (rules, reading, history = []) => {
+  const triggered = [];
+  for (const rule of rules) {
+    const detail = evaluateRule(rule, reading, history);
+    if (detail) {
+      triggered.push({
+        ruleId: rule._id,
+        name: rule.name,
+        type: rule.type,
+        severity: rule.severity,
+        threshold: rule.threshold,
+        detail,
+      });
+    }
+  }
+  return {
+    severity: maxSeverity(triggered.map((entry) => entry.severity)),
+    triggered,
+  };
+};
@@ -0,0 +1,99 @@
+// Scripted sensor behaviour for the simulator: each scenario turns elapsed time into the
+// telemetry an ESP8266 with a DHT11 on a battery pack would send, or null while it is silent
+
+import { SENSOR_SETTINGS, SENSOR_TYPES } from './sensorHealth.js';
+import { METRICS } from './telemetry.js';
+
+export const SCENARIOS = {
+  steady: 'Temperature holds near the baseline with a little sensor noise',
+  drift: 'Temperature creeps up at a constant rate (--drift °C per minute)',
+  runaway: 'Steady for the first 30% of the run, then an accelerating rise far past critical',
+  dropout: 'Steady, but the device goes silent for --dropout seconds from 40% of the run',
+  noisy: 'A flaky sensor: heavy noise plus occasional wild spikes',
+};
+
+// Runs of unlimited duration are phased as if they lasted this long
+const DEFAULT_PHASE_SECONDS = 600;
+
+// Seeded generator (mulberry32), so a run can be repeated exactly with --seed
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal sample (Box-Muller)
+const gaussian = (random) => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+const clamp = (value, [min, max]) => Math.min(Math.max(value, min), max);
+
+// Keeps simulated values inside what ingest accepts. A runaway past the DHT11's range still
+// raises battery alerts, alongside an above-range sensor fault.
+const TEMPERATURE_RANGE = [METRICS.temperature.min, METRICS.temperature.max];
+// Runaway rises up to this fast, just under the sensor jump limit
+const MAX_RUNAWAY_RATE = SENSOR_SETTINGS.maxJumpPerMinute * 0.8;
+
+// Humidity, pack voltage, current and cell voltages around nominal values; a hot pack sags a little
+const telemetry = (random, temperature, { baseline, cellCount }) => {
+  const sag = Math.max(0, temperature - baseline) * 0.004;
+  const cellVoltages = Array.from({ length: cellCount }, () => round(3.9 - sag + gaussian(random) * 0.005, 3));
+  return {
+    temperature: round(clamp(temperature, TEMPERATURE_RANGE)),
+    humidity: round(clamp(45 + gaussian(random) * 1.5, SENSOR_TYPES.dht11.humidity)),
+    voltage: round(cellVoltages.reduce((sum, value) => sum + value, 0), 2),
+    current: round(1.5 + Math.max(0, temperature - baseline) * 0.05 + gaussian(random) * 0.05, 2),
+    cellVoltages,
+  };
+};
+
+// Returns next(elapsedSeconds) for one device; call it with increasing times
+export const createScenario = (name, {
+  random,
+  baseline = 24,
+  durationSeconds = 0,
+  driftPerMinute = 0.5,
+  dropoutSeconds = 120,
+  cellCount = 3,
+} = {}) => {
+  if (!SCENARIOS[name]) throw new Error(`Unknown scenario "${name}"; choose one of: ${Object.keys(SCENARIOS).join(', ')}`);
+  const phaseSeconds = durationSeconds > 0 ? durationSeconds : DEFAULT_PHASE_SECONDS;
+  const options = { baseline, cellCount };
+  const noise = (sigma) => gaussian(random) * sigma;
+  let temperature = baseline;
+  let previousElapsed = 0;
+
+  return (elapsed) => {
+    const minutes = (elapsed - previousElapsed) / 60;
+    previousElapsed = elapsed;
+
+    switch (name) {
+      case 'drift':
+        return telemetry(random, baseline + driftPerMinute * (elapsed / 60) + noise(0.2), options);
+      case 'runaway': {
+        const onset = phaseSeconds * 0.3;
+        if (elapsed < onset) return telemetry(random, baseline + noise(0.2), options);
+        // The rate of rise doubles about every minute and a half until it nears the jump limit
+        const rate = Math.min(0.5 * Math.exp((elapsed - onset) / 130), MAX_RUNAWAY_RATE);
+        temperature += rate * minutes;
+        return telemetry(random, temperature + noise(0.1), options);
+      }
+      case 'dropout': {
+        const start = phaseSeconds * 0.4;
+        if (elapsed >= start && elapsed < start + dropoutSeconds) return null;
+        return telemetry(random, baseline + noise(0.2), options);
+      }
+      case 'noisy': {
+        const spike = random() < 0.03 ? (random() < 0.5 ? -1 : 1) * (8 + random() * 10) : 0;
+        return telemetry(random, baseline + noise(1.5) + spike, options);
+      }
+      default:
+        return telemetry(random, baseline + noise(0.2), options);
+    }
+  };
+};
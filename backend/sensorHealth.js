@@ -0,0 +1,95 @@
+// Sensor health: connection state from a device's last contact and reporting interval, and
+// detection of implausible readings that point at a faulty sensor rather than a hot battery
+
+import { numberFromEnv } from './config.js';
+
+export const SENSOR_SETTINGS = {
+  // Reporting interval assumed for devices that do not set expectedIntervalSeconds
+  defaultIntervalSeconds: numberFromEnv('SENSOR_INTERVAL_SECONDS', 5, { min: 1 }),
+  // Missed intervals before a device counts as stale, and as offline (which raises an alert)
+  staleAfterIntervals: numberFromEnv('SENSOR_STALE_INTERVALS', 3, { min: 1 }),
+  offlineAfterIntervals: numberFromEnv('SENSOR_OFFLINE_INTERVALS', 12, { min: 1 }),
+  // Identical consecutive readings before the sensor is considered stuck
+  stuckReadings: numberFromEnv('SENSOR_STUCK_READINGS', 120, { min: 2, integer: true }),
+  // Largest believable temperature change per minute between consecutive readings
+  maxJumpPerMinute: numberFromEnv('SENSOR_MAX_JUMP_PER_MINUTE', 10, { min: 0.1 }),
+};
+
+// Measuring range of each supported sensor; readings outside it cannot be real
+export const SENSOR_TYPES = {
+  dht11: { temperature: [0, 50], humidity: [20, 90] },
+  dht22: { temperature: [-40, 80], humidity: [0, 100] },
+  generic: {},
+};
+
+export const FAULT_TYPES = ['out_of_range', 'above_range', 'stuck', 'jump'];
+
+// Faults that make the value itself unbelievable. A stuck sensor still reports a plausible
+// value (a battery can sit at a steady temperature), so its readings keep being evaluated.
+// So does a temperature above the sensor's range: a battery in thermal runaway can get there,
+// and missing that is worse than a false critical alert from a broken sensor.
+export const IMPLAUSIBLE_FAULTS = ['out_of_range', 'jump'];
+
+export const isImplausible = (faults = []) => faults.some((fault) => IMPLAUSIBLE_FAULTS.includes(fault.type));
+
+const intervalSeconds = (device) => device?.expectedIntervalSeconds || SENSOR_SETTINGS.defaultIntervalSeconds;
+
+// Thresholds are returned with the state so clients can keep it current between updates
+export const connectionHealth = (device, now = new Date()) => {
+  const interval = intervalSeconds(device);
+  const staleAfterSeconds = interval * SENSOR_SETTINGS.staleAfterIntervals;
+  const offlineAfterSeconds = interval * SENSOR_SETTINGS.offlineAfterIntervals;
+  const lastSeenAt = device?.lastSeenAt || null;
+  const secondsSinceLastSeen = lastSeenAt ? Math.max(0, Math.round((now - new Date(lastSeenAt)) / 1000)) : null;
+
+  let state = 'unknown';
+  if (secondsSinceLastSeen !== null) {
+    if (secondsSinceLastSeen >= offlineAfterSeconds) state = 'offline';
+    else if (secondsSinceLastSeen >= staleAfterSeconds) state = 'stale';
+    else state = 'online';
+  }
+  return { state, lastSeenAt, secondsSinceLastSeen, expectedIntervalSeconds: interval, staleAfterSeconds, offlineAfterSeconds };
+};
+
+// Values that must all repeat for a reading to count towards a stuck sensor
+const signature = (values) =>
+  JSON.stringify([values.temperature, values.humidity, values.voltage, values.current, values.cellVoltages]);
+
+// Checks a reading against the device's sensor and its previous reading. `tracker` holds
+// { lastSignature, repeatCount } from the device and is updated in place.
+// Returns a list of { type, detail }; empty for a plausible reading.
+export const detectFaults = (values, { device, previous, timestamp, tracker }) => {
+  const faults = [];
+  const ranges = SENSOR_TYPES[device?.sensorType || 'dht11'] || {};
+  for (const [metric, [min, max]] of Object.entries(ranges)) {
+    const value = values[metric];
+    if (value !== undefined && (value < min || value > max)) {
+      const type = metric === 'temperature' && value > max ? 'above_range' : 'out_of_range';
+      faults.push({ type, detail: `${metric} ${value} outside the ${device?.sensorType || 'dht11'} range ${min}–${max}` });
+    }
+  }
+
+  const current = signature(values);
+  tracker.repeatCount = current === tracker.lastSignature ? (tracker.repeatCount || 1) + 1 : 1;
+  tracker.lastSignature = current;
+  if (tracker.repeatCount >= SENSOR_SETTINGS.stuckReadings) {
+    faults.push({ type: 'stuck', detail: `same values for ${tracker.repeatCount} readings` });
+  }
+
+  if (previous && !isImplausible(previous.faults)) {
+    // Gaps under a minute count as a full minute, so sensor resolution (1°C on a DHT11)
+    // and timing jitter between closely spaced readings cannot inflate the rate
+    const gapMs = timestamp - new Date(previous.timestamp);
+    const change = Math.abs(values.temperature - previous.temperature);
+    if (change / (Math.max(gapMs, 60000) / 60000) > SENSOR_SETTINGS.maxJumpPerMinute) {
+      faults.push({ type: 'jump', detail: `temperature jumped ${change.toFixed(1)}°C in ${Math.round(gapMs / 1000)}s` });
+    }
+  }
+  return faults;
+};
+
+export const faultMessage = (deviceId, faults) =>
+  `Sensor fault on ${deviceId}: ${faults.map((fault) => fault.detail).join('; ')}`;
+
+export const offlineMessage = (deviceId, health) =>
+  `Sensor ${deviceId} offline: no data for ${Math.round(health.secondsSinceLastSeen / 60)} min (expected every ${health.expectedIntervalSeconds}s)`;
@@ -0,0 +1,74 @@
+// Silences: periods during which alerts for one device (or the whole fleet) are raised silenced.
+// Readings are still stored and flagged, and alerts still recorded, but nobody is notified, open
+// incidents do not escalate and the dashboard shows a banner instead of sounding the siren. A
+// maintenance window is a silence booked ahead of time.
+
+import { numberFromEnv } from './config.js';
+import { parseDate } from './history.js';
+
+export const SILENCE_KINDS = ['silence', 'maintenance'];
+export const SILENCE_STATUSES = ['scheduled', 'active', 'expired'];
+
+export const SILENCE_SETTINGS = {
+  // Longest silence that can be set, so a forgotten one cannot hide alerts for good
+  maxDurationMs: numberFromEnv('SILENCE_MAX_HOURS', 7 * 24, { min: 1 }) * 60 * 60 * 1000,
+};
+
+// Silence fields accepted from clients; durationMinutes is an alternative to endsAt
+const SILENCE_FIELDS = ['deviceId', 'kind', 'reason', 'startsAt', 'endsAt'];
+
+// Builds silence fields from a request body, over `existing` when updating one. startsAt
+// defaults to now and endsAt may be given as durationMinutes from startsAt.
+// Returns { fields } or { error }.
+export const parseSilence = (body, existing = {}, now = new Date()) => {
+  const fields = { kind: 'silence', deviceId: null, ...existing };
+  SILENCE_FIELDS.filter((field) => body[field] !== undefined).forEach((field) => {
+    fields[field] = body[field];
+  });
+
+  if (fields.deviceId !== null && (typeof fields.deviceId !== 'string' || !fields.deviceId.trim())) {
+    return { error: 'deviceId must be a device ID, or null to silence every device' };
+  }
+  if (!SILENCE_KINDS.includes(fields.kind)) return { error: `kind must be one of: ${SILENCE_KINDS.join(', ')}` };
+  if (typeof fields.reason !== 'string' || !fields.reason.trim()) return { error: 'reason is required' };
+  fields.reason = fields.reason.trim();
+
+  const startsAt = fields.startsAt === undefined ? now : parseDate(fields.startsAt);
+  if (!startsAt) return { error: 'Invalid startsAt date' };
+  let endsAt;
+  if (body.durationMinutes !== undefined) {
+    const minutes = Number(body.durationMinutes);
+    if (!Number.isFinite(minutes) || minutes <= 0) return { error: 'durationMinutes must be a positive number' };
+    endsAt = new Date(startsAt.getTime() + minutes * 60 * 1000);
+  } else {
+    endsAt = parseDate(fields.endsAt);
+    if (!endsAt) return { error: 'endsAt or durationMinutes is required' };
+  }
+  if (endsAt <= startsAt) return { error: 'endsAt must be after startsAt' };
+  if (endsAt - startsAt > SILENCE_SETTINGS.maxDurationMs) {
+    return { error: `A silence can last at most ${SILENCE_SETTINGS.maxDurationMs / (60 * 60 * 1000)} hours` };
+  }
+  if (endsAt <= now) return { error: 'endsAt must be in the future' };
+
+  return { fields: { ...fields, startsAt, endsAt } };
+};
+
+export const silenceStatus = (silence, now = new Date()) => {
+  if (now < silence.startsAt) return 'scheduled';
+  return now < silence.endsAt ? 'active' : 'expired';
+};
+
+// The silence covering a device at a moment, if any: its own or a fleet-wide one
+export const coveringSilence = (silences, deviceId, at) => silences.find((silence) =>
+  (!silence.deviceId || silence.deviceId === deviceId) && silence.startsAt <= at && at < silence.endsAt) || null;
+
+// Fields that flag a reading or alert as raised during `silence` (or not, when it is null)
+export const silenceFields = (silence) => ({ silenced: Boolean(silence), silenceId: silence?._id ?? null });
+
+// Keeps an alert's silence in step with the latest reading folded into it. Returns true when the
+// alert has just come out of a silence, so it should now be announced.
+export const applySilence = (alert, silence) => {
+  const wasSilenced = Boolean(alert.silenced);
+  Object.assign(alert, silenceFields(silence));
+  return wasSilenced && !silence;
+};
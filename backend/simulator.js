@@ -0,0 +1,277 @@
+// Sensor simulator: emulates one or more ESP8266 devices sending readings on a schedule, with
+// scripted scenarios, so the dashboard and alerting can be exercised without hardware.
+// Run `npm run simulate -- --help` for the options.
+
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import mqtt from 'mqtt';
+import { SCENARIOS, createRandom, createScenario } from './scenarios.js';
+import { MQTT_SETTINGS } from './mqtt.js';
+
+const USAGE = `Usage: npm run simulate -- [options]
+
+  --scenario <names>     ${Object.keys(SCENARIOS).join(' | ')} (default steady);
+                         a comma-separated list is assigned to the devices in turn
+  --devices <n>          number of devices, named sim-1, sim-2, ... (default 1)
+  --device-ids <ids>     comma-separated device IDs instead of --devices
+  --interval <seconds>   time between readings (default 5)
+  --duration <seconds>   how long to run; 0 runs until interrupted (default 600)
+  --baseline <°C>        resting temperature (default 24)
+  --drift <°C/min>       rise rate of the drift scenario (default 0.5)
+  --dropout <seconds>    length of the dropout scenario's silence (default 120)
+  --seed <n>             repeat a previous run's values exactly
+  --url <url>            backend URL (default http://localhost:$PORT)
+  --keys <id=key,...>    device API keys; devices without one are registered and given
+                         a key using the admin account, which is revoked on exit
+  --username <name>      admin username (default $ADMIN_USERNAME or admin)
+  --password <password>  admin password (default $ADMIN_PASSWORD)
+  --mqtt <url>           publish to this MQTT broker instead of posting over HTTP
+
+Scenarios:
+${Object.entries(SCENARIOS).map(([name, description]) => `  ${name.padEnd(9)} ${description}`).join('\n')}
+`;
+
+const REQUEST_TIMEOUT_MS = 5000;
+
+const fail = (message) => {
+  console.error(`${message}\n\n${USAGE}`);
+  process.exit(1);
+};
+
+const parseOptions = () => {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        scenario: { type: 'string', default: 'steady' },
+        devices: { type: 'string', default: '1' },
+        'device-ids': { type: 'string' },
+        interval: { type: 'string', default: '5' },
+        duration: { type: 'string', default: '600' },
+        baseline: { type: 'string', default: '24' },
+        drift: { type: 'string', default: '0.5' },
+        dropout: { type: 'string', default: '120' },
+        seed: { type: 'string' },
+        url: { type: 'string', default: `http://localhost:${process.env.PORT || 5000}` },
+        keys: { type: 'string', default: '' },
+        username: { type: 'string', default: process.env.ADMIN_USERNAME || 'admin' },
+        password: { type: 'string', default: process.env.ADMIN_PASSWORD },
+        mqtt: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    }));
+  } catch (error) {
+    fail(error.message);
+  }
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const number = (name, min) => {
+    const value = Number(values[name]);
+    if (!Number.isFinite(value) || value < min) fail(`--${name} must be a number of at least ${min}`);
+    return value;
+  };
+  const list = (value) => value.split(',').map((item) => item.trim()).filter(Boolean);
+
+  const scenarios = list(values.scenario);
+  const unknown = scenarios.find((name) => !SCENARIOS[name]);
+  if (unknown || scenarios.length === 0) fail(`Unknown scenario "${unknown || ''}"`);
+
+  const deviceIds = values['device-ids']
+    ? list(values['device-ids'])
+    : Array.from({ length: number('devices', 1) }, (_, i) => `sim-${i + 1}`);
+
+  const keys = new Map(list(values.keys).map((entry) => {
+    const [deviceId, key] = entry.split('=');
+    if (!deviceId || !key) fail(`--keys entries must look like device-id=key (got "${entry}")`);
+    return [deviceId, key];
+  }));
+
+  return {
+    scenarios,
+    deviceIds,
+    keys,
+    intervalSeconds: number('interval', 0.5),
+    durationSeconds: number('duration', 0),
+    baseline: number('baseline', -40),
+    driftPerMinute: number('drift', 0),
+    dropoutSeconds: number('dropout', 0),
+    seed: values.seed === undefined ? Math.floor(Math.random() * 2 ** 31) : number('seed', 0),
+    url: values.url.replace(/\/+$/, ''),
+    username: values.username,
+    password: values.password,
+    mqttUrl: values.mqtt,
+  };
+};
+
+const request = async (url, { token, ...options } = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...options.headers,
+    },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  const body = await response.json().catch(() => ({}));
+  return { status: response.status, ok: response.ok, body };
+};
+
+// Registers devices that have no key and issues one for each. Returns the admin token and
+// the keys to revoke on exit.
+const provisionKeys = async (options) => {
+  const missing = options.deviceIds.filter((deviceId) => !options.keys.has(deviceId));
+  if (missing.length === 0) return { issued: [] };
+  if (!options.password) {
+    fail(`No API key for ${missing.join(', ')}: pass --keys, or admin credentials (--password or ADMIN_PASSWORD) to provision them`);
+  }
+
+  const login = await request(`${options.url}/api/auth/login`, {
+    method: 'POST',
+    body: JSON.stringify({ username: options.username, password: options.password }),
+  });
+  if (!login.ok) fail(`Login as ${options.username} failed: ${login.body.error || login.status}`);
+  const { token } = login.body;
+
+  const issued = [];
+  for (const deviceId of missing) {
+    const created = await request(`${options.url}/api/devices`, {
+      method: 'POST',
+      token,
+      body: JSON.stringify({
+        deviceId,
+        name: `Simulated ${deviceId}`,
+        description: 'Registered by the sensor simulator',
+        cellCount: 3,
+        expectedIntervalSeconds: options.intervalSeconds,
+      }),
+    });
+    if (!created.ok && created.status !== 409) fail(`Registering ${deviceId} failed: ${created.body.error || created.status}`);
+
+    const key = await request(`${options.url}/api/devices/${encodeURIComponent(deviceId)}/keys`, { method: 'POST', token });
+    if (!key.ok) fail(`Issuing a key for ${deviceId} failed: ${key.body.error || key.status}`);
+    options.keys.set(deviceId, key.body.key);
+    issued.push({ deviceId, keyId: key.body._id });
+    console.log(`Provisioned ${deviceId}${created.status === 409 ? ' (already registered)' : ''}`);
+  }
+  return { token, issued };
+};
+
+const revokeKeys = async (options, { token, issued }) => {
+  await Promise.all(issued.map(({ deviceId, keyId }) =>
+    request(`${options.url}/api/devices/${encodeURIComponent(deviceId)}/keys/${keyId}`, { method: 'DELETE', token })
+      .catch((error) => console.error(`Could not revoke the key for ${deviceId}: ${error.message}`))));
+};
+
+// Sends one reading over HTTP or MQTT; resolves to { outcome, alert } for the log
+const createSender = (options) => {
+  if (options.mqttUrl) {
+    const client = mqtt.connect(options.mqttUrl);
+    client.on('error', (error) => console.error(`MQTT error: ${error.message}`));
+    const topicFor = (deviceId) => MQTT_SETTINGS.topic.replace('+', deviceId).replace(/\/#$/, '');
+    return {
+      send: (deviceId, reading) => new Promise((resolve, reject) => {
+        const payload = JSON.stringify({ apiKey: options.keys.get(deviceId), ...reading });
+        client.publish(topicFor(deviceId), payload, { qos: 1 }, (error) => (error ? reject(error) : resolve({ outcome: 'published', alert: false })));
+      }),
+      close: () => new Promise((resolve) => client.end(false, {}, resolve)),
+    };
+  }
+  return {
+    send: async (deviceId, reading) => {
+      const { status, body } = await request(`${options.url}/api/data`, {
+        method: 'POST',
+        headers: { 'X-API-Key': options.keys.get(deviceId) },
+        body: JSON.stringify(reading),
+      });
+      if (status >= 400) throw new Error(`${status} ${body.error || ''}`.trim());
+      const faults = body.faults?.length ? ` fault: ${body.faults.map((fault) => fault.type).join(', ')}` : '';
+      const result = body.duplicate ? 'duplicate' : body.severity;
+      return { outcome: `${status} ${result}${body.alertId ? ' (alert)' : ''}${faults}`, alert: Boolean(body.alertId) };
+    },
+    close: async () => {},
+  };
+};
+
+const run = async () => {
+  const options = parseOptions();
+  const provisioned = await provisionKeys(options);
+  const sender = createSender(options);
+  const random = createRandom(options.seed);
+  const startedAt = Date.now();
+  const timers = [];
+
+  console.log(`Simulating ${options.deviceIds.length} device(s) every ${options.intervalSeconds}s ` +
+    `${options.durationSeconds > 0 ? `for ${options.durationSeconds}s` : 'until interrupted'} (seed ${options.seed})`);
+
+  const devices = options.deviceIds.map((deviceId, i) => ({
+    deviceId,
+    scenario: options.scenarios[i % options.scenarios.length],
+    next: createScenario(options.scenarios[i % options.scenarios.length], { ...options, random }),
+    sequence: 0,
+    sent: 0,
+    failed: 0,
+    alerts: 0,
+    silent: false,
+  }));
+  devices.forEach((device) => console.log(`  ${device.deviceId}: ${device.scenario}`));
+
+  const tick = async (device) => {
+    const elapsed = (Date.now() - startedAt) / 1000;
+    const values = device.next(elapsed);
+    if (!values) {
+      if (!device.silent) console.log(`[${device.deviceId}] dropout: not sending`);
+      device.silent = true;
+      return;
+    }
+    if (device.silent) console.log(`[${device.deviceId}] back online`);
+    device.silent = false;
+    device.sequence += 1;
+    // Idempotency key, as firmware that retries uploads would send
+    const reading = { ...values, readingId: `${device.deviceId}-${startedAt}-${device.sequence}` };
+    try {
+      const { outcome, alert } = await sender.send(device.deviceId, reading);
+      device.sent += 1;
+      if (alert) device.alerts += 1;
+      console.log(`[${device.deviceId}] ${values.temperature}°C -> ${outcome}`);
+    } catch (error) {
+      device.failed += 1;
+      console.error(`[${device.deviceId}] ${values.temperature}°C -> failed: ${error.message}`);
+    }
+  };
+
+  devices.forEach((device, i) => {
+    // Stagger the devices across the interval instead of sending in bursts
+    const offset = (options.intervalSeconds * 1000 * i) / devices.length;
+    timers.push(setTimeout(() => {
+      tick(device);
+      timers.push(setInterval(() => tick(device), options.intervalSeconds * 1000));
+    }, offset));
+  });
+
+  let stopping = false;
+  const stop = async () => {
+    if (stopping) return;
+    stopping = true;
+    timers.forEach((timer) => clearTimeout(timer));
+    await revokeKeys(options, provisioned);
+    await sender.close();
+    console.log('\nSummary:');
+    devices.forEach((device) => console.log(
+      `  ${device.deviceId} (${device.scenario}): ${device.sent} sent, ${device.failed} failed, ${device.alerts} with an alert`));
+    process.exit(0);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+  if (options.durationSeconds > 0) {
+    setTimeout(stop, options.durationSeconds * 1000);
+  }
+};
+
+run().catch((error) => {
+  console.error(`Simulator failed: ${error.message}`);
+  process.exit(1);
+});
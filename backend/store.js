@@ -0,0 +1,78 @@
+// Storage interface shared by the MongoDB store (mongoStore.js) and the in-memory store
+// (memoryStore.js). The app only talks to a store, so it runs against either; STORAGE picks
+// one at startup (see server.js).
+//
+// Every method is async and resolves to plain objects with an `_id`. Time ranges in queries
+// are { from, to } (inclusive) and { before } (exclusive). Unique fields (deviceId, username,
+// a device's readingId) reject duplicates with DuplicateKeyError. Documents changed in place
+// are written back with save(), which writes only the fields changed since they were read.
+//
+//   kind, connect(), close(), ping() → { status: 'up' | 'down', state, latencyMs?, error? },
+//   isValidId(id)
+//   devices      list(), get(deviceId, { includeTracker }), exists(deviceId), create(fields),
+//                update(deviceId, fields), remove(deviceId), markSeen(deviceId, { lastSeenAt, stuckTracker })
+//   apiKeys      create(fields), findByHash(keyHash), get(deviceId, id), listForDevice(deviceId),
+//                touch(id, at), revoke(id, at), revokeAll(deviceId, at) → count
+//   users        count(), create(fields), get(id), findByUsername(username), list(), save(user), remove(id)
+//   sessions     create(fields), findActive(tokenHash, now), findActiveById(id, now), remove(id),
+//                removeForUser(userId)
+//   readings     insert(fields), find(query, { sort, skip, limit }), latest(query), oldest(),
+//                findByReadingIds(deviceId, readingIds), latestByDevice(), buckets(query, bucket),
+//                stream(query), deleteBefore(date) → count
+//                query: { deviceId, from, to, before, plausible, alert }
+//   rollups      newest(), build({ from, before }), buckets(query, bucket), stream(query),
+//                deleteBefore(date) → count
+//                query: { deviceId, from, before }
+//   baselines    get(deviceId), save(deviceId, { rolling, hourly, updatedAt })
+//   alerts       create(fields), get(id), findByIds(ids), save(alert), list(query, { limit }),
+//                stream(query), findActive(deviceId, kind), activeIncident(deviceId),
+//                lastClosedIncident(deviceId), openIncidents(), stats(query, { since }),
+//                unacknowledgedBySeverity()
+//                query: { deviceId, kind, active, severity, status, from, to, before }
+//   rules        count(), insertMany(rules), list({ enabled, deviceId }), create(fields), get(id),
+//                save(rule), remove(id)
+//   channels     list({ enabled }), create(fields), get(id), save(channel), remove(id)
+//   deliveries   create(fields), listForAlert(alertId)
+//   silences     list({ deviceId, from, to }), create(fields), get(id), save(silence), remove(id)
+//                a device's silences include fleet-wide ones; from/to keep those overlapping the range
+//   audit        append(entry), list(query, { skip, limit }), count(query); append-only
+//                query: { actor, action, targetType, targetId, from, to }
+//   dailyReports exists(date), insert(fields), list({ limit }), get(date)
+//
+// alerts.list(), silences.list() and audit.list() return newest first, readings.find() oldest first unless
+// `sort` is -1; stream() returns a cursor (async iterable with close()) over the matches, oldest first.
+
+import { isDeepStrictEqual } from 'util';
+
+export const DEFAULT_DEVICE_ID = 'default';
+
+export const ALERT_KINDS = ['battery', 'sensor_offline', 'sensor_fault', 'predicted_overheat', 'anomaly'];
+
+export class DuplicateKeyError extends Error {
+  constructor(message = 'Duplicate key') {
+    super(message);
+    this.name = 'DuplicateKeyError';
+  }
+}
+
+// Alerts stored before kinds existed have none and are battery alerts
+export const isBatteryAlert = (alert) => !alert.kind || alert.kind === 'battery';
+
+// Remembers documents as they were read, so save() writes only what the caller changed (as
+// mongoose documents do) and a concurrent update to other fields is not overwritten
+export const createChangeTracker = () => {
+  const originals = new WeakMap();
+  return {
+    track: (doc) => {
+      if (doc) originals.set(doc, structuredClone(doc));
+      return doc;
+    },
+    // Fields deleted from the document count as changed to undefined
+    changes: (doc) => {
+      const original = originals.get(doc) || {};
+      const keys = new Set([...Object.keys(original), ...Object.keys(doc)]);
+      return Object.fromEntries([...keys].filter((key) =>
+        key !== '_id' && key !== '__v' && !isDeepStrictEqual(doc[key], original[key])).map((key) => [key, doc[key]]));
+    },
+  };
+};
@@ -0,0 +1,52 @@
+// Server-Sent Events broadcaster: pushes readings, alerts and acknowledgements to dashboards
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// Each open stream with the session that opened it ({ sessionId, userId })
+const clients = new Map();
+
+// Express handler for GET /api/stream, behind the user authentication that sets req.session.
+// The stream ends when the session expires, and when it is revoked (see endStreams).
+export const subscribe = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  // Tell EventSource clients how long to wait before their built-in reconnect
+  res.write('retry: 5000\n\n');
+
+  const { _id: sessionId, userId, expiresAt } = req.session;
+  clients.set(res, { sessionId: String(sessionId), userId: String(userId) });
+  const expiry = setTimeout(() => res.end(), new Date(expiresAt) - Date.now());
+  req.on('close', () => {
+    clearTimeout(expiry);
+    clients.delete(res);
+  });
+};
+
+// Ends the open streams of a session ({ sessionId }) or of all a user's sessions ({ userId })
+export const endStreams = ({ sessionId, userId }) => {
+  for (const [res, owner] of clients) {
+    if ((sessionId && owner.sessionId === String(sessionId)) || (userId && owner.userId === String(userId))) {
+      res.end();
+    }
+  }
+};
+
+export const broadcast = (event, data) => {
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of clients.keys()) {
+    res.write(payload);
+  }
+};
+
+export const clientCount = () => clients.size;
+
+// Comment lines keep proxies from closing idle connections
+setInterval(() => {
+  for (const res of clients.keys()) {
+    res.write(': ping\n\n');
+  }
+}, HEARTBEAT_INTERVAL_MS).unref();
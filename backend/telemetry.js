@@ -0,0 +1,92 @@
+// Telemetry metrics accepted on ingest, their units and plausible ranges, and derived values
+
+// Adding a scalar metric here is enough for ingest validation, storage and downsampling
+export const METRICS = {
+  temperature: { unit: '°C', min: -40, max: 125, required: true },
+  humidity: { unit: '%', min: 0, max: 100 },
+  voltage: { unit: 'V', min: 0, max: 1000 },
+  current: { unit: 'A', min: -1000, max: 1000 },
+};
+
+export const CELL_VOLTAGE_RANGE = { unit: 'V', min: 0, max: 5 };
+
+export const DERIVED_METRICS = {
+  power: { unit: 'W' },
+  stateOfCharge: { unit: '%' },
+};
+
+// Every numeric series stored on a reading (used for downsampling and export)
+export const SERIES = [...Object.keys(METRICS), ...Object.keys(DERIVED_METRICS)];
+
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+// Validates the metrics in a request body. Returns { values } with numbers for every
+// metric present, or { error } describing the first invalid one.
+export const parseTelemetry = (body) => {
+  const values = {};
+  for (const [name, { unit, min, max, required }] of Object.entries(METRICS)) {
+    const raw = body[name];
+    if (raw === undefined || raw === null || raw === '') {
+      if (required) return { error: `Invalid ${name}` };
+      continue;
+    }
+    const value = toNumber(raw);
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return { error: `Invalid ${name}` };
+    }
+    if (value < min || value > max) {
+      return { error: `${name} must be between ${min} and ${max} ${unit}` };
+    }
+    values[name] = value;
+  }
+
+  if (body.cellVoltages !== undefined) {
+    if (!Array.isArray(body.cellVoltages)) return { error: 'cellVoltages must be an array' };
+    const cells = body.cellVoltages.map(toNumber);
+    const { min, max, unit } = CELL_VOLTAGE_RANGE;
+    if (!cells.every((cell) => typeof cell === 'number' && Number.isFinite(cell) && cell >= min && cell <= max)) {
+      return { error: `cellVoltages must be numbers between ${min} and ${max} ${unit}` };
+    }
+    values.cellVoltages = cells;
+  }
+  return { values };
+};
+
+// Resting open-circuit voltage → state of charge for a single Li-ion cell
+const LI_ION_OCV_CURVE = [
+  [3.0, 0], [3.3, 5], [3.5, 10], [3.6, 20], [3.7, 40], [3.8, 55], [3.9, 70], [4.0, 80], [4.1, 90], [4.2, 100],
+];
+
+export const estimateStateOfCharge = (cellVoltage) => {
+  const curve = LI_ION_OCV_CURVE;
+  if (cellVoltage <= curve[0][0]) return 0;
+  if (cellVoltage >= curve[curve.length - 1][0]) return 100;
+  for (let i = 1; i < curve.length; i++) {
+    const [v1, soc1] = curve[i];
+    if (cellVoltage <= v1) {
+      const [v0, soc0] = curve[i - 1];
+      return Math.round(soc0 + ((cellVoltage - v0) / (v1 - v0)) * (soc1 - soc0));
+    }
+  }
+  return 100;
+};
+
+// Power from pack voltage and current; state of charge from the average cell voltage,
+// taken from cellVoltages or, failing that, the pack voltage divided by the device's cell count
+export const deriveMetrics = (values, device) => {
+  const derived = {};
+  if (values.voltage !== undefined && values.current !== undefined) {
+    derived.power = Math.round(values.voltage * values.current * 100) / 100;
+  }
+
+  let cellVoltage;
+  if (values.cellVoltages && values.cellVoltages.length > 0) {
+    cellVoltage = values.cellVoltages.reduce((sum, cell) => sum + cell, 0) / values.cellVoltages.length;
+  } else if (values.voltage !== undefined && device && device.cellCount > 0) {
+    cellVoltage = values.voltage / device.cellCount;
+  }
+  if (cellVoltage !== undefined) {
+    derived.stateOfCharge = estimateStateOfCharge(cellVoltage);
+  }
+  return derived;
+};
@@ -0,0 +1,140 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { THRESHOLD_SETTINGS } from '../config.js';
+import { INCIDENT_SETTINGS } from '../incidents.js';
+import { startTestApp } from './helpers.js';
+
+const { warning, critical } = THRESHOLD_SETTINGS;
+const { hysteresis, clearReadings } = INCIDENT_SETTINGS;
+
+describe('incidents and the alert lifecycle', () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  const ingest = (apiKey, temperature) =>
+    app.request('/api/data', { method: 'POST', apiKey, body: { temperature } });
+  const incidents = async (deviceId) =>
+    (await app.request(`/api/alerts?deviceId=${deviceId}`, { token: app.tokens.viewer })).body
+      .filter((alert) => !alert.kind || alert.kind === 'battery');
+
+  test('breaches fold into one incident that closes only after a sustained recovery', async () => {
+    const key = await app.addDevice('incident-1');
+
+    const first = await ingest(key, critical + 2);
+    assert.equal(first.status, 201);
+    assert.equal(first.body.severity, 'critical');
+    assert.ok(first.body.alertId);
+    const { alertId } = first.body;
+
+    assert.equal((await ingest(key, critical + 3)).body.alertId, alertId);
+    assert.equal((await ingest(key, warning + 1)).body.alertId, alertId);
+
+    // Below the warning threshold but within the hysteresis band: still not recovered
+    await ingest(key, warning - hysteresis / 2);
+    for (let i = 1; i < clearReadings; i++) {
+      await ingest(key, warning - hysteresis - 1);
+    }
+    let [incident] = await incidents('incident-1');
+    assert.equal(incident._id, alertId);
+    assert.equal(incident.active, true);
+    assert.equal(incident.readingCount, 3);
+    assert.equal(incident.peakTemperature, critical + 3);
+
+    await ingest(key, warning - hysteresis - 1.2);
+    [incident] = await incidents('incident-1');
+    assert.equal(incident.active, false);
+    assert.ok(incident.closedAt);
+
+    // A new breach within the cooldown reopens the same incident instead of raising another
+    const reopened = await ingest(key, warning + 1);
+    assert.equal(reopened.body.alertId, alertId);
+    const all = await incidents('incident-1');
+    assert.equal(all.length, 1);
+    assert.equal(all[0].active, true);
+  });
+
+  test('a temperature above the sensor range still raises a critical battery alert', async () => {
+    const key = await app.addDevice('runaway-1', { sensorType: 'dht11' });
+
+    const { status, body } = await ingest(key, 60);
+    assert.equal(status, 201);
+    assert.equal(body.severity, 'critical');
+    assert.deepEqual(body.faults.map((fault) => fault.type), ['above_range']);
+
+    const [incident] = await incidents('runaway-1');
+    assert.equal(incident._id, body.alertId);
+    assert.equal(incident.severity, 'critical');
+    const alerts = (await app.request('/api/alerts?deviceId=runaway-1', { token: app.tokens.viewer })).body;
+    assert.ok(alerts.some((alert) => alert.kind === 'sensor_fault'));
+  });
+
+  test('a trend already past critical is reported without a time to reach it', async () => {
+    const key = await app.addDevice('trend-1');
+    const now = Date.now();
+    // The fitted trend ends above the critical threshold while the last reading is below it
+    const temperatures = [critical - 8, critical - 5.5, critical - 3, critical - 0.5, critical - 0.1];
+    let last;
+    for (const [i, temperature] of temperatures.entries()) {
+      const timestamp = new Date(now - (temperatures.length - 1 - i) * 25 * 1000).toISOString();
+      last = await app.request('/api/data', { method: 'POST', apiKey: key, body: { temperature, timestamp } });
+      assert.equal(last.status, 201);
+    }
+    assert.notEqual(last.body.severity, 'critical');
+
+    const alerts = (await app.request('/api/alerts?deviceId=trend-1', { token: app.tokens.viewer })).body;
+    const prediction = alerts.find((alert) => alert.kind === 'predicted_overheat');
+    assert.ok(prediction);
+    assert.match(prediction.message, new RegExp(`trend already at .* \\(${critical}°C\\)$`));
+    assert.doesNotMatch(prediction.message, /expected in/);
+    assert.equal(prediction.rules[0].detail, 'trend already at the threshold');
+  });
+
+  test('acknowledge, un-acknowledge and resolve record who acted', async () => {
+    const key = await app.addDevice('lifecycle-1');
+    const { body: { alertId } } = await ingest(key, critical + 2);
+    const { viewer, operator } = app.tokens;
+    const act = (action, token, body = {}) =>
+      app.request(`/api/alerts/${alertId}/${action}`, { method: 'PUT', token, body });
+
+    assert.equal((await act('acknowledge', viewer)).status, 403);
+
+    const acknowledged = await act('acknowledge', operator, { note: 'Checking the fans' });
+    assert.equal(acknowledged.status, 200);
+    assert.equal(acknowledged.body.alert.status, 'acknowledged');
+    assert.equal(acknowledged.body.alert.acknowledgedBy, 'operator');
+    assert.equal(acknowledged.body.alert.acknowledgeNote, 'Checking the fans');
+    assert.equal((await act('acknowledge', operator)).status, 409);
+
+    const reopened = await act('unacknowledge', operator);
+    assert.equal(reopened.status, 200);
+    let [stored] = await incidents('lifecycle-1');
+    assert.equal(stored.status, 'open');
+    assert.equal(stored.acknowledged, false);
+    assert.equal(stored.acknowledgedBy, undefined);
+    assert.equal(stored.acknowledgedAt, undefined);
+    assert.equal(stored.acknowledgeNote, undefined);
+
+    const resolved = await act('resolve', operator, { note: 'Fan replaced' });
+    assert.equal(resolved.status, 200);
+    [stored] = await incidents('lifecycle-1');
+    assert.equal(stored.status, 'resolved');
+    assert.equal(stored.resolvedBy, 'operator');
+    assert.equal(stored.active, false);
+    assert.equal((await act('unacknowledge', operator)).status, 409);
+  });
+
+  test('bulk acknowledge skips alerts that are not open', async () => {
+    const key = await app.addDevice('bulk-1');
+    const { body: { alertId } } = await ingest(key, critical + 2);
+    const missing = '0123456789abcdef01234567';
+    const { status, body } = await app.request('/api/alerts/acknowledge', {
+      method: 'PUT', token: app.tokens.operator, body: { ids: [alertId, missing] }
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.alerts.map((alert) => alert._id), [alertId]);
+    assert.deepEqual(body.skipped, [missing]);
+  });
+});
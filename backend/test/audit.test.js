@@ -0,0 +1,71 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, waitFor } from './helpers.js';
+
+describe('audit log', () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  // Entries are written once the response has gone out, so wait for them
+  const auditEntries = (query, count = 1) => waitFor(async () => {
+    const { body } = await app.request(`/api/audit?${query}`, { token: app.tokens.admin });
+    return body.data.length >= count && body;
+  });
+
+  test('records who changed what, with secrets masked', async () => {
+    const { body: user } = await app.request('/api/users', {
+      method: 'POST', token: app.tokens.admin, body: { username: 'newcomer', password: 'first-password', role: 'viewer' }
+    });
+    await app.request(`/api/users/${user._id}`, {
+      method: 'PUT', token: app.tokens.admin, body: { password: 'second-password', role: 'operator' }
+    });
+    await app.request('/api/notifications/channels', {
+      method: 'POST', token: app.tokens.admin, body: { name: 'Hook', type: 'webhook', url: 'http://127.0.0.1:9/hook', secret: 'shh-secret' }
+    });
+
+    const { data: [updated, created] } = await auditEntries(`targetType=user&targetId=${user._id}`, 2);
+    assert.equal(created.action, 'user.create');
+    assert.equal(created.before, null);
+    assert.equal(created.after.passwordHash, '********');
+    assert.equal(updated.action, 'user.update');
+    assert.equal(updated.actor, 'admin');
+    assert.equal(updated.role, 'admin');
+    assert.equal(updated.status, 200);
+    assert.ok(updated.ip);
+    // A changed secret shows as changed, never as its value
+    assert.deepEqual(updated.before, { role: 'viewer', passwordHash: '********' });
+    assert.deepEqual(updated.after, { role: 'operator', passwordHash: '********' });
+
+    const { data: [channel] } = await auditEntries('action=channel.create');
+    assert.equal(channel.after.secret, '********');
+
+    const { body: everything } = await app.request('/api/audit?limit=200', { token: app.tokens.admin });
+    const serialized = JSON.stringify(everything);
+    ['first-password', 'second-password', 'shh-secret', user.passwordHash].filter(Boolean)
+      .forEach((secret) => assert.ok(!serialized.includes(secret), secret));
+  });
+
+  test('failed logins are recorded under the username that was tried', async () => {
+    await app.login('operator', 'not-the-password');
+    const { data: [entry] } = await auditEntries('action=auth.login&actor=operator');
+    assert.equal(entry.status, 401);
+    assert.equal(entry.before, null);
+    assert.equal(entry.after, null);
+  });
+
+  test('device uploads are not audited', async () => {
+    const key = await app.addDevice('audit-1');
+    await app.request('/api/data', { method: 'POST', apiKey: key, body: { temperature: 20 } });
+    await auditEntries('targetType=device&targetId=audit-1');
+    const { body } = await app.request('/api/audit?limit=200', { token: app.tokens.admin });
+    assert.ok(body.data.every((entry) => !entry.path.startsWith('/api/data')));
+  });
+
+  test('rejects invalid filters', async () => {
+    assert.equal((await app.request('/api/audit?limit=500', { token: app.tokens.admin })).status, 400);
+    assert.equal((await app.request('/api/audit?from=yesterday', { token: app.tokens.admin })).status, 400);
+  });
+});
@@ -0,0 +1,163 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LINK_TOKEN_TTL_MS, hashSessionToken, verifyLinkToken } from '../auth.js';
+import { startTestApp } from './helpers.js';
+
+describe('session and device-key auth', () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  test('dashboard routes need a valid session', async () => {
+    assert.equal((await app.request('/api/alerts')).status, 401);
+    assert.equal((await app.request('/api/alerts', { token: 'not-a-session' })).status, 401);
+    assert.equal((await app.request('/api/alerts', { token: app.tokens.viewer })).status, 200);
+  });
+
+  test('login rejects a wrong password', async () => {
+    const { status, body } = await app.login('viewer', 'wrong-password');
+    assert.equal(status, 401);
+    assert.equal(body.token, undefined);
+  });
+
+  test('logout ends the session', async () => {
+    const { body: { token } } = await app.login('viewer');
+    assert.equal((await app.request('/api/auth/logout', { method: 'POST', token })).status, 200);
+    assert.equal((await app.request('/api/auth/me', { token })).status, 401);
+  });
+
+  test('each role can do what the roles below it can', async () => {
+    const { viewer, operator, admin } = app.tokens;
+    const rule = { name: 'Hot', type: 'threshold', severity: 'warning', threshold: 40 };
+
+    assert.equal((await app.request('/api/rules', { token: viewer })).status, 200);
+    assert.equal((await app.request('/api/rules', { method: 'POST', token: viewer, body: rule })).status, 403);
+    assert.equal((await app.request('/api/rules', { method: 'POST', token: operator, body: rule })).status, 403);
+    assert.equal((await app.request('/api/rules', { method: 'POST', token: admin, body: rule })).status, 201);
+
+    const silence = { reason: 'Testing', durationMinutes: 5 };
+    assert.equal((await app.request('/api/silences', { method: 'POST', token: viewer, body: silence })).status, 403);
+    assert.equal((await app.request('/api/silences', { method: 'POST', token: operator, body: silence })).status, 201);
+    assert.equal((await app.request('/api/users', { token: operator })).status, 403);
+    assert.equal((await app.request('/api/audit', { token: operator })).status, 403);
+    assert.equal((await app.request('/api/audit', { token: admin })).status, 200);
+  });
+
+  test('ingest needs an active key for the device it claims', async () => {
+    const key = await app.addDevice('auth-1');
+    const otherKey = await app.addDevice('auth-2');
+    const reading = { temperature: 21 };
+
+    assert.equal((await app.request('/api/data', { method: 'POST', body: reading })).status, 401);
+    assert.equal((await app.request('/api/data', { method: 'POST', apiKey: 'bm_unknown', body: reading })).status, 401);
+    assert.equal((await app.request('/api/data', { method: 'POST', apiKey: otherKey, body: { ...reading, deviceId: 'auth-1' } })).status, 403);
+
+    const { status, body } = await app.request('/api/data', { method: 'POST', apiKey: key, body: reading });
+    assert.equal(status, 201);
+    assert.equal(body.deviceId, 'auth-1');
+
+    // A session token is not a device key, and a revoked key stops working
+    assert.equal((await app.request('/api/data', { method: 'POST', token: app.tokens.admin, body: reading })).status, 401);
+    const rotated = await app.request('/api/devices/auth-1/keys/rotate', { method: 'POST', token: app.tokens.admin });
+    assert.equal(rotated.status, 201);
+    assert.equal((await app.request('/api/data', { method: 'POST', apiKey: key, body: reading })).status, 403);
+    assert.equal((await app.request('/api/data', { method: 'POST', apiKey: rotated.body.key, body: reading })).status, 201);
+  });
+});
+
+describe('link tokens and live streams', () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  const linkToken = async (token, purpose) =>
+    (await app.request('/api/auth/link-token', { method: 'POST', token, body: { purpose } })).body.token;
+  const get = (path, headers = {}) => fetch(`${app.baseUrl}${path}`, { headers });
+
+  // Opens the live stream and resolves to { response, ended }, where ended resolves once the
+  // server closes it
+  const openStream = async (path, headers) => {
+    const response = await get(path, headers);
+    const reader = response.body.getReader();
+    const ended = (async () => {
+      while (!(await reader.read()).done);
+    })();
+    return { response, ended, cancel: () => reader.cancel() };
+  };
+
+  test('session tokens are not accepted in the query', async () => {
+    const { viewer } = app.tokens;
+    assert.equal((await get(`/api/alerts?access_token=${viewer}`)).status, 401);
+    assert.equal((await get(`/api/export/alerts?access_token=${viewer}`)).status, 401);
+    assert.equal((await get(`/api/stream?access_token=${viewer}`)).status, 401);
+  });
+
+  test('a link token opens only the routes of its purpose', async () => {
+    const { viewer } = app.tokens;
+    const download = await linkToken(viewer, 'download');
+
+    const exported = await get(`/api/export/alerts?format=csv&access_token=${download}`);
+    assert.equal(exported.status, 200);
+    assert.equal(exported.headers.get('referrer-policy'), 'no-referrer');
+    await exported.text();
+    assert.equal((await get(`/api/reports?period=day&access_token=${download}`)).status, 200);
+    assert.equal((await get(`/api/alerts?access_token=${download}`)).status, 401);
+    assert.equal((await get(`/api/stream?access_token=${download}`)).status, 401);
+    assert.equal((await get(`/api/export/alerts?access_token=${download.slice(0, -2)}xx`)).status, 401);
+
+    const { response, cancel } = await openStream(`/api/stream?access_token=${await linkToken(viewer, 'stream')}`);
+    assert.equal(response.status, 200);
+    await cancel();
+
+    const invalid = await app.request('/api/auth/link-token', { method: 'POST', token: viewer, body: { purpose: 'admin' } });
+    assert.equal(invalid.status, 400);
+    assert.equal((await app.request('/api/auth/link-token', { method: 'POST', body: { purpose: 'stream' } })).status, 401);
+  });
+
+  test('a link token expires after a minute', async () => {
+    const { body: { token } } = await app.login('viewer');
+    const download = await linkToken(token, 'download');
+    const session = await app.store.sessions.findActive(hashSessionToken(token), new Date());
+    assert.equal(verifyLinkToken(download, session, 'download'), true);
+    assert.equal(verifyLinkToken(download, session, 'download', new Date(Date.now() + LINK_TOKEN_TTL_MS + 1000)), false);
+  });
+
+  test('logging out ends the session\'s link tokens and open streams', async () => {
+    const { body: { token } } = await app.login('viewer');
+    const download = await linkToken(token, 'download');
+    const stream = await openStream('/api/stream', { Authorization: `Bearer ${token}` });
+    const other = await openStream('/api/stream', { Authorization: `Bearer ${app.tokens.viewer}` });
+    assert.equal(stream.response.status, 200);
+
+    assert.equal((await app.request('/api/auth/logout', { method: 'POST', token })).status, 200);
+    await stream.ended;
+    assert.equal((await get(`/api/export/alerts?access_token=${download}`)).status, 401);
+
+    // Other sessions keep streaming
+    let otherEnded = false;
+    other.ended.then(() => {
+      otherEnded = true;
+    });
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.equal(otherEnded, false);
+    await other.cancel();
+  });
+
+  test('changing a user\'s password ends their streams', async () => {
+    const { body: created } = await app.request('/api/users', {
+      method: 'POST', token: app.tokens.admin, body: { username: 'streamer', password: 'streamer-password', role: 'viewer' }
+    });
+    const { body: { token } } = await app.login('streamer', 'streamer-password');
+    const stream = await openStream('/api/stream', { Authorization: `Bearer ${token}` });
+
+    const updated = await app.request(`/api/users/${created._id}`, {
+      method: 'PUT', token: app.tokens.admin, body: { password: 'another-password' }
+    });
+    assert.equal(updated.status, 200);
+    await stream.ended;
+  });
+});
@@ -0,0 +1,41 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { THRESHOLD_SETTINGS } from '../config.js';
+import { startTestApp } from './helpers.js';
+
+describe('exports', () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  const exportCsv = async (path) => {
+    const response = await fetch(`${app.baseUrl}${path}`, { headers: { Authorization: `Bearer ${app.tokens.viewer}` } });
+    assert.equal(response.status, 200);
+    const [header, ...rows] = (await response.text()).trim().split('\n');
+    const columns = header.split(',');
+    return rows.map((row) => Object.fromEntries(row.split(',').map((cell, i) => [columns[i], cell])));
+  };
+
+  test('CSV cells that a spreadsheet would run as formulas are kept as text', async () => {
+    const key = await app.addDevice('export-1');
+    const { body: { alertId } } = await app.request('/api/data', {
+      method: 'POST', apiKey: key, body: { temperature: THRESHOLD_SETTINGS.critical + 2 }
+    });
+    for (const note of ['=1+1', '+1', '@SUM(A1)', '-2']) {
+      await app.request(`/api/alerts/${alertId}/acknowledge`, { method: 'PUT', token: app.tokens.operator, body: { note } });
+      const [row] = await exportCsv('/api/export/alerts?format=csv&deviceId=export-1');
+      assert.equal(row.acknowledgeNote, `'${note}`);
+      await app.request(`/api/alerts/${alertId}/unacknowledge`, { method: 'PUT', token: app.tokens.operator });
+    }
+  });
+
+  test('negative numbers stay numbers', async () => {
+    const key = await app.addDevice('export-2');
+    await app.request('/api/data', { method: 'POST', apiKey: key, body: { temperature: -5, current: -1.5 } });
+    const [row] = await exportCsv('/api/export/readings?format=csv&deviceId=export-2');
+    assert.equal(row.temperature, '-5');
+    assert.equal(row.current, '-1.5');
+  });
+});
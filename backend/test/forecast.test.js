@@ -0,0 +1,46 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FORECAST_METHODS, FORECAST_SETTINGS, forecastTemperature } from '../forecast.js';
+
+const START = Date.parse('2026-01-01T00:00:00Z');
+
+// Readings `stepMs` apart, rising `risePerStep` °C each
+const series = (count, stepMs, risePerStep) =>
+  Array.from({ length: count }, (_, i) => ({ timestamp: new Date(START + i * stepMs), temperature: 20 + i * risePerStep }));
+
+describe('forecastTemperature', () => {
+  for (const method of FORECAST_METHODS) {
+    test(`${method}: projects a steady rise`, () => {
+      const forecast = forecastTemperature(series(6, 60 * 1000, 0.5), { method, horizonMinutes: 10 });
+      assert.equal(forecast.basedOn, 6);
+      assert.ok(forecast.slopePerMinute > 0.3 && forecast.slopePerMinute <= 0.5, `slope ${forecast.slopePerMinute}`);
+      assert.equal(forecast.points.length, 10);
+    });
+
+    test(`${method}: needs the readings to span the minimum time`, () => {
+      // Readings a second apart, rising fast: too short a window to trust the trend
+      assert.equal(forecastTemperature(series(6, 1000, 0.5), { method }), null);
+
+      const spanMs = FORECAST_SETTINGS.minSpanMinutes * 60 * 1000;
+      assert.notEqual(forecastTemperature(series(6, spanMs / 5, 0.1), { method }), null);
+    });
+
+    test(`${method}: treats readings at the same time as one point`, () => {
+      const readings = series(6, 60 * 1000, 0.5);
+      // A duplicate of each reading one degree either side averages back to the same point
+      const duplicated = readings.flatMap((reading) => [
+        { ...reading, temperature: reading.temperature - 1 },
+        { ...reading, temperature: reading.temperature + 1 },
+      ]);
+      const forecast = forecastTemperature(duplicated, { method });
+      const expected = forecastTemperature(readings, { method });
+      assert.equal(forecast.level, expected.level);
+      assert.equal(forecast.slopePerMinute, expected.slopePerMinute);
+    });
+
+    test(`${method}: counts distinct times towards the minimum readings`, () => {
+      const readings = series(FORECAST_SETTINGS.minReadings - 1, 60 * 1000, 0.5);
+      assert.equal(forecastTemperature([...readings, { ...readings[0] }], { method }), null);
+    });
+  }
+});
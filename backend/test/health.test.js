@@ -0,0 +1,57 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './helpers.js';
+
+describe('health checks', () => {
+  let app;
+  let ping;
+  before(async () => {
+    app = await startTestApp();
+    ping = app.store.ping;
+  });
+  after(() => app.close());
+
+  test('report ready while the store is up', async () => {
+    const ready = await app.request('/health/ready');
+    assert.equal(ready.status, 200);
+    assert.equal(ready.body.status, 'READY');
+
+    const health = await app.request('/health');
+    assert.equal(health.status, 200);
+    assert.equal(health.body.status, 'OK');
+    assert.equal(health.body.checks.database.status, 'up');
+  });
+
+  test('report degraded while the store is down', async () => {
+    app.store.ping = async () => ({ status: 'down', state: 'disconnected' });
+    try {
+      const ready = await app.request('/health/ready');
+      assert.equal(ready.status, 503);
+      assert.equal(ready.body.status, 'NOT_READY');
+
+      const health = await app.request('/health');
+      assert.equal(health.status, 200);
+      assert.equal(health.body.status, 'DEGRADED');
+    } finally {
+      app.store.ping = ping;
+    }
+  });
+
+  test('answer 503 when the check itself fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    app.store.ping = async () => {
+      throw new Error('ping failed');
+    };
+    try {
+      const ready = await app.request('/health/ready');
+      assert.equal(ready.status, 503);
+      assert.equal(ready.body.status, 'NOT_READY');
+
+      const health = await app.request('/health');
+      assert.equal(health.status, 503);
+      assert.equal(health.body.status, 'ERROR');
+    } finally {
+      app.store.ping = ping;
+    }
+  });
+});
@@ -0,0 +1,70 @@
+// Shared setup for the route tests: the app on a fresh in-memory store, listening on a free
+// local port, with one user per role already logged in
+
+import http from 'http';
+import { createApp } from '../app.js';
+import { ROLES, hashPassword } from '../auth.js';
+import { createMemoryStore } from '../memoryStore.js';
+import { DEFAULT_RULES } from '../rules.js';
+import { closeServer, listen } from './servers.js';
+
+export const PASSWORD = 'test-password-1';
+
+// Starts the app the way server.js does, minus the background jobs. Users are named after
+// their role (viewer, operator, admin) and `tokens` holds a session token for each.
+export const startTestApp = async () => {
+  const store = createMemoryStore();
+  await store.connect();
+  await store.rules.insertMany(DEFAULT_RULES);
+  const passwordHash = await hashPassword(PASSWORD);
+  for (const role of ROLES) {
+    await store.users.create({ username: role, passwordHash, role });
+  }
+
+  const { app } = createApp(store);
+  const server = http.createServer(app);
+  const baseUrl = await listen(server);
+
+  // fetch() against the app; resolves to { status, body } with the JSON body parsed
+  const request = async (path, { method = 'GET', body, token, apiKey } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(apiKey ? { 'X-API-Key': apiKey } : {}),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  const login = async (username, password = PASSWORD) =>
+    request('/api/auth/login', { method: 'POST', body: { username, password } });
+
+  const tokens = {};
+  for (const role of ROLES) {
+    tokens[role] = (await login(role)).body.token;
+  }
+
+  // Registers a device (a generic sensor unless given, so any temperature is in range) and
+  // returns an API key for it
+  const addDevice = async (deviceId, { sensorType = 'generic' } = {}) => {
+    await request('/api/devices', { method: 'POST', token: tokens.admin, body: { deviceId, sensorType } });
+    return (await request(`/api/devices/${deviceId}/keys`, { method: 'POST', token: tokens.admin })).body.key;
+  };
+
+  return { store, baseUrl, request, login, tokens, addDevice, close: () => closeServer(server) };
+};
+
+// Resolves once check() returns something truthy, for work the app does in the background
+export const waitFor = async (check, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for a condition');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+};
@@ -0,0 +1,52 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { INGEST_SETTINGS } from '../ingest.js';
+import { startTestApp } from './helpers.js';
+
+describe('batch ingest', () => {
+  let app;
+  let key;
+  before(async () => {
+    app = await startTestApp();
+    key = await app.addDevice('batch-1');
+  });
+  after(() => app.close());
+
+  const upload = (readings) =>
+    app.request('/api/data/batch', { method: 'POST', apiKey: key, body: { readings } });
+
+  test('readings are stored once per readingId, across and within uploads', async () => {
+    const now = Date.now();
+    const readings = [
+      { readingId: 'r-1', temperature: 21, timestamp: now - 30000 },
+      { readingId: 'r-2', temperature: 21.5, timestamp: now - 20000 },
+      { readingId: 'r-2', temperature: 21.5, timestamp: now - 20000 },
+    ];
+
+    const first = await upload(readings);
+    assert.equal(first.status, 200);
+    assert.deepEqual([first.body.accepted, first.body.duplicates, first.body.rejected], [2, 1, 0]);
+    assert.deepEqual(first.body.results.map((result) => result.status), ['created', 'created', 'duplicate']);
+
+    // A retried upload (the device never saw the response) stores nothing new
+    const retry = await upload([...readings, { readingId: 'r-3', temperature: 22, timestamp: now - 10000 }]);
+    assert.deepEqual([retry.body.accepted, retry.body.duplicates], [1, 3]);
+    assert.equal(retry.body.results[0].id, first.body.results[0].id);
+
+    const { body: stored } = await app.request('/api/devices/batch-1/data', { token: app.tokens.viewer });
+    assert.deepEqual(stored.data.map((reading) => reading.readingId), ['r-3', 'r-2', 'r-1']);
+  });
+
+  test('invalid readings are rejected without failing the rest', async () => {
+    const { status, body } = await upload([{ temperature: 'hot' }, { temperature: 23 }, null]);
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map((result) => result.status), ['rejected', 'created', 'rejected']);
+  });
+
+  test('empty and oversized uploads are refused', async () => {
+    assert.equal((await upload([])).status, 400);
+    assert.equal((await app.request('/api/data/batch', { method: 'POST', apiKey: key, body: {} })).status, 400);
+    const oversized = Array.from({ length: INGEST_SETTINGS.maxBatchSize + 1 }, () => ({ temperature: 20 }));
+    assert.equal((await upload(oversized)).status, 413);
+  });
+});
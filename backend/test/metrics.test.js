@@ -0,0 +1,44 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const METRICS_TOKEN = 'test-metrics-token';
+
+describe('metrics', () => {
+  let app;
+  before(async () => {
+    // Settings are read when the app is first imported
+    process.env.METRICS_TOKEN = METRICS_TOKEN;
+    const { startTestApp } = await import('./helpers.js');
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  const scrape = (token) =>
+    fetch(`${app.baseUrl}/metrics`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+  const ingestCount = async () => {
+    const text = await (await scrape(METRICS_TOKEN)).text();
+    const line = text.split('\n').find((entry) => entry.startsWith('battery_ingest_duration_seconds_count{transport="http"}'));
+    return line ? Number(line.split(' ').pop()) : 0;
+  };
+
+  test('scrapes need the metrics token', async () => {
+    assert.equal((await scrape()).status, 401);
+    assert.equal((await scrape('wrong')).status, 401);
+    assert.equal((await scrape(`${METRICS_TOKEN}x`)).status, 401);
+    assert.equal((await scrape(app.tokens.admin)).status, 401);
+    assert.equal((await scrape(METRICS_TOKEN)).status, 200);
+  });
+
+  test('an upload that fails in the store is still timed', async (t) => {
+    const key = await app.addDevice('metrics-1');
+    const counted = await ingestCount();
+
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(app.store.readings, 'insert', async () => {
+      throw new Error('store down');
+    });
+    const { status } = await app.request('/api/data', { method: 'POST', apiKey: key, body: { temperature: 21 } });
+    assert.equal(status, 500);
+    assert.equal(await ingestCount(), counted + 1);
+  });
+});
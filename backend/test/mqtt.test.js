@@ -0,0 +1,67 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { INGEST_SETTINGS } from '../ingest.js';
+import { deviceIdFromTopic, parseMessage } from '../mqtt.js';
+
+describe('deviceIdFromTopic', () => {
+  test('takes the device ID from the + level', () => {
+    assert.equal(deviceIdFromTopic('battery/+/telemetry', 'battery/rack-1/telemetry'), 'rack-1');
+    assert.equal(deviceIdFromTopic('+/telemetry', 'rack-1/telemetry'), 'rack-1');
+    assert.equal(deviceIdFromTopic('site/a/+', 'site/a/rack-1'), 'rack-1');
+  });
+
+  test('matches any levels under a trailing #', () => {
+    assert.equal(deviceIdFromTopic('battery/+/#', 'battery/rack-1/telemetry/cell/3'), 'rack-1');
+    assert.equal(deviceIdFromTopic('battery/+/#', 'battery/rack-1'), 'rack-1');
+  });
+
+  test('returns null for topics outside the subscription', () => {
+    assert.equal(deviceIdFromTopic('battery/+/telemetry', 'battery/rack-1/alerts'), null);
+    assert.equal(deviceIdFromTopic('battery/+/telemetry', 'other/rack-1/telemetry'), null);
+    assert.equal(deviceIdFromTopic('battery/+/telemetry', 'battery/rack-1'), null);
+    assert.equal(deviceIdFromTopic('battery/+/telemetry', 'battery/rack-1/telemetry/extra'), null);
+  });
+
+  test('returns null for an empty device ID level', () => {
+    assert.equal(deviceIdFromTopic('battery/+/telemetry', 'battery//telemetry'), null);
+  });
+});
+
+describe('parseMessage', () => {
+  test('reads a single reading', () => {
+    const reading = { deviceId: 'rack-1', temperature: 24.5 };
+    assert.deepEqual(parseMessage(Buffer.from(JSON.stringify({ ...reading, apiKey: 'key' }))), {
+      entries: [{ ...reading, apiKey: 'key' }],
+      sentAt: undefined,
+      apiKey: 'key',
+    });
+  });
+
+  test('reads a batch and a bare array of readings', () => {
+    const readings = [{ temperature: 24 }, { temperature: 25 }];
+    const batch = parseMessage(Buffer.from(JSON.stringify({ readings, sentAt: 1000 })));
+    assert.deepEqual(batch.entries, readings);
+    assert.deepEqual(batch.sentAt, new Date(1000));
+    assert.equal(batch.apiKey, null);
+
+    assert.deepEqual(parseMessage(Buffer.from(JSON.stringify(readings))).entries, readings);
+  });
+
+  test('rejects malformed JSON', () => {
+    assert.deepEqual(parseMessage(Buffer.from('{"temperature": 24')), { error: 'Payload is not valid JSON' });
+    assert.deepEqual(parseMessage(Buffer.from('')), { error: 'Payload is not valid JSON' });
+  });
+
+  test('rejects payloads that are not readings', () => {
+    assert.deepEqual(parseMessage(Buffer.from('42')), { error: 'Payload must be a JSON object or array' });
+    assert.deepEqual(parseMessage(Buffer.from('null')), { error: 'Payload must be a JSON object or array' });
+    assert.deepEqual(parseMessage(Buffer.from('[]')), { error: 'readings must be a non-empty array' });
+    assert.deepEqual(parseMessage(Buffer.from('{"readings": {}}')), { error: 'readings must be a non-empty array' });
+  });
+
+  test('rejects oversized batches and an invalid sentAt', () => {
+    const readings = Array.from({ length: INGEST_SETTINGS.maxBatchSize + 1 }, () => ({ temperature: 24 }));
+    assert.match(parseMessage(Buffer.from(JSON.stringify(readings))).error, /^At most \d+ readings per batch$/);
+    assert.deepEqual(parseMessage(Buffer.from('{"temperature": 24, "sentAt": "yesterday"}')), { error: 'Invalid sentAt' });
+  });
+});
@@ -0,0 +1,159 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { closeServer, startReceiver } from './servers.js';
+
+// A minimal SMTP server that accepts every message and keeps its envelope and data
+const startSmtpServer = () => new Promise((resolve) => {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let message = null;
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply('220 localhost test SMTP');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      if (message?.reading) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        message.data = buffer.slice(0, end);
+        message.reading = false;
+        buffer = buffer.slice(end + 5);
+        messages.push(message);
+        reply('250 OK: queued');
+      }
+      let newline;
+      while (!message?.reading && (newline = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          reply('250 localhost');
+        } else if (command === 'MAIL') {
+          message = { from: line, to: [] };
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          message.to.push(line);
+          reply('250 OK');
+        } else if (command === 'DATA') {
+          message.reading = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('250 OK');
+        }
+      }
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve({ port: server.address().port, messages, close: () => closeServer(server) }));
+});
+
+const ALERT = {
+  _id: '0123456789abcdef01234567',
+  deviceId: 'rack-1',
+  severity: 'critical',
+  status: 'open',
+  temperature: 31,
+  message: 'Critical temperature alert on rack-1',
+  timestamp: new Date('2024-05-01T12:00:00Z'),
+};
+
+describe('notification delivery', () => {
+  let smtp;
+  let notifications;
+  before(async () => {
+    // SMTP settings are read from the environment when the modules load
+    smtp = await startSmtpServer();
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(smtp.port);
+    notifications = await import('../notifications.js');
+  });
+  after(() => smtp.close());
+
+  const webhook = (url, fields = {}) => ({ name: 'Hook', type: 'webhook', url, ...fields });
+
+  test('webhooks are signed over the timestamp and body', async () => {
+    const { buildPayload, deliver, signPayload } = notifications;
+    const receiver = await startReceiver([200]);
+    try {
+      const payload = buildPayload('alert.created', ALERT);
+      const result = await deliver(webhook(receiver.url, { secret: 'shared-secret' }), payload);
+      assert.deepEqual(result, { status: 'sent', attempts: 1, responseStatus: 200 });
+
+      const [{ headers, body }] = receiver.requests;
+      assert.deepEqual(JSON.parse(body), JSON.parse(JSON.stringify(payload)));
+      const timestamp = headers['x-battery-timestamp'];
+      assert.match(timestamp, /^\d+$/);
+      assert.equal(headers['x-battery-signature'], `sha256=${signPayload('shared-secret', timestamp, body)}`);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test('webhooks without a secret are sent unsigned', async () => {
+    const receiver = await startReceiver([200]);
+    try {
+      await notifications.deliver(webhook(receiver.url), notifications.buildPayload('alert.created', ALERT));
+      assert.equal(receiver.requests[0].headers['x-battery-signature'], undefined);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test('server errors are retried with backoff', async () => {
+    const receiver = await startReceiver([503, 200]);
+    try {
+      const result = await notifications.deliver(webhook(receiver.url), notifications.buildPayload('alert.created', ALERT));
+      assert.deepEqual(result, { status: 'sent', attempts: 2, responseStatus: 200 });
+      const [first, second] = receiver.requests;
+      assert.ok(second.receivedAt - first.receivedAt >= 900, 'waits about a second before retrying');
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test('client errors are not retried', async () => {
+    const receiver = await startReceiver([400]);
+    try {
+      const result = await notifications.deliver(webhook(receiver.url), notifications.buildPayload('alert.created', ALERT));
+      assert.deepEqual(result, { status: 'failed', attempts: 1, responseStatus: 400, error: 'HTTP 400' });
+      assert.equal(receiver.requests.length, 1);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test('gives up after three failed attempts', async () => {
+    const receiver = await startReceiver([500]);
+    try {
+      const result = await notifications.deliver(webhook(receiver.url), notifications.buildPayload('alert.created', ALERT));
+      assert.deepEqual(result, { status: 'failed', attempts: 3, responseStatus: 500, error: 'HTTP 500' });
+      assert.equal(receiver.requests.length, 3);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test('email channels send through the configured SMTP server', async () => {
+    const channel = { name: 'On call', type: 'email', to: ['oncall@example.com', 'lead@example.com'] };
+    const result = await notifications.deliver(channel, notifications.buildPayload('alert.created', ALERT));
+    assert.equal(result.status, 'sent', result.error);
+
+    const [message] = smtp.messages;
+    assert.match(message.from, /battery-monitor@localhost/);
+    assert.equal(message.to.length, 2);
+    assert.match(message.data, /Subject: \[CRITICAL\] Battery alert on rack-1/);
+    assert.match(message.data, /Device: rack-1/);
+    assert.match(message.data, /Temperature: 31/);
+  });
+
+  test('channels only accept alerts at or above their minimum severity', () => {
+    const { channelAccepts } = notifications;
+    assert.equal(channelAccepts({ minSeverity: 'critical' }, 'warning'), false);
+    assert.equal(channelAccepts({ minSeverity: 'critical' }, 'critical'), true);
+    assert.equal(channelAccepts({}, 'warning'), true);
+    assert.equal(channelAccepts({ enabled: false }, 'critical'), false);
+  });
+});
@@ -0,0 +1,30 @@
+// Local servers for tests. Kept apart from helpers.js, which loads the app (and with it the
+// settings), so tests that set the environment first can still use them.
+
+import http from 'http';
+
+// Listens on a free local port; resolves to the base URL
+export const listen = (server) => new Promise((resolve) => {
+  server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+export const closeServer = (server) => new Promise((resolve) => server.close(resolve));
+
+// A local HTTP endpoint that records each request and answers with the next of `statuses`
+// (the last one repeats), standing in for a webhook receiver
+export const startReceiver = async (statuses = [200]) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body, receivedAt: Date.now() });
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+  const url = await listen(server);
+  return { url, requests, close: () => closeServer(server) };
+};
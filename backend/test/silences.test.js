@@ -0,0 +1,80 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { THRESHOLD_SETTINGS } from '../config.js';
+import { startTestApp, waitFor } from './helpers.js';
+import { startReceiver } from './servers.js';
+
+const HOT = THRESHOLD_SETTINGS.critical + 2;
+
+describe('silences', () => {
+  let app;
+  let receiver;
+  before(async () => {
+    app = await startTestApp();
+    receiver = await startReceiver();
+    await app.request('/api/notifications/channels', {
+      method: 'POST',
+      token: app.tokens.admin,
+      body: { name: 'Pager', type: 'webhook', url: receiver.url, minSeverity: 'warning' }
+    });
+  });
+  after(async () => {
+    await app.close();
+    await receiver.close();
+  });
+
+  const ingest = (apiKey, temperature) =>
+    app.request('/api/data', { method: 'POST', apiKey, body: { temperature } });
+  const events = () => receiver.requests.map((request) => {
+    const { event, alert } = JSON.parse(request.body);
+    return `${event} ${alert.deviceId}`;
+  });
+
+  test('alerts raised during a silence are recorded but not sent', async () => {
+    const silencedKey = await app.addDevice('silenced-1');
+    const otherKey = await app.addDevice('loud-1');
+    const { status, body: silence } = await app.request('/api/silences', {
+      method: 'POST',
+      token: app.tokens.operator,
+      body: { deviceId: 'silenced-1', reason: 'Replacing the fan', durationMinutes: 30 }
+    });
+    assert.equal(status, 201);
+    assert.equal(silence.status, 'active');
+
+    const silenced = await ingest(silencedKey, HOT);
+    assert.equal(silenced.body.silenced, true);
+    assert.ok(silenced.body.alertId);
+    const loud = await ingest(otherKey, HOT);
+    assert.equal(loud.body.silenced, false);
+
+    // The unsilenced device's alert was raised second, so once it arrives the first would have too
+    await waitFor(() => receiver.requests.length >= 1);
+    assert.deepEqual(events(), ['alert.created loud-1']);
+    const { body: deliveries } = await app.request(`/api/alerts/${silenced.body.alertId}/deliveries`, { token: app.tokens.viewer });
+    assert.deepEqual(deliveries, []);
+    const { body: [alert] } = await app.request('/api/alerts?deviceId=silenced-1', { token: app.tokens.viewer });
+    assert.equal(alert.silenced, true);
+    assert.equal(alert.silenceId, silence._id);
+
+    // An incident still going when the silence ends is announced by its next breach
+    const ended = await app.request(`/api/silences/${silence._id}/end`, { method: 'POST', token: app.tokens.operator });
+    assert.equal(ended.body.status, 'expired');
+    const later = await ingest(silencedKey, HOT + 0.5);
+    assert.equal(later.body.alertId, silenced.body.alertId);
+    assert.equal(later.body.silenced, false);
+    await waitFor(() => receiver.requests.length >= 2);
+    assert.deepEqual(events(), ['alert.created loud-1', 'alert.unsilenced silenced-1']);
+  });
+
+  test('only scheduled silences can be deleted', async () => {
+    const startsAt = new Date(Date.now() + 60 * 60 * 1000);
+    const { body: scheduled } = await app.request('/api/silences', {
+      method: 'POST',
+      token: app.tokens.operator,
+      body: { reason: 'Planned maintenance', kind: 'maintenance', startsAt, durationMinutes: 60 }
+    });
+    assert.equal(scheduled.status, 'scheduled');
+    assert.equal((await app.request(`/api/silences/${scheduled._id}/end`, { method: 'POST', token: app.tokens.operator })).status, 409);
+    assert.equal((await app.request(`/api/silences/${scheduled._id}`, { method: 'DELETE', token: app.tokens.operator })).status, 200);
+  });
+});
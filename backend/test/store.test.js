@@ -0,0 +1,78 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { applyAlertAction } from '../alertLifecycle.js';
+import { createMemoryStore } from '../memoryStore.js';
+import { changesToUpdate, createMongoStore } from '../mongoStore.js';
+import { createChangeTracker } from '../store.js';
+
+const ACKNOWLEDGE_FIELDS = ['acknowledgedBy', 'acknowledgedAt', 'acknowledgeNote'];
+
+// The same calls against each store; MongoDB only runs with TEST_MONGO_URI pointing at a
+// disposable database
+const STORES = {
+  memory: () => createMemoryStore(),
+  mongo: () => createMongoStore(process.env.TEST_MONGO_URI),
+};
+
+for (const [kind, createStore] of Object.entries(STORES)) {
+  const skip = kind === 'mongo' && !process.env.TEST_MONGO_URI && 'set TEST_MONGO_URI to run against MongoDB';
+
+  test(`${kind} store: un-acknowledging an alert clears who acknowledged it`, { skip }, async () => {
+    const store = createStore();
+    await store.connect();
+    try {
+      const { _id } = await store.alerts.create({
+        deviceId: 'rack-1', severity: 'critical', temperature: 31, message: 'Too hot', timestamp: new Date()
+      });
+
+      const alert = await store.alerts.get(_id);
+      assert.equal(applyAlertAction(alert, 'acknowledge', { by: 'operator', note: 'on it' }), null);
+      await store.alerts.save(alert);
+      const acknowledged = await store.alerts.get(_id);
+      assert.equal(acknowledged.status, 'acknowledged');
+      assert.equal(acknowledged.acknowledgedBy, 'operator');
+
+      assert.equal(applyAlertAction(acknowledged, 'unacknowledge'), null);
+      await store.alerts.save(acknowledged);
+      const reopened = await store.alerts.get(_id);
+      assert.equal(reopened.status, 'open');
+      assert.equal(reopened.acknowledged, false);
+      ACKNOWLEDGE_FIELDS.forEach((field) => assert.equal(reopened[field], undefined, field));
+    } finally {
+      await store.close();
+    }
+  });
+}
+
+describe('mongo store updates', () => {
+  test('cleared fields are unset rather than dropped', () => {
+    const tracker = createChangeTracker();
+    const alert = tracker.track({
+      _id: new mongoose.Types.ObjectId(), status: 'acknowledged', acknowledged: true,
+      acknowledgedBy: 'operator', acknowledgedAt: new Date(), acknowledgeNote: 'on it'
+    });
+    applyAlertAction(alert, 'unacknowledge');
+
+    const update = changesToUpdate(tracker.changes(alert));
+    assert.deepEqual(update.$set, { status: 'open', acknowledged: false });
+    assert.deepEqual(Object.keys(update.$unset).sort(), [...ACKNOWLEDGE_FIELDS].sort());
+
+    // What mongoose will send once the update is cast against the schema
+    const query = mongoose.model('Alert').updateOne({ _id: alert._id }, update);
+    const cast = query._castUpdate(query.getUpdate());
+    assert.deepEqual(Object.keys(cast.$unset).sort(), [...ACKNOWLEDGE_FIELDS].sort());
+  });
+
+  test('fields deleted from a document count as cleared', () => {
+    const tracker = createChangeTracker();
+    const doc = tracker.track({ _id: 'a', note: 'x', kept: 1 });
+    delete doc.note;
+    assert.deepEqual(changesToUpdate(tracker.changes(doc)), { $unset: { note: '' } });
+  });
+
+  test('an unchanged document has no update', () => {
+    const tracker = createChangeTracker();
+    assert.deepEqual(changesToUpdate(tracker.changes(tracker.track({ _id: 'a', note: 'x' }))), {});
+  });
+});
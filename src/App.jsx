@@ -1,8 +1,50 @@
-
+import { useEffect, useState } from 'react';
 import BatteryMonitoringDashboard from './BatteryMonitoringDashboard';
+import LoginForm from './components/LoginForm';
+import { apiFetch, clearToken, getToken, onUnauthorized, setToken } from './api';
 
 function App() {
-  return <BatteryMonitoringDashboard />;
+  const [user, setUser] = useState(null);
+  const [checkingSession, setCheckingSession] = useState(() => Boolean(getToken()));
+
+  useEffect(() => {
+    onUnauthorized(() => {
+      clearToken();
+      setUser(null);
+    });
+
+    if (!getToken()) return;
+    apiFetch('/auth/me')
+      .then((response) => (response.ok ? response.json() : null))
+      .then((me) => setUser(me))
+      .catch((error) => console.error('Error restoring session:', error.message))
+      .finally(() => setCheckingSession(false));
+  }, []);
+
+  const handleLogin = async (username, password) => {
+    const response = await apiFetch('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ username, password }),
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Login failed');
+    setToken(data.token);
+    setUser(data.user);
+  };
+
+  const handleLogout = async () => {
+    try {
+      await apiFetch('/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Error logging out:', error.message);
+    }
+    clearToken();
+    setUser(null);
+  };
+
+  if (checkingSession) return null;
+  if (!user) return <LoginForm onLogin={handleLogin} />;
+  return <BatteryMonitoringDashboard user={user} onLogout={handleLogout} />;
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -1,106 +1,119 @@
 
 
 import React, { useState, useEffect, useRef } from 'react';
-import { Thermometer, AlertTriangle, Battery, Clock, Shield, ChevronDown, ChevronUp } from 'lucide-react';
+import { Thermometer, AlertTriangle, Battery, Clock, Shield, LogOut, VolumeX } from 'lucide-react';
 import Chart from 'chart.js/auto';
-
-const BatteryMonitoringDashboard = () => {
+import FleetGrid from './components/FleetGrid';
+import AlarmSettings from './components/AlarmSettings';
+import AlertsPanel from './components/AlertsPanel';
+import AuditLogPanel from './components/AuditLogPanel';
+import RangePicker from './components/RangePicker';
+import ExportButtons from './components/ExportButtons';
+import ReportLinks from './components/ReportLinks';
+import SilenceBanner from './components/SilenceBanner';
+import TelemetryCards from './components/TelemetryCards';
+import { buildHistoryQuery, formatBucketLabel, getRangeBounds } from './historyRange';
+import { formatDate } from './format';
+import { API_BASE, apiFetch, hasRole, withLinkToken } from './api';
+import { SEVERITY_LEVELS, getReadingSeverity } from './severity';
+import { availableSeries, getSeries, withAlpha } from './telemetry';
+import useLiveStream from './hooks/useLiveStream';
+import useNow from './hooks/useNow';
+import useForecast from './hooks/useForecast';
+import useConfig from './hooks/useConfig';
+import useSilences from './hooks/useSilences';
+import useAlarm from './hooks/useAlarm';
+import { CONNECTION_STYLES, formatAge, getConnectionState } from './sensorHealth';
+
+const POINT_COLORS = { critical: '#ef4444', warning: '#f59e0b', normal: '#10b981', fault: '#9ca3af' };
+const ANOMALY_COLOR = '#7c3aed';
+
+// Each stream connection gets a fresh link token
+const streamUrl = () => withLinkToken(`${API_BASE}/stream`, 'stream');
+
+const BatteryMonitoringDashboard = ({ user, onLogout }) => {
   const [latestReading, setLatestReading] = useState(null);
   const [alerts, setAlerts] = useState([]);
   const [alertStats, setAlertStats] = useState({ total: 0, unacknowledged: 0, today: 0 });
   const [historicalData, setHistoricalData] = useState([]);
-  const [showAlerts, setShowAlerts] = useState(false);
+  const [historyRange, setHistoryRange] = useState({ preset: 'latest' });
+  const [historyBucket, setHistoryBucket] = useState(null);
+  const [chartSeries, setChartSeries] = useState('temperature');
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastUpdate, setLastUpdate] = useState(null);
   const [currentAlert, setCurrentAlert] = useState(null);
-  const [playingSiren, setPlayingSiren] = useState(false);
+  const [devices, setDevices] = useState([]);
+  const [selectedDevice, setSelectedDevice] = useState('');
+  const [rules, setRules] = useState([]);
 
-  const API_BASE = 'http://localhost:5000/api';
+  // Per-device routes live under /devices/:deviceId; an empty selection means the whole fleet
+  const scopePath = selectedDevice ? `/devices/${encodeURIComponent(selectedDevice)}` : '';
+  const canAcknowledge = hasRole(user, 'operator');
   const canvasRef = useRef(null);
   const chartRef = useRef(null);
-  // eslint-disable-next-line no-unused-vars
-  const sirenRef = useRef(null);
   const lastTemperatureRef = useRef(null);
-
-  // Create siren sound using Web Audio API
-  const createSirenSound = () => {
-    try {
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      const oscillator = audioContext.createOscillator();
-      const gainNode = audioContext.createGain();
-      
-      oscillator.connect(gainNode);
-      gainNode.connect(audioContext.destination);
-      
-      oscillator.frequency.setValueAtTime(800, audioContext.currentTime);
-      oscillator.frequency.exponentialRampToValueAtTime(400, audioContext.currentTime + 0.5);
-      oscillator.frequency.exponentialRampToValueAtTime(800, audioContext.currentTime + 1);
-      
-      gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
-      gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 1);
-      
-      oscillator.start(audioContext.currentTime);
-      oscillator.stop(audioContext.currentTime + 1);
-      
-      return new Promise(resolve => {
-        oscillator.onended = resolve;
-      });
-    } catch (error) {
-      console.error('Error creating siren sound:', error);
-      return Promise.resolve();
-    }
-  };
-
-  // Play siren sound
-  const playSiren = async () => {
-    if (playingSiren) return;
-    
-    setPlayingSiren(true);
-    try {
-      // Try to play 3 siren cycles
-      for (let i = 0; i < 3; i++) {
-        await createSirenSound();
-        await new Promise(resolve => setTimeout(resolve, 200)); // Short pause between cycles
+  const rulesRef = useRef([]);
+  const now = useNow();
+  // Forecasts are per device: the selected one, or the only one in a single-pack install
+  const forecastDevice = selectedDevice || (devices.length <= 1 ? devices[0]?.deviceId ?? 'default' : null);
+  const config = useConfig();
+  const [silences, refreshSilences] = useSilences();
+  const forecast = useForecast(forecastDevice, config?.forecast.horizonMinutes);
+  // Projected points are drawn after the newest reading, so only views that end now show them
+  const showForecast = chartSeries === 'temperature' && ['latest', '1h'].includes(historyRange.preset) &&
+    Boolean(forecast?.available);
+
+  // Apply a new latest reading, whether polled or pushed over the stream
+  const handleLatestReading = (data) => {
+    // Check if this is a new warning or critical alert (different from last reading); whether it
+    // shows and sounds is up to the alarm settings for its severity
+    const severity = getReadingSeverity(data, rulesRef.current);
+    // Backfilled readings were uploaded late by a device that was offline; they are history, not a live alarm.
+    // Silenced readings were taken during a silence or maintenance window, which has its own banner.
+    if ((severity === 'critical' || severity === 'warning') && !data.backfilled && !data.silenced) {
+      const previous = lastTemperatureRef.current;
+      const isNewReading = !previous ||
+          previous.temperature !== data.temperature ||
+          new Date(data.timestamp).getTime() !== new Date(previous.timestamp).getTime();
+      // Readings folded into the same incident update the banner without re-raising the alarm,
+      // unless the incident has just come out of a silence or changed severity
+      const isSameIncident = Boolean(data.alertId) && previous?.alertId === data.alertId && !previous.silenced &&
+          getReadingSeverity(previous, rulesRef.current) === severity;
+
+      if (isNewReading && isSameIncident) {
+        setCurrentAlert((prev) => (prev ? { ...prev, temperature: data.temperature, timestamp: data.timestamp } : prev));
+      } else if (isNewReading) {
+        // A new alert key starts the alarm (see useAlarm)
+        setCurrentAlert({
+          alertId: data.alertId,
+          severity,
+          deviceId: data.deviceId,
+          temperature: data.temperature,
+          timestamp: data.timestamp,
+          acknowledged: false
+        });
       }
-    } catch (error) {
-      console.error('Siren playback error:', error);
-    } finally {
-      setPlayingSiren(false);
+    } else {
+      // Clear current alert once the reading is back to normal
+      setCurrentAlert(null);
     }
+    
+    setLatestReading(data);
+    lastTemperatureRef.current = data;
+    setLastUpdate(new Date());
   };
 
   // Fetch latest temperature reading
   const fetchLatest = async (signal) => {
     try {
-      const response = await fetch(`${API_BASE}/data/latest`, { signal });
-      if (!response.ok) throw new Error(`Failed to fetch latest data: ${response.status}`);
-      const data = await response.json();
-      
-      // Check if this is a new alert (temperature > 30 and different from last reading)
-      if (data.alert && data.temperature > 30) {
-        if (!lastTemperatureRef.current || 
-            lastTemperatureRef.current.temperature !== data.temperature ||
-            new Date(data.timestamp).getTime() !== new Date(lastTemperatureRef.current.timestamp).getTime()) {
-          
-          setCurrentAlert({
-            temperature: data.temperature,
-            timestamp: data.timestamp,
-            acknowledged: false
-          });
-          
-          // Play siren for new alert
-          playSiren();
-        }
-      } else if (!data.alert) {
-        // Clear current alert if temperature is normal
-        setCurrentAlert(null);
+      const response = await apiFetch(`${scopePath}/data/latest`, { signal });
+      if (response.status === 404) {
+        setLatestReading(null);
+        return;
       }
-      
-      setLatestReading(data);
-      lastTemperatureRef.current = data;
-      setLastUpdate(new Date());
-      
+      if (!response.ok) throw new Error(`Failed to fetch latest data: ${response.status}`);
+      handleLatestReading(await response.json());
     } catch (error) {
       if (error.name !== 'AbortError') {
         console.error('Error fetching latest data:', error.message);
@@ -112,7 +125,8 @@ const BatteryMonitoringDashboard = () => {
   // Fetch alerts
   const fetchAlerts = async (signal) => {
     try {
-      const response = await fetch(`${API_BASE}/alerts`, { signal });
+      const query = selectedDevice ? `?deviceId=${encodeURIComponent(selectedDevice)}` : '';
+      const response = await apiFetch(`/alerts${query}`, { signal });
       if (!response.ok) throw new Error(`Failed to fetch alerts: ${response.status}`);
       const data = await response.json();
       setAlerts(data);
@@ -126,7 +140,7 @@ const BatteryMonitoringDashboard = () => {
   // Fetch alert statistics
   const fetchAlertStats = async (signal) => {
     try {
-      const response = await fetch(`${API_BASE}/alerts/stats`, { signal });
+      const response = await apiFetch(`${scopePath}/alerts/stats`, { signal });
       if (!response.ok) throw new Error(`Failed to fetch alert stats: ${response.status}`);
       const data = await response.json();
       setAlertStats(data);
@@ -140,10 +154,11 @@ const BatteryMonitoringDashboard = () => {
   // Fetch historical data
   const fetchHistoricalData = async (signal) => {
     try {
-      const response = await fetch(`${API_BASE}/data?page=1&limit=50`, { signal });
+      const response = await apiFetch(`${scopePath}/data?${buildHistoryQuery(historyRange)}`, { signal });
       if (!response.ok) throw new Error(`Failed to fetch historical data: ${response.status}`);
-      const { data } = await response.json();
+      const { data, bucket } = await response.json();
       setHistoricalData(data);
+      setHistoryBucket(bucket || null);
     } catch (error) {
       if (error.name !== 'AbortError') {
         console.error('Error fetching historical data:', error.message);
@@ -151,7 +166,94 @@ const BatteryMonitoringDashboard = () => {
     }
   };
 
-  // Fetch all data initially and then periodically
+  // Fetch alert rules so the UI classifies readings the same way the backend does
+  const fetchRules = async (signal) => {
+    try {
+      const response = await apiFetch('/rules', { signal });
+      if (!response.ok) throw new Error(`Failed to fetch rules: ${response.status}`);
+      const data = await response.json();
+      rulesRef.current = data;
+      setRules(data);
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Error fetching rules:', error.message);
+      }
+    }
+  };
+
+  // Fetch registered devices with their latest readings
+  const fetchDevices = async (signal) => {
+    try {
+      const response = await apiFetch('/devices', { signal });
+      if (!response.ok) throw new Error(`Failed to fetch devices: ${response.status}`);
+      const data = await response.json();
+      setDevices(data);
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Error fetching devices:', error.message);
+      }
+    }
+  };
+
+  const handleSelectDevice = (deviceId) => {
+    setSelectedDevice(deviceId);
+    setLatestReading(null);
+    setHistoricalData([]);
+    setCurrentAlert(null);
+    lastTemperatureRef.current = null;
+  };
+
+  const isInScope = (item) => !selectedDevice || item.deviceId === selectedDevice;
+
+  // Live updates pushed by the backend
+  const streamConnected = useLiveStream(streamUrl, {
+    reading: (reading) => {
+      if (devices.some((device) => device.deviceId === reading.deviceId)) {
+        setDevices((prev) => prev.map((device) => (
+          device.deviceId === reading.deviceId
+            ? { ...device, latestReading: reading, health: { ...device.health, lastSeenAt: reading.receivedAt || reading.timestamp } }
+            : device
+        )));
+      } else {
+        fetchDevices();
+      }
+      if (!isInScope(reading)) return;
+      handleLatestReading(reading);
+      // Ranged views are downsampled server-side, so only the live view takes pushed points
+      if (historyRange.preset === 'latest') {
+        setHistoricalData((prev) => [reading, ...prev].slice(0, 50));
+      }
+    },
+    alert: (alert) => {
+      if (!isInScope(alert)) return;
+      setAlerts((prev) => [alert, ...prev].slice(0, 20));
+      fetchAlertStats();
+    },
+    'alert-acknowledged': (alert) => {
+      if (!isInScope(alert)) return;
+      mergeAlerts([alert]);
+      fetchAlertStats();
+    },
+    'alert-updated': (alert) => {
+      if (!isInScope(alert)) return;
+      mergeAlerts([alert]);
+      fetchAlertStats();
+    },
+    // A device uploaded buffered readings; reload what they may have changed
+    backfill: (summary) => {
+      fetchDevices();
+      if (!isInScope(summary)) return;
+      fetchHistoricalData();
+      if (summary.alerts.length > 0) {
+        fetchAlerts();
+        fetchAlertStats();
+      }
+    },
+    'silence-updated': () => refreshSilences(),
+    'silence-deleted': () => refreshSilences(),
+  });
+
+  // Fetch all data initially (and after every stream reconnect), polling only while the stream is down
   useEffect(() => {
     const controller = new AbortController();
     const signal = controller.signal;
@@ -159,6 +261,8 @@ const BatteryMonitoringDashboard = () => {
     const fetchAllData = async () => {
       setError(null);
       await Promise.allSettled([
+        fetchRules(signal),
+        fetchDevices(signal),
         fetchLatest(signal),
         fetchAlerts(signal),
         fetchAlertStats(signal),
@@ -170,13 +274,21 @@ const BatteryMonitoringDashboard = () => {
     // Initial fetch
     fetchAllData();
 
-    // Set up intervals
+    if (streamConnected) {
+      return () => controller.abort();
+    }
+
+    // Set up polling intervals as a fallback
     const latestInterval = setInterval(() => fetchLatest(signal), 5000); // Check every 5 seconds for new data
     const alertsInterval = setInterval(() => {
       fetchAlerts(signal);
       fetchAlertStats(signal);
-    }, 10000); // Update alerts every 10 seconds
-    const historyInterval = setInterval(() => fetchHistoricalData(signal), 30000); // Update history every 30 seconds
+      fetchDevices(signal);
+    }, 10000); // Update alerts and fleet overview every 10 seconds
+    const historyInterval = setInterval(() => {
+      fetchHistoricalData(signal);
+      fetchRules(signal);
+    }, 30000); // Update history and rules every 30 seconds
 
     return () => {
       controller.abort();
@@ -184,7 +296,14 @@ const BatteryMonitoringDashboard = () => {
       clearInterval(alertsInterval);
       clearInterval(historyInterval);
     };
-  }, []);
+  }, [selectedDevice, streamConnected, historyRange]);
+
+  // Fall back to temperature when the selected series has no data (e.g. after switching device)
+  useEffect(() => {
+    if (historicalData.length > 0 && !availableSeries(historicalData).some((series) => series.id === chartSeries)) {
+      setChartSeries('temperature');
+    }
+  }, [historicalData, chartSeries]);
 
   // Initialize/update chart
   useEffect(() => {
@@ -194,29 +313,77 @@ const BatteryMonitoringDashboard = () => {
         chartRef.current.destroy();
       }
 
+      const series = getSeries(chartSeries);
+      const isTemperature = series.id === 'temperature';
+      const axisLabel = `${series.label} (${series.unit})`;
+
+      // Downsampled data carries min/max temperature per bucket, drawn as a band around the average
+      const bandDatasets = historyBucket && isTemperature ? [
+        {
+          label: 'Max (°C)',
+          data: historicalData.map((item) => item.max).reverse(),
+          borderColor: 'rgba(239, 68, 68, 0.4)',
+          borderDash: [4, 4],
+          pointRadius: 0,
+          fill: false,
+        },
+        {
+          label: 'Min (°C)',
+          data: historicalData.map((item) => item.min).reverse(),
+          borderColor: 'rgba(59, 130, 246, 0.4)',
+          borderDash: [4, 4],
+          pointRadius: 0,
+          fill: false,
+        },
+      ] : [];
+
+      // The forecast continues the line from the newest point as a dashed projection
+      const values = historicalData.map((item) => item[series.id] ?? null).reverse();
+      const projected = showForecast ? forecast.points : [];
+      const forecastDatasets = projected.length > 0 ? [{
+        label: `Forecast (${forecast.method})`,
+        data: [...values.slice(0, -1).map(() => null), values[values.length - 1], ...projected.map((point) => point.temperature)],
+        borderColor: series.color,
+        borderDash: [6, 6],
+        pointRadius: 0,
+        fill: false,
+        tension: 0,
+      }] : [];
+
       // Create new chart
       chartRef.current = new Chart(canvasRef.current, {
         type: 'line',
         data: {
-          labels: historicalData.map((item) => new Date(item.timestamp).toLocaleTimeString()).reverse(),
+          labels: [
+            ...historicalData.map((item) => formatBucketLabel(item.timestamp, historyBucket)).reverse(),
+            ...projected.map((point) => formatBucketLabel(point.timestamp, historyBucket)),
+          ],
           datasets: [{
-            label: 'Temperature (°C)',
-            data: historicalData.map((item) => item.temperature).reverse(),
-            borderColor: '#ef4444',
-            backgroundColor: 'rgba(239, 68, 68, 0.2)',
+            label: historyBucket ? `Average ${series.label.toLowerCase()} per ${historyBucket} (${series.unit})` : axisLabel,
+            data: [...values, ...projected.map(() => null)],
+            borderColor: series.color,
+            backgroundColor: withAlpha(series.color, 0.2),
             fill: true,
             tension: 0.4,
-            pointBackgroundColor: historicalData.map((item) => (item.alert ? '#ef4444' : '#10b981')).reverse(),
-            pointBorderColor: '#ffffff',
+            spanGaps: true,
+            // Severity colours only make sense for the temperature the rules evaluate
+            pointBackgroundColor: isTemperature
+              ? historicalData.map((item) => POINT_COLORS[item.faults?.length > 0 ? 'fault' : getReadingSeverity(item, rulesRef.current)]).reverse()
+              : series.color,
+            // Anomalous readings (far from the device's usual baseline) get a larger, outlined point
+            pointBorderColor: isTemperature
+              ? historicalData.map((item) => (item.anomaly ? ANOMALY_COLOR : '#ffffff')).reverse()
+              : '#ffffff',
             pointBorderWidth: 2,
-          }],
+            pointRadius: isTemperature ? historicalData.map((item) => (item.anomaly ? 6 : 3)).reverse() : 3,
+          }, ...bandDatasets, ...forecastDatasets],
         },
         options: {
           responsive: true,
           maintainAspectRatio: false,
           scales: {
             x: { title: { display: true, text: 'Time' }, grid: { color: '#e5e7eb' } },
-            y: { title: { display: true, text: 'Temperature (°C)' }, beginAtZero: false, grid: { color: '#e5e7eb' } },
+            y: { title: { display: true, text: axisLabel }, beginAtZero: false, grid: { color: '#e5e7eb' } },
           },
           plugins: { legend: { display: true, position: 'top' } },
         },
@@ -229,37 +396,101 @@ const BatteryMonitoringDashboard = () => {
         chartRef.current = null;
       }
     };
-  }, [historicalData]);
+  }, [historicalData, historyBucket, chartSeries, showForecast, forecast]);
+
+  const getTemperatureStatus = (reading) => SEVERITY_LEVELS[getReadingSeverity(reading, rules)];
 
-  const formatDate = (dateString) => {
+  const mergeAlerts = (updated) => {
+    const byId = new Map(updated.map((alert) => [alert._id, alert]));
+    setAlerts((prev) => prev.map((alert) => byId.get(alert._id) || alert));
+  };
+
+  // Acknowledge, un-acknowledge or resolve an alert on the backend
+  const updateAlert = async (alertId, action, note = '') => {
     try {
-      const date = new Date(dateString);
-      if (isNaN(date.getTime())) throw new Error('Invalid date');
-      return date.toLocaleString();
-    } catch {
-      return 'Invalid date';
+      const response = await apiFetch(`/alerts/${alertId}/${action}`, {
+        method: 'PUT',
+        body: JSON.stringify({ note }),
+      });
+      if (!response.ok) throw new Error(`Failed to ${action} alert: ${response.status}`);
+      const { alert } = await response.json();
+      mergeAlerts([alert]);
+      fetchAlertStats();
+    } catch (error) {
+      console.error('Error updating alert:', error.message);
+      setError(`Failed to ${action} alert.`);
     }
   };
 
-  const getTemperatureColor = (temp, hasAlert) => {
-    if (hasAlert && currentAlert && !currentAlert.acknowledged) return 'text-red-500';
-    if (temp > 25) return 'text-yellow-500';
-    return 'text-green-500';
+  const bulkAcknowledgeAlerts = async (ids, note = '') => {
+    try {
+      const response = await apiFetch('/alerts/acknowledge', {
+        method: 'PUT',
+        body: JSON.stringify({ ids, note }),
+      });
+      if (!response.ok) throw new Error(`Failed to acknowledge alerts: ${response.status}`);
+      const { alerts: acknowledged } = await response.json();
+      mergeAlerts(acknowledged);
+      fetchAlertStats();
+    } catch (error) {
+      console.error('Error acknowledging alerts:', error.message);
+      setError('Failed to acknowledge alerts.');
+    }
   };
 
-  const getTemperatureStatus = (temp, hasAlert) => {
-    if (hasAlert && currentAlert && !currentAlert.acknowledged) return { status: 'Critical', color: 'bg-red-500' };
-    if (temp > 25) return { status: 'Warning', color: 'bg-yellow-500' };
-    return { status: 'Normal', color: 'bg-green-500' };
+  const loadAlertDeliveries = async (alertId) => {
+    try {
+      const response = await apiFetch(`/alerts/${alertId}/deliveries`);
+      if (!response.ok) throw new Error(`Failed to fetch deliveries: ${response.status}`);
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching deliveries:', error.message);
+      return [];
+    }
+  };
+
+  const endSilence = async (silenceId) => {
+    try {
+      const response = await apiFetch(`/silences/${silenceId}/end`, { method: 'POST' });
+      if (!response.ok) throw new Error(`Failed to end silence: ${response.status}`);
+      refreshSilences();
+    } catch (error) {
+      console.error('Error ending silence:', error.message);
+      setError('Failed to end silence.');
+    }
   };
 
-  const handleDismissAlert = () => {
-    if (currentAlert) {
-      setCurrentAlert({ ...currentAlert, acknowledged: true });
+  const handleDismissAlert = async () => {
+    if (!currentAlert) return;
+    if (currentAlert.alertId && canAcknowledge) {
+      await updateAlert(currentAlert.alertId, 'acknowledge');
     }
+    setCurrentAlert({ ...currentAlert, acknowledged: true });
   };
 
-  const isCurrentlyAlerting = currentAlert && !currentAlert.acknowledged;
+  // The banner also clears when the alert was acknowledged elsewhere (another tab, the alerts panel)
+  const currentAlertDoc = currentAlert?.alertId && alerts.find((alert) => alert._id === currentAlert.alertId);
+  // System Status: the selected device's connection, or how much of the fleet is reporting
+  const selectedHealth = devices.find((device) => device.deviceId === selectedDevice)?.health;
+  const connectionCounts = devices.reduce((counts, device) => {
+    const state = getConnectionState(device.health, now);
+    return { ...counts, [state]: (counts[state] || 0) + 1 };
+  }, {});
+  const fleetState = ['offline', 'stale', 'unknown'].find((state) => connectionCounts[state] > 0) || 'online';
+  const connection = CONNECTION_STYLES[selectedDevice ? getConnectionState(selectedHealth, now) : fleetState];
+
+  const isUnacknowledged = Boolean(currentAlert) && !currentAlert.acknowledged && !currentAlertDoc?.acknowledged;
+  // Sounds and notifies until the alert is acknowledged (here, in the alerts panel or elsewhere)
+  const alarm = useAlarm(isUnacknowledged ? {
+    key: `${currentAlert.alertId || currentAlert.timestamp}:${currentAlert.severity}`,
+    severity: currentAlert.severity,
+    title: `${SEVERITY_LEVELS[currentAlert.severity].status} battery temperature: ${currentAlert.temperature}°C`,
+    body: `${currentAlert.deviceId ? `${currentAlert.deviceId} at ` : ''}${formatDate(currentAlert.timestamp)}`,
+  } : null);
+  const isCurrentlyAlerting = isUnacknowledged && alarm.settings.behaviour[currentAlert.severity] !== 'off';
+  const isCriticalAlert = isCurrentlyAlerting && currentAlert.severity === 'critical';
+  // Silences for the selected device (its own and fleet-wide ones), or all of them for the fleet view
+  const scopeSilences = silences.filter((silence) => !selectedDevice || !silence.deviceId || silence.deviceId === selectedDevice);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
@@ -286,13 +517,45 @@ const BatteryMonitoringDashboard = () => {
 
       <div className="bg-white shadow-lg border-b border-gray-200">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
-          <div className="flex items-center space-x-4">
-            <div className="bg-indigo-600 p-3 rounded-xl">
-              <Battery className="h-8 w-8 text-white" />
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-4">
+              <div className="bg-indigo-600 p-3 rounded-xl">
+                <Battery className="h-8 w-8 text-white" />
+              </div>
+              <div>
+                <h1 className="text-3xl font-bold text-gray-900">Battery Monitoring Dashboard</h1>
+                <p className="text-gray-600 mt-1">Real-time ESP8266 temperature monitoring</p>
+              <div className="flex items-center space-x-2 mt-1 text-xs text-gray-500">
+                <span className={`inline-block w-2 h-2 rounded-full ${streamConnected ? 'bg-green-500' : 'bg-yellow-500'}`}></span>
+                <span>{streamConnected ? 'Live stream connected' : 'Polling (live stream unavailable)'}</span>
+              </div>
+              </div>
             </div>
-            <div>
-              <h1 className="text-3xl font-bold text-gray-900">Battery Monitoring Dashboard</h1>
-              <p className="text-gray-600 mt-1">Real-time ESP8266 temperature monitoring</p>
+            <div className="flex items-center space-x-4">
+              {devices.length > 0 && (
+                <select
+                  value={selectedDevice}
+                  onChange={(e) => handleSelectDevice(e.target.value)}
+                  className="border border-gray-300 rounded-lg px-3 py-2 text-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  <option value="">All devices</option>
+                  {devices.map((device) => (
+                    <option key={device.deviceId} value={device.deviceId}>{device.name}</option>
+                  ))}
+                </select>
+              )}
+              <AlarmSettings alarm={alarm} />
+              <div className="text-right">
+                <div className="text-sm font-semibold text-gray-800">{user.username}</div>
+                <div className="text-xs text-gray-500 capitalize">{user.role}</div>
+              </div>
+              <button
+                onClick={onLogout}
+                title="Log out"
+                className="p-2 rounded-lg text-gray-500 hover:bg-gray-100 hover:text-gray-700 transition-colors"
+              >
+                <LogOut className="h-5 w-5" />
+              </button>
             </div>
           </div>
         </div>
@@ -310,31 +573,66 @@ const BatteryMonitoringDashboard = () => {
           </div>
         )}
         
+        <SilenceBanner silences={scopeSilences} now={now} canEnd={canAcknowledge} onEnd={endSilence} />
+
+        {isCurrentlyAlerting && alarm.blocked && (
+          <div className="mb-6 bg-yellow-50 border-l-4 border-yellow-500 p-4 rounded-r-lg">
+            <div className="flex items-center justify-between gap-4">
+              <div className="flex items-center">
+                <VolumeX className="h-6 w-6 text-yellow-600 mr-3 flex-shrink-0" />
+                <p className="text-yellow-800">The browser is blocking the alarm sound until you interact with the page.</p>
+              </div>
+              <button
+                onClick={alarm.testSound}
+                className="bg-yellow-500 text-white px-4 py-2 rounded-lg hover:bg-yellow-600 focus:outline-none focus:ring-2 focus:ring-yellow-500 transition-colors"
+              >
+                Enable sound
+              </button>
+            </div>
+          </div>
+        )}
+
         {isCurrentlyAlerting && (
-          <div className="mb-6 bg-red-50 border-l-4 border-red-500 p-4 rounded-r-lg glow-effect pulse-effect">
+
+          <div className={`mb-6 border-l-4 p-4 rounded-r-lg ${isCriticalAlert ? 'bg-red-50 border-red-500 glow-effect pulse-effect' : 'bg-yellow-50 border-yellow-500'}`}>
             <div className="flex items-center justify-between">
               <div className="flex items-center">
-                <AlertTriangle className="h-6 w-6 text-red-500 mr-3" />
+                <AlertTriangle className={`h-6 w-6 mr-3 ${isCriticalAlert ? 'text-red-500' : 'text-yellow-600'}`} />
                 <div>
-                  <h3 className="text-red-800 font-semibold">🚨 CRITICAL TEMPERATURE ALERT! 🚨</h3>
-                  <p className="text-red-700">
-                    Battery temperature has exceeded safe limits ({currentAlert.temperature}°C) at {formatDate(currentAlert.timestamp)}
+                  <h3 className={`font-semibold ${isCriticalAlert ? 'text-red-800' : 'text-yellow-800'}`}>
+                    {isCriticalAlert ? '🚨 CRITICAL TEMPERATURE ALERT! 🚨' : 'High temperature warning'}
+                  </h3>
+                  <p className={isCriticalAlert ? 'text-red-700' : 'text-yellow-700'}>
+                    {isCriticalAlert ? 'Battery temperature has exceeded safe limits' : 'Battery temperature is above the warning threshold'} ({currentAlert.temperature}°C) at {formatDate(currentAlert.timestamp)}
                   </p>
-                  {playingSiren && <p className="text-red-600 text-sm mt-1">🔊 Siren is playing...</p>}
+                  {alarm.playing && <p className="text-red-600 text-sm mt-1">🔊 Alarm is sounding...</p>}
+                  {alarm.muted && <p className="text-gray-600 text-sm mt-1">🔇 Alarm muted until {new Date(alarm.mutedUntil).toLocaleTimeString()}</p>}
                 </div>
               </div>
-              <button
-                onClick={handleDismissAlert}
-                className="bg-red-500 text-white px-4 py-2 rounded-lg hover:bg-red-600 focus:outline-none focus:ring-2 focus:ring-red-500 transition-colors"
-              >
-                Acknowledge Alert
-              </button>
+              <div className="flex items-center gap-3">
+                {!alarm.muted && (
+                  <button
+                    onClick={() => alarm.mute(15)}
+                    className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors"
+                  >
+                    Mute 15 min
+                  </button>
+                )}
+                <button
+                  onClick={handleDismissAlert}
+                  className="bg-red-500 text-white px-4 py-2 rounded-lg hover:bg-red-600 focus:outline-none focus:ring-2 focus:ring-red-500 transition-colors"
+                >
+                  {canAcknowledge ? 'Acknowledge Alert' : 'Dismiss'}
+                </button>
+              </div>
             </div>
           </div>
         )}
 
+        <FleetGrid devices={devices} rules={rules} selectedDevice={selectedDevice} onSelect={handleSelectDevice} now={now} />
+
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
-          <div className={`bg-white rounded-2xl shadow-lg p-6 border border-gray-100 ${isCurrentlyAlerting ? 'glow-effect' : ''}`}>
+          <div className={`bg-white rounded-2xl shadow-lg p-6 border border-gray-100 ${isCriticalAlert ? 'glow-effect' : ''}`}>
             <div className="flex items-center justify-between mb-4">
               <div className="flex items-center space-x-3">
                 <div className="bg-blue-100 p-2 rounded-lg">
@@ -345,11 +643,11 @@ const BatteryMonitoringDashboard = () => {
             </div>
             {latestReading?.temperature ? (
               <div>
-                <div className={`text-4xl font-bold mb-2 ${getTemperatureColor(latestReading.temperature, latestReading.alert)}`}>
+                <div className={`text-4xl font-bold mb-2 ${getTemperatureStatus(latestReading).text}`}>
                   {latestReading.temperature}°C
                 </div>
-                <div className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium text-white ${getTemperatureStatus(latestReading.temperature, latestReading.alert).color}`}>
-                  {getTemperatureStatus(latestReading.temperature, latestReading.alert).status}
+                <div className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium text-white ${getTemperatureStatus(latestReading).color}`}>
+                  {getTemperatureStatus(latestReading).status}
                 </div>
               </div>
             ) : (
@@ -366,10 +664,25 @@ const BatteryMonitoringDashboard = () => {
                 <h3 className="text-gray-700 font-semibold">System Status</h3>
               </div>
             </div>
-            <div className="text-2xl font-bold text-green-600 mb-2">
-              {latestReading ? 'Online' : 'Offline'}
+            <div className={`flex items-center space-x-2 text-2xl font-bold mb-2 ${connection.text}`}>
+              <span className={`h-3 w-3 rounded-full ${connection.dot}`}></span>
+              <span>
+                {selectedDevice || devices.length === 0
+                  ? connection.label
+                  : `${connectionCounts.online || 0}/${devices.length} Online`}
+              </span>
+            </div>
+            <div className="text-sm text-gray-500">
+              {latestReading ? `Last reading ${formatAge(latestReading.timestamp, now)}` : 'No readings yet'}
             </div>
-            <div className="text-sm text-gray-500">ESP8266 Connected</div>
+            {selectedDevice && selectedHealth && (
+              <div className="text-xs text-gray-400">Reports every {selectedHealth.expectedIntervalSeconds}s</div>
+            )}
+            {!selectedDevice && devices.length > 0 && (
+              <div className="text-xs text-gray-400">
+                {connectionCounts.stale || 0} stale • {connectionCounts.offline || 0} offline
+              </div>
+            )}
           </div>
 
           <div className="bg-white rounded-2xl shadow-lg p-6 border border-gray-100">
@@ -408,7 +721,7 @@ const BatteryMonitoringDashboard = () => {
         </div>
 
         {latestReading && (
-          <div className={`bg-white rounded-2xl shadow-lg p-8 mb-8 border border-gray-100 ${isCurrentlyAlerting ? 'glow-effect' : ''}`}>
+          <div className={`bg-white rounded-2xl shadow-lg p-8 mb-8 border border-gray-100 ${isCriticalAlert ? 'glow-effect' : ''}`}>
             <div className="flex items-center justify-between mb-6">
               <h2 className="text-2xl font-bold text-gray-900">Current Reading</h2>
               <div className="flex items-center space-x-2 text-sm text-gray-500">
@@ -418,29 +731,68 @@ const BatteryMonitoringDashboard = () => {
             </div>
             <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
               <div className="text-center">
-                <div className={`text-6xl font-bold mb-2 ${getTemperatureColor(latestReading.temperature, latestReading.alert)}`}>
+                <div className={`text-6xl font-bold mb-2 ${getTemperatureStatus(latestReading).text}`}>
                   {latestReading.temperature}°C
                 </div>
                 <div className="text-gray-600">Battery Temperature</div>
+                {latestReading.anomaly && (
+                  <div className="mt-2 text-sm text-purple-600">
+                    Unusual for this pack (anomaly score {latestReading.anomalyScore})
+                  </div>
+                )}
+                {latestReading.faults?.length > 0 && (
+                  <div className="mt-2 text-sm text-gray-500">
+                    Sensor fault: {latestReading.faults.map((fault) => fault.detail).join('; ')}
+                  </div>
+                )}
               </div>
               <div className="text-center">
-                <div className={`inline-flex items-center justify-center w-20 h-20 rounded-full text-white text-2xl font-bold mb-2 ${getTemperatureStatus(latestReading.temperature, latestReading.alert).color}`}>
+                <div className={`inline-flex items-center justify-center w-20 h-20 rounded-full text-white text-2xl font-bold mb-2 ${getTemperatureStatus(latestReading).color}`}>
                   {isCurrentlyAlerting ? '!' : '✓'}
                 </div>
-                <div className="text-gray-600">{getTemperatureStatus(latestReading.temperature, latestReading.alert).status}</div>
+                <div className="text-gray-600">{getTemperatureStatus(latestReading).status}</div>
               </div>
               <div className="text-center">
                 <div className="text-2xl font-bold text-gray-800 mb-2">
-                  {latestReading.temperature > 30 ? 'HIGH' : latestReading.temperature > 25 ? 'MEDIUM' : 'LOW'}
+                  {getTemperatureStatus(latestReading).risk}
                 </div>
                 <div className="text-gray-600">Risk Level</div>
+                {forecast?.available && (
+                  <div className="mt-2 text-sm text-gray-500">
+                    Trend {forecast.slopePerMinute > 0 ? '+' : ''}{forecast.slopePerMinute.toFixed(2)}°C/min
+                    {forecast.minutesToCritical !== null && forecast.minutesToCritical > 0 && (
+                      <span className="text-orange-600 font-medium"> • critical in ~{Math.ceil(forecast.minutesToCritical)} min</span>
+                    )}
+                  </div>
+                )}
               </div>
             </div>
           </div>
         )}
 
+        <TelemetryCards reading={latestReading} />
+
         <div className="bg-white rounded-2xl shadow-lg p-8 mb-8 border border-gray-100">
-          <h2 className="text-2xl font-bold text-gray-900 mb-6">Temperature History</h2>
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+            <h2 className="text-2xl font-bold text-gray-900">{getSeries(chartSeries).label} History</h2>
+            <div className="flex flex-wrap items-center gap-4">
+              <select
+                value={chartSeries}
+                onChange={(e) => setChartSeries(e.target.value)}
+                className="border border-gray-300 rounded-lg px-3 py-1 text-sm bg-white"
+              >
+                {availableSeries(historicalData).map((series) => (
+                  <option key={series.id} value={series.id}>{series.label}</option>
+                ))}
+              </select>
+              <RangePicker range={historyRange} onChange={setHistoryRange} />
+              <ExportButtons
+                url={`${API_BASE}/export/readings`}
+                params={{ deviceId: selectedDevice, ...getRangeBounds(historyRange) }}
+              />
+              <ReportLinks url={`${API_BASE}/reports`} deviceId={selectedDevice} />
+            </div>
+          </div>
           <div className="h-64">
             {historicalData.length > 0 ? (
               <canvas ref={canvasRef}></canvas>
@@ -452,63 +804,23 @@ const BatteryMonitoringDashboard = () => {
           </div>
         </div>
 
-        <div className="bg-white rounded-2xl shadow-lg border border-gray-100">
-          <div className="p-6 border-b border-gray-200">
-            <button
-              onClick={() => setShowAlerts(!showAlerts)}
-              className="flex items-center justify-between w-full text-left hover:bg-gray-50 p-2 rounded-lg transition-colors"
-            >
-              <div className="flex items-center space-x-3">
-                <div className="bg-red-100 p-2 rounded-lg">
-                  <AlertTriangle className="h-6 w-6 text-red-600" />
-                </div>
-                <div>
-                  <h2 className="text-xl font-bold text-gray-900">Recent Alerts</h2>
-                  <p className="text-gray-600">{alerts.length} temperature warnings recorded</p>
-                </div>
-              </div>
-              {showAlerts ? <ChevronUp className="h-5 w-5 text-gray-400" /> : <ChevronDown className="h-5 w-5 text-gray-400" />}
-            </button>
-          </div>
-          
-          {showAlerts && (
-            <div className="p-6">
-              {alerts.length > 0 ? (
-                <div className="space-y-4 max-h-96 overflow-y-auto">
-                  {alerts.map((alert, index) => (
-                    <div
-                      key={alert._id || index}
-                      className="flex items-center justify-between p-4 bg-red-50 rounded-lg border border-red-200 hover:bg-red-100 transition-colors"
-                    >
-                      <div className="flex items-center space-x-3">
-                        <div className="bg-red-500 p-2 rounded-full">
-                          <AlertTriangle className="h-4 w-4 text-white" />
-                        </div>
-                        <div>
-                          <div className="font-semibold text-red-800">{alert.message}</div>
-                          <div className="text-sm text-red-600">{formatDate(alert.timestamp)}</div>
-                        </div>
-                      </div>
-                      <div className="text-red-600 font-bold text-lg">{alert.temperature}°C</div>
-                    </div>
-                  ))}
-                </div>
-              ) : (
-                <div className="text-center py-12">
-                  <Shield className="h-16 w-16 text-gray-300 mx-auto mb-4" />
-                  <h3 className="text-lg font-semibold text-gray-900 mb-2">No Alerts</h3>
-                  <p className="text-gray-600">All temperature readings are within normal range</p>
-                </div>
-              )}
-            </div>
-          )}
-        </div>
+        <AlertsPanel
+          alerts={alerts}
+          showDeviceIds={!selectedDevice}
+          canAcknowledge={canAcknowledge}
+          onAction={updateAlert}
+          onBulkAcknowledge={bulkAcknowledgeAlerts}
+          onLoadDeliveries={loadAlertDeliveries}
+          actions={<ExportButtons url={`${API_BASE}/export/alerts`} params={{ deviceId: selectedDevice }} />}
+        />
+
+        {hasRole(user, 'admin') && <AuditLogPanel />}
       </div>
 
       <footer className="bg-white border-t border-gray-200 mt-12">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
           <div className="text-center text-gray-600">
-            <p>Battery Monitoring System • ESP8266 + DHT11 • Real-time Updates Every 5 Seconds</p>
+            <p>Battery Monitoring System • ESP8266 + DHT11 • {streamConnected ? 'Live Updates' : 'Updates Every 5 Seconds'}</p>
           </div>
         </div>
       </footer>
@@ -0,0 +1,177 @@
+// Alarm sounds, browser notifications and the user's alarm settings (kept per browser in
+// localStorage). The useAlarm hook decides when to play and notify.
+
+export const ALARM_SOUNDS = {
+  file: 'Alarm (alert.mp3)',
+  siren: 'Siren',
+  beeps: 'Beeps',
+};
+
+export const ALARM_BEHAVIOURS = {
+  repeat: 'Sound until acknowledged',
+  once: 'Sound once',
+  notify: 'Notification only',
+  off: 'Off',
+};
+
+// Critical alerts always raise the banner, so they cannot be switched off entirely
+export const SEVERITY_BEHAVIOURS = {
+  critical: ['repeat', 'once', 'notify'],
+  warning: ['repeat', 'once', 'notify', 'off'],
+};
+
+export const MUTE_MINUTES = [5, 15, 60];
+
+export const DEFAULT_ALARM_SETTINGS = {
+  sound: 'file',
+  volume: 0.8,
+  behaviour: { critical: 'repeat', warning: 'off' },
+};
+
+const SETTINGS_KEY = 'alarmSettings';
+const MUTED_UNTIL_KEY = 'alarmMutedUntil';
+const ALERT_SOUND_URL = `${import.meta.env.BASE_URL}alert.mp3`;
+
+// Stored settings over the defaults, ignoring values this version does not know
+export const loadAlarmSettings = () => {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+  } catch {
+    stored = {};
+  }
+  const volume = Number(stored.volume);
+  return {
+    sound: ALARM_SOUNDS[stored.sound] ? stored.sound : DEFAULT_ALARM_SETTINGS.sound,
+    volume: Number.isFinite(volume) && volume >= 0 && volume <= 1 ? volume : DEFAULT_ALARM_SETTINGS.volume,
+    behaviour: Object.fromEntries(Object.entries(SEVERITY_BEHAVIOURS).map(([severity, allowed]) => [
+      severity,
+      allowed.includes(stored.behaviour?.[severity]) ? stored.behaviour[severity] : DEFAULT_ALARM_SETTINGS.behaviour[severity],
+    ])),
+  };
+};
+
+export const saveAlarmSettings = (settings) => localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+
+// A mute survives reloads until it runs out; returns the end time in ms, or null
+export const loadMutedUntil = () => {
+  const until = Number(localStorage.getItem(MUTED_UNTIL_KEY));
+  return until > Date.now() ? until : null;
+};
+
+export const saveMutedUntil = (until) => {
+  if (until) localStorage.setItem(MUTED_UNTIL_KEY, String(until));
+  else localStorage.removeItem(MUTED_UNTIL_KEY);
+};
+
+// Browsers refuse to start audio before the user has interacted with the page
+export const isAudioBlocked = (error) => error?.name === 'NotAllowedError';
+
+const blockedError = () => new DOMException('Audio is blocked until the page is interacted with', 'NotAllowedError');
+
+let audioContext = null;
+let audioElement = null;
+let activeNodes = [];
+
+const getAudioContext = () => {
+  if (!audioContext) {
+    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  }
+  return audioContext;
+};
+
+// A suspended context only resumes after a user gesture; resume() stays pending until then
+const resumeAudioContext = async () => {
+  const context = getAudioContext();
+  if (context.state !== 'running') {
+    await Promise.race([context.resume(), new Promise((resolve) => setTimeout(resolve, 500))]);
+  }
+  if (context.state !== 'running') throw blockedError();
+  return context;
+};
+
+// Plays oscillator tones ({ type, from, to, start, duration } with times in seconds) and
+// resolves when the last one ends
+const playTones = async (tones, volume) => {
+  const context = await resumeAudioContext();
+  const startAt = context.currentTime;
+  const ended = tones.map(({ type = 'sine', from, to = from, start, duration }) => {
+    const oscillator = context.createOscillator();
+    const gainNode = context.createGain();
+    oscillator.type = type;
+    oscillator.connect(gainNode);
+    gainNode.connect(context.destination);
+
+    oscillator.frequency.setValueAtTime(from, startAt + start);
+    oscillator.frequency.exponentialRampToValueAtTime(to, startAt + start + duration / 2);
+    oscillator.frequency.exponentialRampToValueAtTime(from, startAt + start + duration);
+    gainNode.gain.setValueAtTime(Math.max(volume, 0.0001) * 0.5, startAt + start);
+    gainNode.gain.exponentialRampToValueAtTime(0.0001, startAt + start + duration);
+
+    oscillator.start(startAt + start);
+    oscillator.stop(startAt + start + duration);
+    activeNodes.push(oscillator);
+    return new Promise((resolve) => {
+      oscillator.onended = () => {
+        activeNodes = activeNodes.filter((node) => node !== oscillator);
+        resolve();
+      };
+    });
+  });
+  await Promise.all(ended);
+};
+
+// Plays alert.mp3 through a single reused element; resolves when it ends or is stopped
+const playFile = (volume) => {
+  if (!audioElement) {
+    audioElement = new Audio(ALERT_SOUND_URL);
+  }
+  const audio = audioElement;
+  audio.volume = volume;
+  audio.currentTime = 0;
+  return new Promise((resolve, reject) => {
+    const done = () => {
+      audio.removeEventListener('ended', done);
+      audio.removeEventListener('pause', done);
+      resolve();
+    };
+    audio.addEventListener('ended', done);
+    audio.addEventListener('pause', done);
+    audio.play().catch((error) => {
+      audio.removeEventListener('ended', done);
+      audio.removeEventListener('pause', done);
+      reject(error);
+    });
+  });
+};
+
+// One round of the chosen sound; rejects with a NotAllowedError when autoplay is blocked
+export const playAlarmSound = (sound, volume) => {
+  if (sound === 'siren') {
+    // Three 800 → 400 → 800 Hz sweeps
+    return playTones([0, 1.2, 2.4].map((start) => ({ from: 800, to: 400, start, duration: 1 })), volume);
+  }
+  if (sound === 'beeps') {
+    return playTones([0, 0.35, 0.7, 1.4, 1.75, 2.1].map((start) => ({ type: 'square', from: 1000, start, duration: 0.2 })), volume);
+  }
+  return playFile(volume);
+};
+
+export const stopAlarmSound = () => {
+  if (audioElement && !audioElement.paused) audioElement.pause();
+  activeNodes.forEach((node) => node.stop());
+};
+
+export const notificationPermission = () => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+
+// Shows a system notification (when permitted) that brings the dashboard forward when clicked.
+// Returns it so it can be closed once the alert is dealt with, or null.
+export const showAlarmNotification = ({ key, title, body, persistent }) => {
+  if (notificationPermission() !== 'granted') return null;
+  const notification = new Notification(title, { body, tag: key, requireInteraction: persistent });
+  notification.onclick = () => {
+    window.focus();
+    notification.close();
+  };
+  return notification;
+};
@@ -0,0 +1,48 @@
+// Backend base URL, session token storage and an authenticated fetch wrapper
+
+// Set VITE_API_BASE_URL at build time (e.g. https://monitor.example.com/api, or /api behind
+// the same host); the default suits a local backend
+export const API_BASE = (import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api').replace(/\/+$/, '');
+
+const TOKEN_KEY = 'authToken';
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+export const setToken = (token) => localStorage.setItem(TOKEN_KEY, token);
+export const clearToken = () => localStorage.removeItem(TOKEN_KEY);
+
+let unauthorizedHandler = null;
+
+// Called whenever the backend rejects the stored session (expired, revoked)
+export const onUnauthorized = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// fetch() against API_BASE with the session token attached; `path` starts with '/'
+export const apiFetch = async (path, options = {}) => {
+  const token = getToken();
+  const headers = {
+    ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    ...options.headers,
+  };
+  const response = await fetch(`${API_BASE}${path}`, { ...options, headers });
+  if (response.status === 401 && token) {
+    unauthorizedHandler?.();
+  }
+  return response;
+};
+
+// EventSource and download links cannot send headers, so they carry a link token in the
+// query: issued for one purpose ('stream' or 'download') and good for a minute, so the
+// session token never appears in a URL
+export const withLinkToken = async (url, purpose) => {
+  const response = await apiFetch('/auth/link-token', { method: 'POST', body: JSON.stringify({ purpose }) });
+  if (!response.ok) throw new Error(`Could not get a ${purpose} link (HTTP ${response.status})`);
+  const { token } = await response.json();
+  return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(token)}`;
+};
+
+// Role hierarchy mirrors backend/auth.js
+const ROLES = ['viewer', 'operator', 'admin'];
+
+export const hasRole = (user, role) => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { Bell, BellOff } from 'lucide-react';
+import { ALARM_BEHAVIOURS, ALARM_SOUNDS, MUTE_MINUTES, SEVERITY_BEHAVIOURS } from '../alarm';
+import { SEVERITY_LEVELS } from '../severity';
+
+const selectClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-500';
+const buttonClass = 'px-3 py-1 rounded-lg text-sm font-medium bg-white border border-gray-300 text-gray-700 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors';
+
+const PERMISSION_LABELS = {
+  granted: 'Shown while the dashboard is in the background',
+  denied: 'Blocked in the browser settings',
+  unsupported: 'Not supported by this browser',
+};
+
+// Header menu for this browser's alarm: sound, volume, what each severity does, notifications
+// and a timed mute. `alarm` is what useAlarm returns.
+const AlarmSettings = ({ alarm }) => {
+  const [open, setOpen] = useState(false);
+  const { settings, updateSettings, muted, mutedUntil } = alarm;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        title={muted ? `Alarm muted until ${new Date(mutedUntil).toLocaleTimeString()}` : 'Alarm settings'}
+        className={`p-2 rounded-lg hover:bg-gray-100 transition-colors ${muted ? 'text-red-500' : 'text-gray-500 hover:text-gray-700'}`}
+      >
+        {muted ? <BellOff className="h-5 w-5" /> : <Bell className="h-5 w-5" />}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-2xl shadow-lg border border-gray-100 p-4 z-10 space-y-4 text-left">
+          <h3 className="text-gray-900 font-semibold">Alarm</h3>
+
+          <label className="block text-sm text-gray-700">
+            Sound
+            <select
+              value={settings.sound}
+              onChange={(e) => updateSettings({ sound: e.target.value })}
+              className={`${selectClass} mt-1`}
+            >
+              {Object.entries(ALARM_SOUNDS).map(([sound, label]) => (
+                <option key={sound} value={sound}>{label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="block text-sm text-gray-700">
+            Volume ({Math.round(settings.volume * 100)}%)
+            <input
+              type="range"
+              min="0"
+              max="100"
+              value={Math.round(settings.volume * 100)}
+              onChange={(e) => updateSettings({ volume: Number(e.target.value) / 100 })}
+              className="w-full mt-1"
+            />
+          </label>
+
+          {Object.entries(SEVERITY_BEHAVIOURS).map(([severity, behaviours]) => (
+            <label key={severity} className="block text-sm text-gray-700">
+              {SEVERITY_LEVELS[severity].status} alerts
+              <select
+                value={settings.behaviour[severity]}
+                onChange={(e) => updateSettings({ behaviour: { [severity]: e.target.value } })}
+                className={`${selectClass} mt-1`}
+              >
+                {behaviours.map((behaviour) => (
+                  <option key={behaviour} value={behaviour}>{ALARM_BEHAVIOURS[behaviour]}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+
+          <div className="text-sm text-gray-700">
+            Browser notifications
+            <div className="mt-1">
+              {alarm.notificationPermission === 'default' ? (
+                <button onClick={alarm.requestNotifications} className={buttonClass}>Allow notifications</button>
+              ) : (
+                <span className="text-xs text-gray-500">{PERMISSION_LABELS[alarm.notificationPermission]}</span>
+              )}
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 pt-2 border-t border-gray-200">
+            <button onClick={alarm.testSound} className={buttonClass}>Test sound</button>
+            {muted ? (
+              <button onClick={alarm.unmute} className={buttonClass}>
+                Unmute (muted until {new Date(mutedUntil).toLocaleTimeString()})
+              </button>
+            ) : (
+              MUTE_MINUTES.map((minutes) => (
+                <button key={minutes} onClick={() => alarm.mute(minutes)} className={buttonClass}>
+                  Mute {minutes < 60 ? `${minutes} min` : `${minutes / 60} h`}
+                </button>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AlarmSettings;
@@ -0,0 +1,224 @@
+import React, { useState } from 'react';
+import { AlertTriangle, CheckCircle, ChevronDown, ChevronUp, Shield } from 'lucide-react';
+import { SEVERITY_LEVELS } from '../severity';
+import { formatDate } from '../format';
+
+const STATUS_BADGES = {
+  open: { label: 'Open', className: 'bg-red-500' },
+  acknowledged: { label: 'Acknowledged', className: 'bg-yellow-500' },
+  resolved: { label: 'Resolved', className: 'bg-green-500' },
+};
+
+const getAlertStatus = (alert) => alert.status || (alert.acknowledged ? 'acknowledged' : 'open');
+
+const actionButtonClass = 'px-3 py-1 rounded-lg text-sm font-medium focus:outline-none focus:ring-2 transition-colors';
+
+// Recent Alerts panel with the open → acknowledged → resolved workflow; `actions` renders in the header.
+// Lifecycle controls are only shown when canAcknowledge (operator role or above).
+const AlertsPanel = ({ alerts, showDeviceIds, canAcknowledge, onAction, onBulkAcknowledge, onLoadDeliveries, actions }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [note, setNote] = useState('');
+  // Notification delivery logs, keyed by alert ID, loaded on demand
+  const [deliveries, setDeliveries] = useState({});
+
+  const openIds = alerts.filter((alert) => getAlertStatus(alert) === 'open').map((alert) => alert._id);
+  const selectedOpenIds = selectedIds.filter((id) => openIds.includes(id));
+
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) => (prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]));
+  };
+
+  const toggleDeliveries = async (id) => {
+    if (deliveries[id]) {
+      setDeliveries((prev) => {
+        const next = { ...prev };
+        delete next[id];
+        return next;
+      });
+      return;
+    }
+    const log = await onLoadDeliveries(id);
+    setDeliveries((prev) => ({ ...prev, [id]: log }));
+  };
+
+  const runAction = async (id, action) => {
+    await onAction(id, action, note);
+    setNote('');
+  };
+
+  const runBulkAcknowledge = async () => {
+    await onBulkAcknowledge(selectedOpenIds, note);
+    setSelectedIds([]);
+    setNote('');
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg border border-gray-100">
+      <div className="p-6 border-b border-gray-200 flex items-center gap-4">
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="flex-1 flex items-center justify-between text-left hover:bg-gray-50 p-2 rounded-lg transition-colors"
+        >
+          <div className="flex items-center space-x-3">
+            <div className="bg-red-100 p-2 rounded-lg">
+              <AlertTriangle className="h-6 w-6 text-red-600" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-gray-900">Recent Alerts</h2>
+              <p className="text-gray-600">
+                {alerts.length} temperature warnings recorded • {openIds.length} open
+              </p>
+            </div>
+          </div>
+          {expanded ? <ChevronUp className="h-5 w-5 text-gray-400" /> : <ChevronDown className="h-5 w-5 text-gray-400" />}
+        </button>
+        {actions}
+      </div>
+
+      {expanded && (
+        <div className="p-6">
+          {alerts.length > 0 ? (
+            <>
+              {canAcknowledge && (
+                <div className="flex flex-wrap items-center gap-3 mb-4">
+                  <input
+                    type="text"
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    placeholder="Note (optional)"
+                    className="flex-1 min-w-[12rem] border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  />
+                  <button
+                    onClick={runBulkAcknowledge}
+                    disabled={selectedOpenIds.length === 0}
+                    className={`${actionButtonClass} bg-indigo-600 text-white hover:bg-indigo-700 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed`}
+                  >
+                    Acknowledge selected ({selectedOpenIds.length})
+                  </button>
+                </div>
+              )}
+              <div className="space-y-4 max-h-96 overflow-y-auto">
+                {alerts.map((alert, index) => {
+                  const status = getAlertStatus(alert);
+                  const badge = STATUS_BADGES[status];
+                  const isOpen = status === 'open';
+                  return (
+                    <div
+                      key={alert._id || index}
+                      className={`flex items-center justify-between p-4 rounded-lg border transition-colors ${isOpen ? 'bg-red-50 border-red-200 hover:bg-red-100' : 'bg-gray-50 border-gray-200 hover:bg-gray-100'}`}
+                    >
+                      <div className="flex items-center space-x-3">
+                        {canAcknowledge && (
+                          <input
+                            type="checkbox"
+                            checked={selectedIds.includes(alert._id)}
+                            onChange={() => toggleSelected(alert._id)}
+                            disabled={!isOpen}
+                            className="h-4 w-4"
+                          />
+                        )}
+                        <div className={`${isOpen ? 'bg-red-500' : 'bg-gray-400'} p-2 rounded-full`}>
+                          {status === 'resolved' ? <CheckCircle className="h-4 w-4 text-white" /> : <AlertTriangle className="h-4 w-4 text-white" />}
+                        </div>
+                        <div>
+                          <div className={`font-semibold ${isOpen ? 'text-red-800' : 'text-gray-700'}`}>{alert.message}</div>
+                          {showDeviceIds && alert.deviceId && (
+                            <div className="text-xs text-red-500">{alert.deviceId}</div>
+                          )}
+                          <div className={`text-sm ${isOpen ? 'text-red-600' : 'text-gray-500'}`}>
+                            {formatDate(alert.timestamp)}{alert.severity ? ` • ${SEVERITY_LEVELS[alert.severity].status}` : ''}
+                            {alert.escalationLevel > 0 ? ` • Escalated ×${alert.escalationLevel}` : ''}
+                            {alert.backfilled ? ' • Uploaded late' : ''}
+                            {alert.silenced ? ' • Silenced' : ''}
+                          </div>
+                          {alert.readingCount > 1 && (
+                            <div className="text-xs text-gray-500">
+                              {alert.readingCount} readings{typeof alert.peakTemperature === 'number' ? ` • peak ${alert.peakTemperature}°C` : ''} • last seen {formatDate(alert.lastSeenAt)}
+                              {alert.active ? ' • ongoing' : alert.closedAt ? ` • recovered ${formatDate(alert.closedAt)}` : ''}
+                            </div>
+                          )}
+                          {alert.acknowledgedAt && (
+                            <div className="text-xs text-gray-500">
+                              Acknowledged{alert.acknowledgedBy ? ` by ${alert.acknowledgedBy}` : ''} at {formatDate(alert.acknowledgedAt)}
+                              {alert.acknowledgeNote ? ` — ${alert.acknowledgeNote}` : ''}
+                            </div>
+                          )}
+                          {alert.resolvedAt && (
+                            <div className="text-xs text-gray-500">
+                              Resolved{alert.resolvedBy ? ` by ${alert.resolvedBy}` : ''} at {formatDate(alert.resolvedAt)}
+                              {alert.resolveNote ? ` — ${alert.resolveNote}` : ''}
+                            </div>
+                          )}
+                          <button
+                            onClick={() => toggleDeliveries(alert._id)}
+                            className="text-xs text-indigo-600 hover:underline"
+                          >
+                            {deliveries[alert._id] ? 'Hide notifications' : 'Show notifications'}
+                          </button>
+                          {deliveries[alert._id] && (
+                            <ul className="text-xs text-gray-600 mt-1 space-y-1">
+                              {deliveries[alert._id].length === 0 && <li>No notifications sent</li>}
+                              {deliveries[alert._id].map((delivery) => (
+                                <li key={delivery._id}>
+                                  <span className={delivery.status === 'sent' ? 'text-green-600' : 'text-red-600'}>
+                                    {delivery.status}
+                                  </span>
+                                  {' '}via {delivery.channelName} ({delivery.channelType}) at {formatDate(delivery.createdAt)}
+                                  {delivery.attempts > 1 ? ` after ${delivery.attempts} attempts` : ''}
+                                  {delivery.error ? ` — ${delivery.error}` : ''}
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </div>
+                      </div>
+                      <div className="flex items-center space-x-3">
+                        {typeof (alert.peakTemperature ?? alert.temperature) === 'number' && (
+                          <div className={`font-bold text-lg ${isOpen ? 'text-red-600' : 'text-gray-600'}`}>{alert.peakTemperature ?? alert.temperature}°C</div>
+                        )}
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium text-white ${badge.className}`}>{badge.label}</span>
+                        {canAcknowledge && status === 'open' && (
+                          <button
+                            onClick={() => runAction(alert._id, 'acknowledge')}
+                            className={`${actionButtonClass} bg-red-500 text-white hover:bg-red-600 focus:ring-red-500`}
+                          >
+                            Acknowledge
+                          </button>
+                        )}
+                        {canAcknowledge && status === 'acknowledged' && (
+                          <button
+                            onClick={() => runAction(alert._id, 'unacknowledge')}
+                            className={`${actionButtonClass} bg-white border border-gray-300 text-gray-700 hover:bg-gray-100 focus:ring-gray-400`}
+                          >
+                            Reopen
+                          </button>
+                        )}
+                        {canAcknowledge && status !== 'resolved' && (
+                          <button
+                            onClick={() => runAction(alert._id, 'resolve')}
+                            className={`${actionButtonClass} bg-green-500 text-white hover:bg-green-600 focus:ring-green-500`}
+                          >
+                            Resolve
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </>
+          ) : (
+            <div className="text-center py-12">
+              <Shield className="h-16 w-16 text-gray-300 mx-auto mb-4" />
+              <h3 className="text-lg font-semibold text-gray-900 mb-2">No Alerts</h3>
+              <p className="text-gray-600">All temperature readings are within normal range</p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AlertsPanel;
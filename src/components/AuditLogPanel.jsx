@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronUp, RefreshCw, ScrollText } from 'lucide-react';
+import { formatDate } from '../format';
+import useAuditLog from '../hooks/useAuditLog';
+
+const TARGET_TYPES = ['alert', 'device', 'apiKey', 'rule', 'silence', 'channel', 'user', 'session'];
+const EMPTY_FILTERS = { actor: '', action: '', targetType: '' };
+
+const inputClass = 'border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+const buttonClass = 'px-3 py-2 rounded-lg text-sm font-medium focus:outline-none focus:ring-2 transition-colors';
+
+const formatValue = (value) => (value === null || value === undefined ? '—' : JSON.stringify(value));
+
+// Field-by-field changes of one entry; creations only have after values, deletions only before
+const ChangeList = ({ before, after }) => {
+  const fields = Object.keys(after || before || {});
+  if (fields.length === 0) return <div className="text-xs text-gray-500">No field changes recorded</div>;
+  return (
+    <ul className="text-xs text-gray-600 mt-1 space-y-1 font-mono break-all">
+      {fields.map((field) => (
+        <li key={field}>
+          {field}: {before ? `${formatValue(before[field])} → ` : ''}{after ? formatValue(after[field]) : 'deleted'}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Audit log of state-changing API calls (admins only): who did what to which target, when and
+// from where. Loaded when the panel is opened and filtered on the server.
+const AuditLogPanel = () => {
+  const [expanded, setExpanded] = useState(false);
+  const [draft, setDraft] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [openIds, setOpenIds] = useState([]);
+
+  const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value.trim())).toString();
+  const { entries, total, loadMore, refresh } = useAuditLog(query, expanded);
+
+  const toggleChanges = (id) => {
+    setOpenIds((prev) => (prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]));
+  };
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setFilters(Object.fromEntries(Object.entries(draft).map(([key, value]) => [key, value.trim()])));
+  };
+
+  const clearFilters = () => {
+    setDraft(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg border border-gray-100 mt-8">
+      <div className="p-6 border-b border-gray-200 flex items-center gap-4">
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="flex-1 flex items-center justify-between text-left hover:bg-gray-50 p-2 rounded-lg transition-colors"
+        >
+          <div className="flex items-center space-x-3">
+            <div className="bg-indigo-100 p-2 rounded-lg">
+              <ScrollText className="h-6 w-6 text-indigo-600" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-gray-900">Audit Log</h2>
+              <p className="text-gray-600">
+                {expanded ? `${total} changes recorded` : 'Changes made through the API'}
+              </p>
+            </div>
+          </div>
+          {expanded ? <ChevronUp className="h-5 w-5 text-gray-400" /> : <ChevronDown className="h-5 w-5 text-gray-400" />}
+        </button>
+        {expanded && (
+          <button
+            onClick={refresh}
+            title="Refresh"
+            className="p-2 rounded-lg text-gray-500 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors"
+          >
+            <RefreshCw className="h-5 w-5" />
+          </button>
+        )}
+      </div>
+
+      {expanded && (
+        <div className="p-6">
+          <form onSubmit={applyFilters} className="flex flex-wrap items-center gap-3 mb-4">
+            <input
+              type="text"
+              value={draft.actor}
+              onChange={(e) => setDraft({ ...draft, actor: e.target.value })}
+              placeholder="User"
+              className={`${inputClass} w-40`}
+            />
+            <input
+              type="text"
+              value={draft.action}
+              onChange={(e) => setDraft({ ...draft, action: e.target.value })}
+              placeholder="Action (e.g. device.update)"
+              className={`${inputClass} flex-1 min-w-[12rem]`}
+            />
+            <select
+              value={draft.targetType}
+              onChange={(e) => setDraft({ ...draft, targetType: e.target.value })}
+              className={inputClass}
+            >
+              <option value="">All targets</option>
+              {TARGET_TYPES.map((type) => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+            <button type="submit" className={`${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700 focus:ring-indigo-500`}>
+              Filter
+            </button>
+            <button
+              type="button"
+              onClick={clearFilters}
+              className={`${buttonClass} bg-white border border-gray-300 text-gray-700 hover:bg-gray-100 focus:ring-gray-400`}
+            >
+              Clear
+            </button>
+          </form>
+
+          {entries.length > 0 ? (
+            <div className="max-h-96 overflow-y-auto">
+              <table className="w-full text-sm text-left">
+                <thead className="text-xs text-gray-500 uppercase border-b border-gray-200">
+                  <tr>
+                    <th className="py-2 pr-4">Time</th>
+                    <th className="py-2 pr-4">User</th>
+                    <th className="py-2 pr-4">Action</th>
+                    <th className="py-2 pr-4">Target</th>
+                    <th className="py-2 pr-4">Result</th>
+                    <th className="py-2">Client IP</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map((entry) => (
+                    <tr key={entry._id} className="border-b border-gray-100 align-top">
+                      <td className="py-2 pr-4 whitespace-nowrap text-gray-600">{formatDate(entry.timestamp)}</td>
+                      <td className="py-2 pr-4">
+                        {entry.actor || <span className="text-gray-400">anonymous</span>}
+                        {entry.role && <div className="text-xs text-gray-500">{entry.role}</div>}
+                      </td>
+                      <td className="py-2 pr-4">
+                        <div className="font-medium text-gray-900">{entry.action}</div>
+                        {(entry.before || entry.after) && (
+                          <button
+                            onClick={() => toggleChanges(entry._id)}
+                            className="text-xs text-indigo-600 hover:underline"
+                          >
+                            {openIds.includes(entry._id) ? 'Hide changes' : 'Show changes'}
+                          </button>
+                        )}
+                        {openIds.includes(entry._id) && <ChangeList before={entry.before} after={entry.after} />}
+                      </td>
+                      <td className="py-2 pr-4 text-gray-600 break-all">
+                        {entry.targetType ? `${entry.targetType}${entry.targetId ? ` ${entry.targetId}` : ''}` : '—'}
+                      </td>
+                      <td className="py-2 pr-4">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium text-white ${entry.status < 400 ? 'bg-green-500' : 'bg-red-500'}`}>
+                          {entry.status}
+                        </span>
+                      </td>
+                      <td className="py-2 text-gray-600 whitespace-nowrap">{entry.ip || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {entries.length < total && (
+                <div className="text-center mt-4">
+                  <button
+                    onClick={loadMore}
+                    className={`${buttonClass} bg-white border border-gray-300 text-gray-700 hover:bg-gray-100 focus:ring-gray-400`}
+                  >
+                    Load more ({total - entries.length} older)
+                  </button>
+                </div>
+              )}
+            </div>
+          ) : (
+            <div className="text-center py-8">
+              <p className="text-gray-600">No audit entries match these filters</p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLogPanel;
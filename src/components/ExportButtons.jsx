@@ -0,0 +1,47 @@
+import React from 'react';
+import { Download } from 'lucide-react';
+import { withLinkToken } from '../api';
+
+const FORMATS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'ndjson', label: 'JSON' },
+];
+
+// Download buttons for an /api/export endpoint; params holds the active filters
+const ExportButtons = ({ url, params = {} }) => {
+  const buildHref = (format) => {
+    const query = new URLSearchParams({ format });
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        query.set(key, value instanceof Date ? value.toISOString() : value);
+      }
+    });
+    return `${url}?${query.toString()}`;
+  };
+
+  // The export is sent as an attachment, so the dashboard stays open
+  const download = async (format) => {
+    try {
+      window.location.assign(await withLinkToken(buildHref(format), 'download'));
+    } catch (error) {
+      console.error('Error starting export:', error);
+    }
+  };
+
+  return (
+    <div className="flex items-center space-x-2">
+      {FORMATS.map(({ format, label }) => (
+        <button
+          key={format}
+          onClick={() => download(format)}
+          className="inline-flex items-center space-x-1 px-3 py-1 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors"
+        >
+          <Download className="h-4 w-4" />
+          <span>Export {label}</span>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ExportButtons;
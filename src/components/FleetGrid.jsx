@@ -0,0 +1,57 @@
+import React from 'react';
+import { Battery } from 'lucide-react';
+import { SEVERITY_LEVELS, getReadingSeverity } from '../severity';
+import { CONNECTION_STYLES, formatAge, getConnectionState } from '../sensorHealth';
+
+const NO_DATA = { status: 'No data', color: 'bg-gray-400', text: 'text-gray-400' };
+
+// Side-by-side overview of every registered pack; clicking a card selects that device
+const FleetGrid = ({ devices, rules, selectedDevice, onSelect, now }) => {
+  if (devices.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg p-8 mb-8 border border-gray-100">
+      <h2 className="text-2xl font-bold text-gray-900 mb-6">Fleet Overview</h2>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        {devices.map((device) => {
+          const reading = device.latestReading;
+          const { status, color, text } = reading ? SEVERITY_LEVELS[getReadingSeverity(reading, rules)] : NO_DATA;
+          const isSelected = device.deviceId === selectedDevice;
+          const connection = CONNECTION_STYLES[getConnectionState(device.health, now)];
+          return (
+            <button
+              key={device.deviceId}
+              onClick={() => onSelect(isSelected ? '' : device.deviceId)}
+              className={`text-left p-4 rounded-xl border transition-colors hover:bg-gray-50 ${isSelected ? 'border-indigo-500 ring-2 ring-indigo-200' : 'border-gray-200'}`}
+            >
+              <div className="flex items-center space-x-2 mb-2">
+                <Battery className="h-5 w-5 text-indigo-600" />
+                <div className="font-semibold text-gray-800 truncate">{device.name}</div>
+              </div>
+              <div className="text-xs text-gray-500 mb-3 truncate">
+                {device.deviceId}{device.location ? ` • ${device.location}` : ''}
+              </div>
+              <div className="flex items-center justify-between">
+                <div className={`text-2xl font-bold ${text}`}>
+                  {reading ? `${reading.temperature}°C` : '--'}
+                </div>
+                <div className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium text-white ${color}`}>
+                  {status}
+                </div>
+              </div>
+              <div className={`flex items-center space-x-2 mt-3 text-xs ${connection.text}`}>
+                <span className={`h-2 w-2 rounded-full ${connection.dot}`}></span>
+                <span>{connection.label}</span>
+                {device.health?.lastSeenAt && (
+                  <span className="text-gray-500">• {formatAge(device.health.lastSeenAt, now)}</span>
+                )}
+              </div>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default FleetGrid;
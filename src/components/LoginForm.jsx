@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { Battery } from 'lucide-react';
+
+const LoginForm = ({ onLogin }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await onLogin(username, password);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center px-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-lg p-8 border border-gray-100 w-full max-w-sm">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="bg-indigo-600 p-3 rounded-xl">
+            <Battery className="h-6 w-6 text-white" />
+          </div>
+          <h1 className="text-xl font-bold text-gray-900">Battery Monitoring</h1>
+        </div>
+        {error && <div className="mb-4 text-sm text-red-600">{error}</div>}
+        <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="username">Username</label>
+        <input
+          id="username"
+          type="text"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          className="w-full border border-gray-300 rounded-lg px-3 py-2 mb-4 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          required
+        />
+        <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="password">Password</label>
+        <input
+          id="password"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className="w-full border border-gray-300 rounded-lg px-3 py-2 mb-6 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          required
+        />
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 transition-colors disabled:opacity-50"
+        >
+          {submitting ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginForm;
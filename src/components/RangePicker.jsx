@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { HISTORY_PRESETS } from '../historyRange';
+
+// <input type="datetime-local"> wants local time without a zone suffix
+const toLocalInputValue = (date) => {
+  const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
+
+const RangePicker = ({ range, onChange }) => {
+  const [customFrom, setCustomFrom] = useState(() => toLocalInputValue(new Date(Date.now() - 24 * 60 * 60 * 1000)));
+  const [customTo, setCustomTo] = useState(() => toLocalInputValue(new Date()));
+  const [showCustom, setShowCustom] = useState(range.preset === 'custom');
+
+  const customInvalid = !customFrom || !customTo || new Date(customFrom) >= new Date(customTo);
+
+  const selectPreset = (preset) => {
+    if (preset === 'custom') {
+      setShowCustom(true);
+      return;
+    }
+    setShowCustom(false);
+    onChange({ preset });
+  };
+
+  const applyCustom = () => {
+    onChange({ preset: 'custom', from: new Date(customFrom), to: new Date(customTo) });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      {HISTORY_PRESETS.map((preset) => {
+        const isActive = preset.id === 'custom' ? showCustom : !showCustom && range.preset === preset.id;
+        return (
+          <button
+            key={preset.id}
+            onClick={() => selectPreset(preset.id)}
+            className={`px-3 py-1 rounded-lg text-sm font-medium transition-colors ${isActive ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+          >
+            {preset.label}
+          </button>
+        );
+      })}
+      {showCustom && (
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="datetime-local"
+            value={customFrom}
+            onChange={(e) => setCustomFrom(e.target.value)}
+            className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          />
+          <span className="text-gray-500 text-sm">to</span>
+          <input
+            type="datetime-local"
+            value={customTo}
+            onChange={(e) => setCustomTo(e.target.value)}
+            className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          />
+          <button
+            onClick={applyCustom}
+            disabled={customInvalid}
+            className="px-3 py-1 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Apply
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RangePicker;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { FileText } from 'lucide-react';
+import { withLinkToken } from '../api';
+
+const PERIODS = [
+  { period: 'day', label: 'Daily' },
+  { period: 'week', label: 'Weekly' },
+];
+
+// Opens the printable battery health report for the last day or week in a new tab
+const ReportLinks = ({ url, deviceId }) => {
+  const buildHref = (period) => {
+    const query = new URLSearchParams({ period, format: 'html' });
+    if (deviceId) query.set('deviceId', deviceId);
+    return `${url}${url.includes('?') ? '&' : '?'}${query.toString()}`;
+  };
+
+  const openReport = async (period) => {
+    // The tab opens during the click, before the link token arrives, or popup blockers stop it
+    const tab = window.open('', '_blank');
+    try {
+      const href = await withLinkToken(buildHref(period), 'download');
+      if (tab) {
+        tab.opener = null;
+        tab.location.href = href;
+      }
+    } catch (error) {
+      tab?.close();
+      console.error('Error opening report:', error);
+    }
+  };
+
+  return (
+    <div className="flex items-center space-x-2">
+      {PERIODS.map(({ period, label }) => (
+        <button
+          key={period}
+          onClick={() => openReport(period)}
+          className="inline-flex items-center space-x-1 px-3 py-1 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors"
+        >
+          <FileText className="h-4 w-4" />
+          <span>{label} Report</span>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ReportLinks;
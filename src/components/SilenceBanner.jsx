@@ -0,0 +1,47 @@
+import React from 'react';
+import { BellOff } from 'lucide-react';
+import { formatDate } from '../format';
+
+const KIND_LABELS = {
+  silence: 'Alerts silenced',
+  maintenance: 'Maintenance window',
+};
+
+// Shown instead of the alarm while silences are active: alerts are still recorded, but not
+// sounded or sent. Operators can end a silence early.
+const SilenceBanner = ({ silences, now, canEnd, onEnd }) => {
+  const active = silences.filter((silence) => new Date(silence.endsAt).getTime() > now);
+  if (active.length === 0) return null;
+
+  return (
+    <div className="mb-6 bg-slate-50 border-l-4 border-slate-500 p-4 rounded-r-lg space-y-3">
+      {active.map((silence) => (
+        <div key={silence._id} className="flex items-center justify-between gap-4">
+          <div className="flex items-center">
+            <BellOff className="h-6 w-6 text-slate-600 mr-3 flex-shrink-0" />
+            <div>
+              <h3 className="text-slate-800 font-semibold">
+                {KIND_LABELS[silence.kind] || KIND_LABELS.silence} • {silence.deviceId || 'all devices'}
+              </h3>
+              <p className="text-slate-700 text-sm">
+                {silence.reason} — until {formatDate(silence.endsAt)}
+                {silence.createdBy ? ` (set by ${silence.createdBy})` : ''}
+              </p>
+              <p className="text-slate-500 text-xs">Readings are still recorded; alerts are not sounded or sent.</p>
+            </div>
+          </div>
+          {canEnd && (
+            <button
+              onClick={() => onEnd(silence._id)}
+              className="bg-white border border-slate-300 text-slate-700 px-4 py-2 rounded-lg hover:bg-slate-100 focus:outline-none focus:ring-2 focus:ring-slate-400 transition-colors"
+            >
+              End now
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SilenceBanner;
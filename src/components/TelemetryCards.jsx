@@ -0,0 +1,65 @@
+import React from 'react';
+import { Droplets, Zap, Activity, Gauge, BatteryCharging } from 'lucide-react';
+import { TELEMETRY_SERIES, hasValue } from '../telemetry';
+
+const CARD_STYLES = {
+  humidity: { icon: Droplets, background: 'bg-sky-100', text: 'text-sky-600' },
+  voltage: { icon: Zap, background: 'bg-violet-100', text: 'text-violet-600' },
+  current: { icon: Activity, background: 'bg-amber-100', text: 'text-amber-600' },
+  power: { icon: Gauge, background: 'bg-emerald-100', text: 'text-emerald-600' },
+  stateOfCharge: { icon: BatteryCharging, background: 'bg-indigo-100', text: 'text-indigo-600' },
+};
+
+const formatValue = (value) => (Number.isInteger(value) ? value : value.toFixed(2));
+
+// Cards for the optional telemetry on the latest reading; only metrics the device reports are shown
+const TelemetryCards = ({ reading }) => {
+  if (!reading) return null;
+  const metrics = TELEMETRY_SERIES.filter((series) => CARD_STYLES[series.id] && hasValue(reading[series.id]));
+  const cells = reading.cellVoltages || [];
+  if (metrics.length === 0 && cells.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg p-8 mb-8 border border-gray-100">
+      <h2 className="text-2xl font-bold text-gray-900 mb-6">Pack Telemetry</h2>
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4">
+        {metrics.map((series) => {
+          const { icon: Icon, background, text } = CARD_STYLES[series.id];
+          return (
+            <div key={series.id} className="rounded-xl border border-gray-100 p-4">
+              <div className="flex items-center space-x-2 mb-2">
+                <div className={`${background} p-1.5 rounded-lg`}>
+                  <Icon className={`h-4 w-4 ${text}`} />
+                </div>
+                <span className="text-sm text-gray-600">{series.label}</span>
+              </div>
+              <div className="text-2xl font-bold text-gray-800">
+                {formatValue(reading[series.id])} {series.unit}
+              </div>
+              {series.id === 'stateOfCharge' && (
+                <div className="mt-2 h-2 bg-gray-100 rounded-full overflow-hidden">
+                  <div className="h-full bg-indigo-500" style={{ width: `${reading.stateOfCharge}%` }}></div>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      {cells.length > 0 && (
+        <div className="mt-6">
+          <h3 className="text-gray-700 font-semibold mb-3">Cell Voltages</h3>
+          <div className="flex flex-wrap gap-2">
+            {cells.map((cell, index) => (
+              <div key={index} className="px-3 py-2 rounded-lg bg-gray-50 border border-gray-100 text-sm">
+                <span className="text-gray-500">#{index + 1}</span>{' '}
+                <span className="font-semibold text-gray-800">{cell.toFixed(3)} V</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TelemetryCards;
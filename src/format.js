@@ -0,0 +1,9 @@
+export const formatDate = (dateString) => {
+  try {
+    const date = new Date(dateString);
+    if (isNaN(date.getTime())) throw new Error('Invalid date');
+    return date.toLocaleString();
+  } catch {
+    return 'Invalid date';
+  }
+};
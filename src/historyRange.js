@@ -0,0 +1,49 @@
+// Temperature History range presets and the /data query string each one maps to
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const HISTORY_PRESETS = [
+  { id: 'latest', label: 'Latest' },
+  { id: '1h', label: 'Last hour', span: HOUR_MS },
+  { id: '24h', label: '24h', span: DAY_MS },
+  { id: '7d', label: '7d', span: 7 * DAY_MS },
+  { id: 'custom', label: 'Custom' },
+];
+
+// Keeps each range to at most a few hundred chart points
+const pickBucket = (spanMs) => {
+  if (spanMs <= 3 * HOUR_MS) return 'minute';
+  if (spanMs <= 14 * DAY_MS) return 'hour';
+  return 'day';
+};
+
+// range is { preset } or, for custom ranges, { preset: 'custom', from, to } with Date values.
+// Returns { from, to } for the range, or null for the unbounded 'latest' view.
+export const getRangeBounds = (range) => {
+  if (range.preset === 'latest') return null;
+  if (range.preset === 'custom') return { from: range.from, to: range.to };
+  const to = new Date();
+  const from = new Date(to.getTime() - HISTORY_PRESETS.find((preset) => preset.id === range.preset).span);
+  return { from, to };
+};
+
+export const buildHistoryQuery = (range) => {
+  const bounds = getRangeBounds(range);
+  if (!bounds) return 'page=1&limit=50';
+
+  const { from, to } = bounds;
+  const params = new URLSearchParams({
+    from: from.toISOString(),
+    to: to.toISOString(),
+    bucket: pickBucket(to - from),
+  });
+  return params.toString();
+};
+
+export const formatBucketLabel = (timestamp, bucket) => {
+  const date = new Date(timestamp);
+  if (bucket === 'day') return date.toLocaleDateString();
+  if (bucket === 'hour') return date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  return date.toLocaleTimeString();
+};
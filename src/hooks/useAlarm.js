@@ -0,0 +1,162 @@
+import { useEffect, useRef, useState } from 'react';
+import {
+  isAudioBlocked,
+  loadAlarmSettings,
+  loadMutedUntil,
+  notificationPermission,
+  playAlarmSound,
+  saveAlarmSettings,
+  saveMutedUntil,
+  showAlarmNotification,
+  stopAlarmSound,
+} from '../alarm';
+
+// Pause between rounds of a repeating alarm
+const REPEAT_GAP_MS = 2000;
+// Played instead when the chosen sound cannot be, since it needs no file
+const FALLBACK_SOUND = 'siren';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Sounds and notifies for the alarm the dashboard is showing ({ key, severity, title, body }, or
+// null once it is acknowledged or over), following the user's settings for its severity. A
+// repeating alarm plays until then; a timed mute only stops the sound. When the browser blocks
+// audio, `blocked` is set until a later round plays, so the dashboard can ask for a click.
+const useAlarm = (alarm) => {
+  const [settings, setSettings] = useState(loadAlarmSettings);
+  const [mutedUntil, setMutedUntil] = useState(loadMutedUntil);
+  const [blocked, setBlocked] = useState(false);
+  const [playing, setPlaying] = useState(false);
+  const [permission, setPermission] = useState(notificationPermission);
+  const settingsRef = useRef(settings);
+  const alarmRef = useRef(alarm);
+  // Key of the last alarm a "once" behaviour has played for, so unmuting does not replay it
+  const playedRef = useRef(null);
+
+  useEffect(() => {
+    settingsRef.current = settings;
+    alarmRef.current = alarm;
+  });
+
+  const key = alarm?.key ?? null;
+  const behaviour = alarm ? settings.behaviour[alarm.severity] : 'off';
+  const muted = mutedUntil !== null;
+
+  // Lift the mute when it runs out
+  useEffect(() => {
+    if (!mutedUntil) return undefined;
+    const timer = setTimeout(() => setMutedUntil(null), Math.max(0, mutedUntil - Date.now()));
+    return () => clearTimeout(timer);
+  }, [mutedUntil]);
+
+  useEffect(() => {
+    saveMutedUntil(mutedUntil);
+  }, [mutedUntil]);
+
+  // A notification whenever the tab is in the background during the alarm; it stays up for
+  // repeating alarms and closes once the alarm is over
+  useEffect(() => {
+    if (!key || behaviour === 'off') return undefined;
+    let notification = null;
+    const notify = () => {
+      if (notification || document.visibilityState === 'visible') return;
+      const { title, body } = alarmRef.current;
+      notification = showAlarmNotification({ key, title, body, persistent: behaviour === 'repeat' });
+    };
+    notify();
+    document.addEventListener('visibilitychange', notify);
+    return () => {
+      document.removeEventListener('visibilitychange', notify);
+      notification?.close();
+    };
+  }, [key, behaviour]);
+
+  useEffect(() => {
+    if (!key || muted || !['repeat', 'once'].includes(behaviour)) return undefined;
+    if (behaviour === 'once' && playedRef.current === key) return undefined;
+
+    let cancelled = false;
+    // Set once the chosen sound fails for a reason other than autoplay (e.g. alert.mp3 does not
+    // load): the alarm carries on with the siren, and stops if that fails too
+    let fallback = null;
+    const ring = async () => {
+      while (!cancelled) {
+        let played = false;
+        setPlaying(true);
+        try {
+          await playAlarmSound(fallback || settingsRef.current.sound, settingsRef.current.volume);
+          played = true;
+          setBlocked(false);
+        } catch (error) {
+          if (isAudioBlocked(error)) {
+            setBlocked(true);
+          } else if (!fallback && settingsRef.current.sound !== FALLBACK_SOUND) {
+            console.error('Alarm playback error, falling back to the siren:', error);
+            fallback = FALLBACK_SOUND;
+          } else {
+            console.error('Alarm playback error:', error);
+            return;
+          }
+        } finally {
+          setPlaying(false);
+        }
+        if (behaviour === 'once' && played) {
+          playedRef.current = key;
+          return;
+        }
+        await sleep(REPEAT_GAP_MS);
+      }
+    };
+    ring();
+    return () => {
+      cancelled = true;
+      stopAlarmSound();
+      setPlaying(false);
+    };
+  }, [key, behaviour, muted]);
+
+  // Nothing left to play, so nothing to unblock
+  useEffect(() => {
+    if (!key) setBlocked(false);
+  }, [key]);
+
+  const updateSettings = (changes) => {
+    const next = { ...settings, ...changes, behaviour: { ...settings.behaviour, ...changes.behaviour } };
+    saveAlarmSettings(next);
+    setSettings(next);
+  };
+
+  const mute = (minutes) => setMutedUntil(Date.now() + minutes * 60 * 1000);
+  const unmute = () => setMutedUntil(null);
+
+  // Plays one round from a click, which also lifts the browser's autoplay block
+  const testSound = async () => {
+    try {
+      await playAlarmSound(settings.sound, settings.volume);
+      setBlocked(false);
+    } catch (error) {
+      console.error('Alarm playback error:', error);
+    }
+  };
+
+  const requestNotifications = async () => {
+    if (permission === 'unsupported') return;
+    setPermission(await Notification.requestPermission());
+  };
+
+  return {
+    settings,
+    updateSettings,
+    muted,
+    mutedUntil,
+    mute,
+    unmute,
+    blocked,
+    playing,
+    testSound,
+    notificationPermission: permission,
+    requestNotifications,
+  };
+};
+
+export default useAlarm;
@@ -0,0 +1,56 @@
+import { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '../api';
+
+const PAGE_SIZE = 50;
+
+// Audit log entries matching `query` (a URL query string of filters), newest first, a page at a
+// time. Nothing is fetched until enabled, so the log is only loaded once the panel is opened.
+const useAuditLog = (query, enabled) => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [reloads, setReloads] = useState(0);
+
+  const fetchPage = useCallback(async (pageNumber, signal) => {
+    const params = new URLSearchParams(query);
+    params.set('page', pageNumber);
+    params.set('limit', PAGE_SIZE);
+    const response = await apiFetch(`/audit?${params}`, { signal });
+    if (!response.ok) throw new Error(`Failed to fetch audit log: ${response.status}`);
+    return response.json();
+  }, [query]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const controller = new AbortController();
+    fetchPage(1, controller.signal)
+      .then((result) => {
+        setEntries(result.data);
+        setTotal(result.total);
+        setPage(1);
+      })
+      .catch((error) => {
+        if (error.name !== 'AbortError') {
+          console.error('Error fetching audit log:', error.message);
+        }
+      });
+    return () => controller.abort();
+  }, [fetchPage, enabled, reloads]);
+
+  const loadMore = async () => {
+    try {
+      const result = await fetchPage(page + 1);
+      setEntries((prev) => [...prev, ...result.data]);
+      setTotal(result.total);
+      setPage(page + 1);
+    } catch (error) {
+      console.error('Error fetching audit log:', error.message);
+    }
+  };
+
+  const refresh = () => setReloads((count) => count + 1);
+
+  return { entries, total, loadMore, refresh };
+};
+
+export default useAuditLog;
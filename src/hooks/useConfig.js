@@ -0,0 +1,27 @@
+import { useEffect, useState } from 'react';
+import { apiFetch } from '../api';
+
+// Read-only backend settings from /api/config, fetched once; null until loaded
+const useConfig = () => {
+  const [config, setConfig] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    apiFetch('/config', { signal: controller.signal })
+      .then((response) => {
+        if (!response.ok) throw new Error(`Failed to fetch config: ${response.status}`);
+        return response.json();
+      })
+      .then(setConfig)
+      .catch((error) => {
+        if (error.name !== 'AbortError') {
+          console.error('Error fetching config:', error.message);
+        }
+      });
+    return () => controller.abort();
+  }, []);
+
+  return config;
+};
+
+export default useConfig;
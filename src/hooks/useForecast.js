@@ -0,0 +1,39 @@
+import { useEffect, useState } from 'react';
+import { apiFetch } from '../api';
+
+const REFRESH_MS = 15000;
+
+// Temperature forecast for one device, refreshed on its own schedule since forecasts are not
+// pushed on the live stream. Returns null while loading or when no device is given.
+const useForecast = (deviceId, minutes = 30) => {
+  const [forecast, setForecast] = useState(null);
+
+  useEffect(() => {
+    setForecast(null);
+    if (!deviceId) return undefined;
+
+    const controller = new AbortController();
+    const fetchForecast = async () => {
+      try {
+        const response = await apiFetch(`/devices/${encodeURIComponent(deviceId)}/forecast?minutes=${minutes}`, { signal: controller.signal });
+        if (!response.ok) throw new Error(`Failed to fetch forecast: ${response.status}`);
+        setForecast(await response.json());
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error('Error fetching forecast:', error.message);
+        }
+      }
+    };
+
+    fetchForecast();
+    const interval = setInterval(fetchForecast, REFRESH_MS);
+    return () => {
+      controller.abort();
+      clearInterval(interval);
+    };
+  }, [deviceId, minutes]);
+
+  return forecast;
+};
+
+export default useForecast;
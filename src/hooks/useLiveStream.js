@@ -0,0 +1,82 @@
+import { useEffect, useRef, useState } from 'react';
+
+const STREAM_EVENTS = ['reading', 'alert', 'alert-acknowledged', 'alert-updated', 'backfill', 'silence-updated', 'silence-deleted'];
+const INITIAL_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+// Subscribes to the backend SSE stream and calls handlers[eventName](data) for each event.
+// getUrl() resolves to the stream URL for each connection attempt, so it can carry a fresh
+// link token. Reconnects with exponential backoff; returns whether the stream is currently
+// connected so callers can fall back to polling while it is down.
+const useLiveStream = (getUrl, handlers) => {
+  const [connected, setConnected] = useState(false);
+  const handlersRef = useRef(handlers);
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    if (typeof EventSource === 'undefined') return undefined;
+
+    let source = null;
+    let retryTimer = null;
+    let attempt = 0;
+    let closed = false;
+
+    const retry = () => {
+      setConnected(false);
+      if (closed) return;
+      const delay = Math.min(MAX_RETRY_MS, INITIAL_RETRY_MS * 2 ** attempt);
+      attempt += 1;
+      retryTimer = setTimeout(connect, delay);
+    };
+
+    const connect = async () => {
+      let url;
+      try {
+        url = await getUrl();
+      } catch (error) {
+        console.error('Error connecting to the live stream:', error);
+        retry();
+        return;
+      }
+      if (closed) return;
+      source = new EventSource(url);
+
+      source.onopen = () => {
+        attempt = 0;
+        setConnected(true);
+      };
+
+      source.onerror = () => {
+        // Take over from EventSource's fixed-interval retry so we can back off, and so each
+        // attempt gets a new URL
+        source.close();
+        retry();
+      };
+
+      STREAM_EVENTS.forEach((eventName) => {
+        source.addEventListener(eventName, (event) => {
+          try {
+            handlersRef.current[eventName]?.(JSON.parse(event.data));
+          } catch (error) {
+            console.error(`Error handling ${eventName} event:`, error);
+          }
+        });
+      });
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      source?.close();
+    };
+  }, [getUrl]);
+
+  return connected;
+};
+
+export default useLiveStream;
@@ -0,0 +1,15 @@
+import { useEffect, useState } from 'react';
+
+// Current time, refreshed every `intervalMs`, for labels like "12s ago" that age without new data
+const useNow = (intervalMs = 5000) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs]);
+
+  return now;
+};
+
+export default useNow;
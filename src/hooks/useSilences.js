@@ -0,0 +1,36 @@
+import { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '../api';
+
+const REFRESH_MS = 30000;
+
+// Active silences and maintenance windows. Scheduled ones start without a stream event, so the
+// list is also refreshed on a timer; call refresh() when the stream reports a change.
+const useSilences = () => {
+  const [silences, setSilences] = useState([]);
+
+  const refresh = useCallback(async (signal) => {
+    try {
+      const response = await apiFetch('/silences?status=active', { signal });
+      if (!response.ok) throw new Error(`Failed to fetch silences: ${response.status}`);
+      setSilences(await response.json());
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Error fetching silences:', error.message);
+      }
+    }
+  }, []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    refresh(controller.signal);
+    const interval = setInterval(() => refresh(controller.signal), REFRESH_MS);
+    return () => {
+      controller.abort();
+      clearInterval(interval);
+    };
+  }, [refresh]);
+
+  return [silences, refresh];
+};
+
+export default useSilences;
@@ -0,0 +1,26 @@
+// Display helpers for device connection state. The backend sends each device's last contact
+// and thresholds; the state is recomputed here so it stays current between updates.
+
+export const CONNECTION_STYLES = {
+  online: { label: 'Online', text: 'text-green-600', dot: 'bg-green-500' },
+  stale: { label: 'Stale', text: 'text-yellow-600', dot: 'bg-yellow-500' },
+  offline: { label: 'Offline', text: 'text-red-600', dot: 'bg-red-500' },
+  unknown: { label: 'Never seen', text: 'text-gray-500', dot: 'bg-gray-400' },
+};
+
+export const getConnectionState = (health, now = Date.now()) => {
+  if (!health?.lastSeenAt) return 'unknown';
+  const seconds = (now - new Date(health.lastSeenAt).getTime()) / 1000;
+  if (seconds >= health.offlineAfterSeconds) return 'offline';
+  if (seconds >= health.staleAfterSeconds) return 'stale';
+  return 'online';
+};
+
+// "12s ago", "5 min ago", "3 h ago", "2 d ago"
+export const formatAge = (since, now = Date.now()) => {
+  const seconds = Math.max(0, Math.round((now - new Date(since).getTime()) / 1000));
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`;
+  return `${Math.floor(seconds / 86400)} d ago`;
+};
@@ -0,0 +1,26 @@
+// Display helpers for reading/alert severity. The backend rule set decides severity;
+// these only map it to styles, and classify old readings stored before severity existed.
+
+export const SEVERITY_LEVELS = {
+  critical: { status: 'Critical', color: 'bg-red-500', text: 'text-red-500', risk: 'HIGH' },
+  warning: { status: 'Warning', color: 'bg-yellow-500', text: 'text-yellow-500', risk: 'MEDIUM' },
+  normal: { status: 'Normal', color: 'bg-green-500', text: 'text-green-500', risk: 'LOW' },
+};
+
+const SEVERITY_ORDER = ['normal', 'warning', 'critical'];
+
+// Applies the enabled threshold rules for a device to a bare temperature
+export const classifyTemperature = (temperature, rules, deviceId) => {
+  let severity = 'normal';
+  for (const rule of rules) {
+    if (rule.type !== 'threshold' || rule.enabled === false) continue;
+    if (rule.deviceId && rule.deviceId !== deviceId) continue;
+    if (temperature > rule.threshold && SEVERITY_ORDER.indexOf(rule.severity) > SEVERITY_ORDER.indexOf(severity)) {
+      severity = rule.severity;
+    }
+  }
+  return severity;
+};
+
+export const getReadingSeverity = (reading, rules) =>
+  reading.severity || classifyTemperature(reading.temperature, rules, reading.deviceId);
@@ -0,0 +1,25 @@
+// Labels, units and chart colours for the telemetry series a reading can carry.
+// Mirrors backend/telemetry.js; every series except temperature is optional.
+
+export const TELEMETRY_SERIES = [
+  { id: 'temperature', label: 'Temperature', unit: '°C', color: '#ef4444' },
+  { id: 'humidity', label: 'Humidity', unit: '%', color: '#0ea5e9' },
+  { id: 'voltage', label: 'Voltage', unit: 'V', color: '#8b5cf6' },
+  { id: 'current', label: 'Current', unit: 'A', color: '#f59e0b' },
+  { id: 'power', label: 'Power', unit: 'W', color: '#10b981' },
+  { id: 'stateOfCharge', label: 'State of Charge', unit: '%', color: '#6366f1' },
+];
+
+export const getSeries = (id) => TELEMETRY_SERIES.find((series) => series.id === id) || TELEMETRY_SERIES[0];
+
+export const hasValue = (value) => value !== undefined && value !== null;
+
+// Series with at least one value in the given readings; temperature is always offered
+export const availableSeries = (readings) =>
+  TELEMETRY_SERIES.filter((series) => series.id === 'temperature' || readings.some((reading) => hasValue(reading[series.id])));
+
+// Hex colour → rgba() for chart fills
+export const withAlpha = (hex, alpha) => {
+  const value = parseInt(hex.slice(1), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+};